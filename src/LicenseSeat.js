@@ -5,14 +5,18 @@
  * with the LicenseSeat licensing system.
  *
  * Features:
- * - License activation and deactivation
- * - Local caching with encryption support
+ * - License activation and deactivation (several licenses at once)
+ * - Local caching with optional encryption at rest
+ * - Cross-tab synchronization and leader election
  * - Online and offline validation
  * - Automatic re-validation
  * - Entitlement checking
  * - Event-driven architecture
  * - Device fingerprinting
- * - Retry logic with exponential backoff
+ * - Retry logic with exponential backoff, jitter and Retry-After support
+ * - Circuit breaker that stops calling the API while it is down
+ * - License lifecycle state machine with state:changed events
+ * - Redacted diagnostics bundles for support tickets
  *
  * @module LicenseSeat
  */
@@ -21,17 +25,47 @@ import * as ed from "@noble/ed25519";
 import { sha512 } from "@noble/hashes/sha512";
 
 import { LicenseCache } from "./cache.js";
-import { APIError, ConfigurationError, LicenseError, CryptoError } from "./errors.js";
+import { CacheCipher } from "./encryption.js";
+import {
+  APIError,
+  ConfigurationError,
+  LicenseError,
+  CryptoError,
+  createAPIError,
+} from "./errors.js";
 import {
   parseActiveEntitlements,
   constantTimeEqual,
   canonicalJsonStringify,
   base64UrlDecode,
   generateDeviceId,
+  generateIdempotencyKey,
   sleep,
   getCsrfToken,
+  getAbortReason,
+  isAbortError,
+  linkAbortSignals,
 } from "./utils.js";
 import { collectTelemetry } from "./telemetry.js";
+import { resolveRetryPolicy, computeRetryDelay, parseRetryAfter } from "./retry.js";
+import { CircuitBreaker } from "./circuit-breaker.js";
+import { ConnectivityMonitor, isConnectionError } from "./connectivity.js";
+import { MessageCatalog } from "./messages.js";
+import { LicenseLifecycle, deriveLicenseState } from "./lifecycle.js";
+import {
+  DiagnosticsRecorder,
+  toPlainData,
+  redactDiagnostics,
+  formatDiagnostics,
+} from "./diagnostics.js";
+import {
+  readResponseBody,
+  checkResponseShape,
+  createInvalidResponseError,
+  isInvalidResponseError,
+} from "./responses.js";
+import { TabSync } from "./tab-sync.js";
+import { LeaderElector } from "./leader.js";
 
 /**
  * SDK version constant
@@ -45,23 +79,37 @@ export const SDK_VERSION = "0.4.3";
  */
 const DEFAULT_CONFIG = {
   apiBaseUrl: "https://licenseseat.com/api/v1",
+  fetch: null, // HTTP transport (null = global fetch), e.g. Electron's net.fetch or a proxied fetch
   productSlug: null, // Required: Product slug for API calls (e.g., "my-app")
   storagePrefix: "licenseseat_",
+  storage: null, // Storage adapter (null = localStorage, or in-memory when unavailable)
+  encryptionSecret: null, // Set to encrypt cached records with AES-GCM (key derived from secret + per-install salt)
+  crossTabSync: false, // Relay activation, deactivation and validation results between browser tabs
+  leaderElection: false, // Run auto-validation, heartbeat and offline refresh in one tab only
   autoValidateInterval: 3600000, // 1 hour
   heartbeatInterval: 300000, // 5 minutes
-  networkRecheckInterval: 30000, // 30 seconds
+  networkRecheckInterval: 30000, // 30 seconds before the first connectivity probe, doubled after each failed probe
+  networkRecheckMaxInterval: 300000, // 5 minutes between probes at most
   maxRetries: 3,
   retryDelay: 1000,
+  retryPolicy: null, // { maxAttempts, baseDelayMs, maxDelayMs, jitter, retryOn } (null = derived from maxRetries/retryDelay)
+  timeoutMs: 30000, // Per-attempt request timeout (0 = no timeout)
+  interceptors: [], // Request/response interceptors, run in order ({ onRequest, onResponse, onError })
+  circuitBreaker: {}, // { failureThreshold: 5, resetTimeoutMs: 30000 }, or false to disable
   apiKey: null,
   debug: false,
   offlineLicenseRefreshInterval: 1000 * 60 * 60 * 72, // 72 hours
   offlineFallbackEnabled: false, // default false (strict mode, matches Swift SDK)
+  outboxEnabled: true, // Queue heartbeats and deactivations made while offline, replay on reconnect
   maxOfflineDays: 0, // 0 = disabled
   maxClockSkewMs: 5 * 60 * 1000, // 5 minutes
   autoInitialize: true,
   telemetryEnabled: true, // Set false to disable telemetry (e.g. for GDPR compliance)
   appVersion: null, // User-provided app version, sent as app_version in telemetry
   appBuild: null, // User-provided app build, sent as app_build in telemetry
+  locale: "en", // Locale of getStatus() messages and describe()
+  messages: null, // Extra or overriding messages by locale, e.g. { de: { license_expired: "..." } }
+  diagnosticsLimit: 50, // Recent events and API calls kept for getDiagnostics() (0 = none)
 };
 
 /**
@@ -114,6 +162,20 @@ export class LicenseSeatSDK {
      */
     this.eventListeners = {};
 
+    /**
+     * Recent events and API calls for getDiagnostics()
+     * @type {DiagnosticsRecorder}
+     * @private
+     */
+    this.diagnostics = new DiagnosticsRecorder({ limit: this.config.diagnosticsLimit });
+
+    /**
+     * Listeners for every event (see onAny)
+     * @type {import('./types.js').AnyEventCallback[]}
+     * @private
+     */
+    this.anyListeners = [];
+
     /**
      * Auto-validation timer ID
      * @type {ReturnType<typeof setInterval>|null}
@@ -133,7 +195,17 @@ export class LicenseSeatSDK {
      * @type {LicenseCache}
      * @private
      */
-    this.cache = new LicenseCache(this.config.storagePrefix);
+    this.cache = new LicenseCache(this.config.storagePrefix, {
+      storage: this.config.storage,
+      // Salted by the cache with its per-install salt
+      cipher: this.config.encryptionSecret ? new CacheCipher(this.config.encryptionSecret) : null,
+      emit: (event, data) => this.emit(event, data),
+      // Combined with the cache's install salt, which unlike the device
+      // fingerprint survives browser updates and time zone changes
+      sealSecret: [this.config.encryptionSecret || this.config.apiKey || "", this.config.productSlug || ""].join(
+        "|"
+      ),
+    });
 
     /**
      * Current online status
@@ -150,11 +222,36 @@ export class LicenseSeatSDK {
     this.currentAutoLicenseKey = null;
 
     /**
-     * Connectivity polling timer ID
-     * @type {ReturnType<typeof setInterval>|null}
+     * User-facing messages for status and error codes
+     * @type {MessageCatalog}
+     * @private
+     */
+    this.messages = new MessageCatalog({
+      locale: this.config.locale,
+      messages: this.config.messages || {},
+    });
+
+    /**
+     * Detects the network coming back while offline (platform events and /health probes)
+     * @type {ConnectivityMonitor}
+     * @private
+     */
+    this.connectivity = new ConnectivityMonitor({
+      probe: () => this.checkConnectivity(),
+      onPlatformChange: (online) => this.handlePlatformConnectivity(online),
+      baseDelayMs: this.config.networkRecheckInterval,
+      maxDelayMs: this.config.networkRecheckMaxInterval,
+    });
+
+    /**
+     * Lifecycle state machine of the primary license
+     * @type {LicenseLifecycle}
      * @private
      */
-    this.connectivityTimer = null;
+    this.lifecycle = new LicenseLifecycle({
+      state: this.cache.isReady() && !this.cache.getLicense() ? "inactive" : "pending",
+      onStateChange: (next, previous, reason) => this.emit("state:changed", { previous, next, reason }),
+    });
 
     /**
      * Offline license refresh timer ID
@@ -184,6 +281,105 @@ export class LicenseSeatSDK {
      */
     this.destroyed = false;
 
+    /**
+     * Aborts in-flight requests and retry sleeps on destroy()
+     * @type {AbortController}
+     * @private
+     */
+    this.abortController = new AbortController();
+
+    /**
+     * Registered request/response interceptors, in order
+     * @type {import('./types.js').Interceptor[]}
+     * @private
+     */
+    this.interceptors = [...(this.config.interceptors || [])];
+
+    /**
+     * Circuit breaker shared by all API endpoints (null when disabled)
+     * @type {CircuitBreaker|null}
+     * @private
+     */
+    this.circuit =
+      this.config.circuitBreaker === false
+        ? null
+        : new CircuitBreaker({
+            ...this.config.circuitBreaker,
+            onStateChange: (state) => this.handleCircuitChange(state),
+          });
+
+    /**
+     * Identical API calls currently in flight, by request key
+     * @type {Map<string, import('./types.js').InflightRequest>}
+     * @private
+     */
+    this.inflightRequests = new Map();
+
+    /**
+     * Sequence number of the latest validation request started
+     * @type {number}
+     * @private
+     */
+    this.validationSequence = 0;
+
+    /**
+     * Sequence number of the latest validation applied to the cache, per license key
+     * @type {Map<string, number>}
+     * @private
+     */
+    this.appliedValidations = new Map();
+
+    /**
+     * Pending outbox replay (shared by concurrent flushOutbox() calls)
+     * @type {Promise<import('./types.js').OutboxReplayResult>|null}
+     * @private
+     */
+    this.outboxReplay = null;
+
+    /**
+     * Timer for the next outbox replay after a failed one
+     * @type {ReturnType<typeof setTimeout>|null}
+     * @private
+     */
+    this.outboxTimer = null;
+
+    /**
+     * Consecutive outbox replays that could not reach the API
+     * @type {number}
+     * @private
+     */
+    this.outboxFailures = 0;
+
+    /**
+     * Cross-tab message channel (null unless crossTabSync is enabled)
+     * @type {TabSync|null}
+     * @private
+     */
+    this.tabSync = this.config.crossTabSync
+      ? new TabSync({
+          // Outside storagePrefix: fallback messages must not be encrypted or cleared with the cache
+          name: `licenseseat:sync:${this.config.storagePrefix}`,
+          onMessage: (message) => {
+            this.handleTabMessage(message).catch((err) =>
+              this.log("Failed to apply cross-tab message:", err)
+            );
+          },
+        })
+      : null;
+
+    /**
+     * Leader election among tabs (null unless leaderElection is enabled)
+     * @type {LeaderElector|null}
+     * @private
+     */
+    this.leader = this.config.leaderElection
+      ? new LeaderElector({
+          // Outside storagePrefix: the lease must not be encrypted or cleared with the cache
+          name: `licenseseat:leader:${this.config.storagePrefix}`,
+          onChange: (leader) => this.handleLeadershipChange(leader),
+        })
+      : null;
+
     // Enable synchronous SHA512 for noble-ed25519
     if (ed && ed.etc && sha512) {
       ed.etc.sha512Sync = (...m) => sha512(ed.etc.concatBytes(...m));
@@ -203,21 +399,34 @@ export class LicenseSeatSDK {
    * Initialize the SDK
    * Loads cached license and starts auto-validation if configured.
    * Called automatically unless autoInitialize is set to false.
-   * @returns {void}
+   * With an asynchronous storage adapter, initialization is deferred until the
+   * cache has been loaded; the returned promise resolves once it has run.
+   * @returns {Promise<void>}
    */
   initialize() {
+    if (!this.cache.isReady()) {
+      this.log("Waiting for license cache to load");
+      return this.cache.ready().then(() => {
+        if (!this.destroyed) return this.initialize();
+      });
+    }
+
     this.log("LicenseSeat SDK initialized", this.config);
 
-    const cachedLicense = this.cache.getLicense();
-    if (cachedLicense) {
+    const cachedLicenses = this.getTrustedLicenses();
+    this.syncLifecycle("initialize");
+    for (const cachedLicense of cachedLicenses) {
       this.emit("license:loaded", cachedLicense);
 
       // Quick offline verification for instant UX
       if (this.config.offlineFallbackEnabled) {
-        this.quickVerifyCachedOfflineLocal()
+        this.quickVerifyCachedOfflineLocal(cachedLicense.license_key)
           .then((offlineResult) => {
             if (offlineResult) {
-              this.cache.updateValidation(offlineResult);
+              this.cache.updateValidation(offlineResult, cachedLicense.license_key);
+              this.syncLifecycle(
+                offlineResult.valid ? "validation:offline-success" : "validation:offline-failed"
+              );
               if (offlineResult.valid) {
                 this.emit("validation:offline-success", offlineResult);
               } else {
@@ -229,11 +438,7 @@ export class LicenseSeatSDK {
           .catch(() => {});
       }
 
-      // Start auto-validation and heartbeat if API key is configured
       if (this.config.apiKey) {
-        this.startAutoValidation(cachedLicense.license_key);
-        this.startHeartbeat();
-
         // Validate in background
         this.validateLicense(cachedLicense.license_key).catch((err) => {
           this.log("Background validation failed:", err);
@@ -254,10 +459,39 @@ export class LicenseSeatSDK {
         });
       }
     }
+
+    // Start auto-validation and heartbeat (covering every cached license) if API key is configured
+    if (cachedLicenses.length && this.config.apiKey) {
+      this.startAutoValidation(cachedLicenses[0].license_key);
+      this.startHeartbeat();
+    }
+
+    // Send requests queued while offline in a previous session
+    if (this.config.apiKey && this.cache.getOutbox().length) {
+      this.flushOutbox();
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Wait until the license cache is loaded.
+   * Only needed with asynchronous storage adapters (e.g. IndexedDB): until then,
+   * synchronous methods such as {@link hasEntitlement} and {@link getStatus}
+   * report no license.
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    await this.cache.ready();
+    if (!this.destroyed) this.syncLifecycle("initialize");
   }
 
   /**
-   * Activate a license
+   * Activate a license.
+   * Activating a different key than the ones already cached adds it alongside
+   * them (e.g. plugin keys next to a base app key); their entitlements are merged.
+   * Re-activating a cached key replaces its record.
+   * A deactivation of the same key still queued in the outbox is withdrawn, so
+   * replaying it cannot free the seat this activation takes.
    * @param {string} licenseKey - The license key to activate
    * @param {import('./types.js').ActivationOptions} [options={}] - Activation options
    * @returns {Promise<import('./types.js').CachedLicense>} Activation result with cached license data
@@ -269,7 +503,11 @@ export class LicenseSeatSDK {
       throw new ConfigurationError("productSlug is required for activation");
     }
 
+    await this.cache.ready();
+
     const deviceId = options.deviceId || generateDeviceId();
+    // One key per activation, reused by every retry, so a retry never consumes a second seat
+    const idempotencyKey = options.idempotencyKey || generateIdempotencyKey();
     const payload = {
       device_id: deviceId,
       metadata: options.metadata || {},
@@ -279,6 +517,17 @@ export class LicenseSeatSDK {
       payload.device_name = options.deviceName;
     }
 
+    // Let a deactivation already being replayed reach the API before this
+    // activation, then withdraw the ones still queued
+    if (this.outboxReplay) await this.outboxReplay;
+    const superseded = this.cache.takeOutboxEntries(`deactivate:${licenseKey}`);
+
+    // Activating an additional license leaves the primary license's state alone
+    const primary = this.cache.getLicense();
+    const tracked =
+      (!primary || primary.license_key === licenseKey) &&
+      this.lifecycle.transition("activating", "activation:start");
+
     try {
       this.emit("activation:start", { licenseKey, deviceId });
 
@@ -288,6 +537,10 @@ export class LicenseSeatSDK {
         {
           method: "POST",
           body: payload,
+          responseType: "activation",
+          idempotencyKey,
+          signal: options.signal,
+          timeoutMs: options.timeoutMs,
         }
       );
 
@@ -301,62 +554,93 @@ export class LicenseSeatSDK {
       };
 
       this.cache.setLicense(licenseData);
-      this.cache.updateValidation({ valid: true, optimistic: true });
+      this.cache.updateValidation({ valid: true, optimistic: true }, licenseKey);
       this.startAutoValidation(licenseKey);
       this.startHeartbeat();
       this.syncOfflineAssets();
       this.scheduleOfflineRefresh();
 
+      this.syncLifecycle("activation:success", tracked);
       this.emit("activation:success", licenseData);
+      this.broadcast("activation:success", licenseData);
       return licenseData;
     } catch (error) {
+      // The seat may still need freeing: queue the withdrawn deactivation again
+      superseded.forEach((entry) => this.cache.enqueueOutbox(entry));
+      this.syncLifecycle("activation:error", tracked);
       this.emit("activation:error", { licenseKey, error });
       throw error;
     }
   }
 
   /**
-   * Deactivate the current license
-   * @returns {Promise<Object>} Deactivation result from the API
+   * Deactivate a license.
+   * When the device is offline (and `outboxEnabled` is set), the license is
+   * removed locally and the deactivation is queued until the API is reachable.
+   * @param {string} [licenseKey] - License key to deactivate (defaults to the primary license)
+   * @param {import('./types.js').RequestOptions} [options={}] - Request options
+   * @returns {Promise<Object>} Deactivation result from the API, or a {@link import('./types.js').QueuedRequest} when queued
    * @throws {ConfigurationError} When productSlug is not configured
    * @throws {LicenseError} When no active license is found
    * @throws {APIError} When the API request fails
    */
-  async deactivate() {
+  async deactivate(licenseKey, options = {}) {
     if (!this.config.productSlug) {
       throw new ConfigurationError("productSlug is required for deactivation");
     }
 
-    const cachedLicense = this.cache.getLicense();
+    await this.cache.ready();
+    const cachedLicense = this.cache.getLicense(licenseKey);
     if (!cachedLicense) {
       throw new LicenseError("No active license found", "no_license");
     }
 
+    // New v1 API: POST /products/{slug}/licenses/{key}/deactivate
+    const endpoint = `/products/${this.config.productSlug}/licenses/${encodeURIComponent(cachedLicense.license_key)}/deactivate`;
+    const body = { device_id: cachedLicense.device_id };
+    const idempotencyKey = generateIdempotencyKey();
+    const tracked =
+      cachedLicense.license_key === this.cache.getLicense().license_key &&
+      this.lifecycle.transition("deactivating", "deactivation:start");
+
+    let response;
     try {
       this.emit("deactivation:start", cachedLicense);
-
-      // New v1 API: POST /products/{slug}/licenses/{key}/deactivate
-      const response = await this.apiCall(
-        `/products/${this.config.productSlug}/licenses/${encodeURIComponent(cachedLicense.license_key)}/deactivate`,
-        {
-          method: "POST",
-          body: {
-            device_id: cachedLicense.device_id,
-          },
-        }
+      response = await this.apiCall(endpoint, {
+        method: "POST",
+        body,
+        idempotencyKey,
+        signal: options.signal,
+        timeoutMs: options.timeoutMs,
+      });
+    } catch (error) {
+      if (!this.config.outboxEnabled || !this.isNetworkFailure(error)) {
+        this.syncLifecycle("deactivation:error", tracked);
+        this.emit("deactivation:error", { error, license: cachedLicense });
+        throw error;
+      }
+      // Offline: free the seat once the API is reachable, heartbeats are no longer needed
+      response = this.queueRequest(
+        { type: "deactivate", licenseKey: cachedLicense.license_key, endpoint, body, idempotencyKey },
+        [`heartbeat:${cachedLicense.license_key}`]
       );
+    }
 
-      this.cache.clearLicense();
-      this.cache.clearOfflineToken();
+    this.cache.clearOfflineToken(cachedLicense.license_key);
+    this.cache.clearLicense(cachedLicense.license_key);
+
+    const remaining = this.cache.getLicense();
+    if (!remaining) {
       this.stopAutoValidation();
       this.stopHeartbeat();
-
-      this.emit("deactivation:success", response);
-      return response;
-    } catch (error) {
-      this.emit("deactivation:error", { error, license: cachedLicense });
-      throw error;
+    } else if (this.currentAutoLicenseKey === cachedLicense.license_key) {
+      this.currentAutoLicenseKey = remaining.license_key;
     }
+
+    this.syncLifecycle("deactivation:success", tracked);
+    this.emit("deactivation:success", response);
+    this.broadcast("deactivation:success", response);
+    return response;
   }
 
   /**
@@ -372,6 +656,9 @@ export class LicenseSeatSDK {
       throw new ConfigurationError("productSlug is required for validation");
     }
 
+    await this.cache.ready();
+    const sequence = ++this.validationSequence;
+
     try {
       this.emit("validation:start", { licenseKey });
 
@@ -381,8 +668,14 @@ export class LicenseSeatSDK {
         {
           method: "POST",
           body: {
-            device_id: options.deviceId || this.cache.getDeviceId(),
+            device_id:
+              options.deviceId ||
+              this.cache.getDeviceId(licenseKey) ||
+              this.cache.getDeviceId(),
           },
+          responseType: "validation_result",
+          signal: options.signal,
+          timeoutMs: options.timeoutMs,
         }
       );
 
@@ -400,7 +693,7 @@ export class LicenseSeatSDK {
       };
 
       // Preserve cached entitlements if server response omits them
-      const cachedLicense = this.cache.getLicense();
+      const cachedLicense = this.getTrustedLicense(licenseKey);
       if (
         (!response.active_entitlements ||
           response.active_entitlements.length === 0) &&
@@ -410,17 +703,24 @@ export class LicenseSeatSDK {
           cachedLicense.validation.active_entitlements;
       }
 
+      // A newer validation already answered: hand the result back to the
+      // caller but leave the cache, events and lifecycle to the newer one
+      if (!this.claimValidationOrder(licenseKey, sequence)) {
+        return response;
+      }
+
       if (cachedLicense && cachedLicense.license_key === licenseKey) {
-        this.cache.updateValidation(response);
+        this.cache.updateValidation(response, licenseKey);
+        this.broadcast("license:loaded", licenseKey);
       }
 
+      this.syncLifecycle(response.valid ? "validation:success" : "validation:failed");
       if (response.valid) {
         this.emit("validation:success", response);
         this.cache.setLastSeenTimestamp(Date.now());
       } else {
         this.emit("validation:failed", response);
-        this.stopAutoValidation();
-        this.currentAutoLicenseKey = null;
+        this.haltAutoValidation(licenseKey);
       }
 
       this.cache.setLastSeenTimestamp(Date.now());
@@ -429,44 +729,55 @@ export class LicenseSeatSDK {
       this.emit("validation:error", { licenseKey, error });
 
       // Check for offline fallback
-      const isNetworkFailure =
-        (error instanceof TypeError && error.message.includes("fetch")) ||
-        (error instanceof APIError && [0, 408].includes(error.status));
+      if (this.config.offlineFallbackEnabled && this.isNetworkFailure(error)) {
+        const offlineResult = await this.verifyCachedOffline(licenseKey);
 
-      if (this.config.offlineFallbackEnabled && isNetworkFailure) {
-        const offlineResult = await this.verifyCachedOffline();
+        if (!this.claimValidationOrder(licenseKey, sequence)) {
+          if (offlineResult.valid) return offlineResult;
+          throw error;
+        }
 
-        const cachedLicense = this.cache.getLicense();
+        const cachedLicense = this.cache.getLicense(licenseKey);
         if (cachedLicense && cachedLicense.license_key === licenseKey) {
-          this.cache.updateValidation(offlineResult);
+          this.cache.updateValidation(offlineResult, licenseKey);
         }
+        this.syncLifecycle(
+          offlineResult.valid ? "validation:offline-success" : "validation:offline-failed"
+        );
 
         if (offlineResult.valid) {
           this.emit("validation:offline-success", offlineResult);
           return offlineResult;
         } else {
           this.emit("validation:offline-failed", offlineResult);
-          this.stopAutoValidation();
-          this.currentAutoLicenseKey = null;
+          this.haltAutoValidation(licenseKey);
         }
       }
 
-      // Persist invalid status from error response
-      if (error instanceof APIError && error.data) {
-        const cachedLicense = this.cache.getLicense();
+      // Persist invalid status from error response (a garbled reply says nothing about the license)
+      if (
+        error instanceof APIError &&
+        error.data &&
+        !isInvalidResponseError(error) &&
+        this.claimValidationOrder(licenseKey, sequence)
+      ) {
+        const cachedLicense = this.cache.getLicense(licenseKey);
         if (cachedLicense && cachedLicense.license_key === licenseKey) {
           // Extract code from new error format: { error: { code, message } }
           const errorCode = error.data.error?.code || error.data.code;
           const errorMessage = error.data.error?.message || error.data.message;
-          this.cache.updateValidation({
-            valid: false,
-            code: errorCode,
-            message: errorMessage,
-          });
+          this.cache.updateValidation(
+            {
+              valid: false,
+              code: errorCode,
+              message: errorMessage,
+            },
+            licenseKey
+          );
+          this.syncLifecycle("validation:failed");
         }
         if (![0, 408, 429].includes(error.status)) {
-          this.stopAutoValidation();
-          this.currentAutoLicenseKey = null;
+          this.haltAutoValidation(licenseKey);
         }
       }
 
@@ -475,39 +786,68 @@ export class LicenseSeatSDK {
   }
 
   /**
-   * Check if a specific entitlement is active (detailed version)
+   * Record that a validation result is about to be applied to the cache.
+   * Results are applied in the order their requests started: once a newer
+   * validation of the same license was applied, older ones are stale.
+   * @param {string} licenseKey - Validated license key
+   * @param {number} sequence - Sequence number of the validation request
+   * @returns {boolean} False if the result is stale and must not be applied
+   * @private
+   */
+  claimValidationOrder(licenseKey, sequence) {
+    if ((this.appliedValidations.get(licenseKey) || 0) > sequence) {
+      this.log(`Ignoring stale validation result for ${licenseKey}`);
+      return false;
+    }
+    this.appliedValidations.set(licenseKey, sequence);
+    return true;
+  }
+
+  /**
+   * Check if a specific entitlement is active (detailed version).
+   * Entitlements are merged across all cached licenses; the returned
+   * entitlement's `source` is the license key that grants it.
    * @param {string} entitlementKey - The entitlement key to check
    * @returns {import('./types.js').EntitlementCheckResult} Entitlement status with details
    */
   checkEntitlement(entitlementKey) {
-    const license = this.cache.getLicense();
-    if (!license || !license.validation) {
-      return { active: false, reason: "no_license" };
+    if (!this.cache.isReady()) {
+      return { active: false, reason: "cache_loading" };
     }
 
-    const entitlements = license.validation.active_entitlements || [];
-    const entitlement = entitlements.find((e) => e.key === entitlementKey);
+    const licenses = this.getTrustedLicenses().filter((license) => license.validation);
+    if (!licenses.length) {
+      return { active: false, reason: "no_license" };
+    }
 
-    if (!entitlement) {
+    const matches = this.mergeEntitlements(licenses).filter((e) => e.key === entitlementKey);
+    if (!matches.length) {
       return { active: false, reason: "not_found" };
     }
 
-    if (entitlement.expires_at) {
-      const expiresAt = new Date(entitlement.expires_at);
-      const now = new Date();
-
-      if (expiresAt < now) {
-        return {
-          active: false,
-          reason: "expired",
-          expires_at: entitlement.expires_at,
-        };
-      }
+    const now = new Date();
+    const entitlement = matches.find((e) => !e.expires_at || new Date(e.expires_at) >= now);
+    if (!entitlement) {
+      return {
+        active: false,
+        reason: "expired",
+        expires_at: matches[0].expires_at,
+      };
     }
 
     return { active: true, entitlement };
   }
 
+  /**
+   * Get the entitlements of all cached licenses, each tagged with the license
+   * key that grants it (`source`)
+   * @returns {import('./types.js').Entitlement[]} Merged entitlements (primary license first)
+   */
+  getEntitlements() {
+    if (!this.cache.isReady()) return [];
+    return this.mergeEntitlements(this.getTrustedLicenses());
+  }
+
   /**
    * Check if a specific entitlement is active (simple boolean version)
    * This is a convenience method that returns a simple boolean.
@@ -524,6 +864,9 @@ export class LicenseSeatSDK {
    * @param {Object} [options={}] - Options for offline token generation
    * @param {string} [options.deviceId] - Device ID to bind the token to (required for hardware_locked mode)
    * @param {number} [options.ttlDays] - Token lifetime in days (default: 30, max: 90)
+   * @param {string} [options.licenseKey] - License to fetch the token for (defaults to the primary license)
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeoutMs] - Per-attempt timeout in ms (defaults to config.timeoutMs)
    * @returns {Promise<import('./types.js').OfflineToken>} Offline token data
    * @throws {ConfigurationError} When productSlug is not configured
    * @throws {LicenseError} When no active license is found
@@ -534,7 +877,8 @@ export class LicenseSeatSDK {
       throw new ConfigurationError("productSlug is required for offline token");
     }
 
-    const license = this.cache.getLicense();
+    await this.cache.ready();
+    const license = this.cache.getLicense(options.licenseKey);
     if (!license || !license.license_key) {
       const errorMsg =
         "No active license key found in cache to fetch offline token.";
@@ -560,6 +904,9 @@ export class LicenseSeatSDK {
       const response = await this.apiCall(path, {
         method: "POST",
         body: body, // Always send body so telemetry gets included
+        responseType: "offline_token",
+        signal: options.signal,
+        timeoutMs: options.timeoutMs,
       });
 
       this.emit("offlineToken:fetched", {
@@ -595,15 +942,10 @@ export class LicenseSeatSDK {
       // New v1 API: GET /signing_keys/{key_id}
       const response = await this.apiCall(`/signing_keys/${encodeURIComponent(keyId)}`, {
         method: "GET",
+        responseType: "signing_key",
       });
-      if (response && response.public_key) {
-        this.log(`Successfully fetched signing key for kid: ${keyId}`);
-        return response;
-      } else {
-        throw new Error(
-          `Signing key not found or invalid response for kid: ${keyId}`
-        );
-      }
+      this.log(`Successfully fetched signing key for kid: ${keyId}`);
+      return response;
     } catch (error) {
       this.log(`Failed to fetch signing key for kid ${keyId}:`, error);
       throw error;
@@ -662,52 +1004,168 @@ export class LicenseSeatSDK {
   }
 
   /**
-   * Get current license status
+   * Get current license status.
+   * Without a license key, reports the primary license with the entitlements of
+   * all cached licenses merged and the list of cached license keys.
+   * Includes `storage_fallback: true` when storage failed and the cache is
+   * only kept in memory.
+   * @param {string} [licenseKey] - Report a single cached license instead
    * @returns {import('./types.js').LicenseStatus} Current license status
    */
-  getStatus() {
-    const license = this.cache.getLicense();
-    if (!license) {
-      return { status: "inactive", message: "No license activated" };
+  getStatus(licenseKey) {
+    const status = this.readStatus(licenseKey);
+    if (this.cache.fallback) {
+      status.storage_fallback = true;
     }
+    return status;
+  }
 
-    const validation = license.validation;
-    if (!validation) {
-      return { status: "pending", message: "License pending validation" };
+  /**
+   * Build the license status from the license's lifecycle state
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
+   * @param {boolean} [peek=false] - Read without reconciling the lifecycle or acting on tampering (see {@link peekTrustedLicense})
+   * @returns {import('./types.js').LicenseStatus} License status
+   * @private
+   */
+  readStatus(licenseKey, peek = false) {
+    const state = peek ? this.peekLicenseState(licenseKey) : this.readLicenseState(licenseKey);
+    if (!this.cache.isReady()) {
+      return { status: "pending", state, code: "cache_loading", message: this.describe("cache_loading") };
     }
 
-    if (!validation.valid) {
-      if (validation.offline) {
-        return {
-          status: "offline-invalid",
-          message: validation.code || "License invalid (offline)",
-        };
-      }
-      return {
-        status: "invalid",
-        message: validation.message || validation.code || "License invalid",
-      };
+    const license = peek ? this.peekTrustedLicense(licenseKey) : this.getTrustedLicense(licenseKey);
+    // While a request is in flight, report what is cached (an activation without one is pending)
+    let settled = state;
+    if (state === "activating" || state === "deactivating") {
+      settled = license ? deriveLicenseState(license, { online: this.online }) : "pending";
     }
 
-    if (validation.offline) {
-      return {
-        status: "offline-valid",
-        license: license.license_key,
-        device: license.device_id,
-        activated_at: license.activated_at,
-        last_validated: license.last_validated,
-        entitlements: validation.active_entitlements || [],
-      };
+    if (!license && settled !== "pending") {
+      return { status: "inactive", state, code: "no_license", message: this.describe("no_license") };
+    }
+
+    if (settled === "pending") {
+      return { status: "pending", state, message: this.describe("status_pending") };
     }
 
-    return {
-      status: "active",
+    const validation = license.validation;
+    if (settled === "invalid" || settled === "revoked") {
+      const status = validation.offline && !validation.valid ? "offline-invalid" : "invalid";
+      // A revoked license stays revoked even when its offline token still verifies
+      const code = validation.valid ? "license_revoked" : validation.code;
+      // Catalog text for known codes, then the server's message, then a generic one
+      const message =
+        this.messages.lookup(code) ||
+        (!validation.offline && !validation.valid && validation.message) ||
+        this.describe(`status_${status}`);
+      return { status, state, code, message };
+    }
+
+    /** @type {import('./types.js').LicenseStatus} */
+    const status = {
+      status: settled === "offline-valid" ? "offline-valid" : "active",
+      state,
       license: license.license_key,
       device: license.device_id,
       activated_at: license.activated_at,
       last_validated: license.last_validated,
-      entitlements: validation.active_entitlements || [],
+      entitlements: this.mergeEntitlements([license]),
     };
+
+    if (!licenseKey) {
+      const licenses = peek
+        ? this.cache.getLicenses().map((l) => this.peekTrustedLicense(l.license_key))
+        : this.getTrustedLicenses();
+      status.entitlements = this.mergeEntitlements(licenses);
+      status.licenses = licenses.map((l) => l.license_key);
+    }
+
+    return status;
+  }
+
+  /**
+   * Get the lifecycle state of a license. The primary license is tracked by
+   * the state machine, first reconciled with the cache (which another tab or
+   * the app may have changed); other licenses are derived from their cached
+   * validation.
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
+   * @returns {import('./types.js').LicenseState}
+   * @private
+   */
+  readLicenseState(licenseKey) {
+    const primary = this.cache.isReady() ? this.cache.getLicense() : null;
+    if (licenseKey && primary && primary.license_key !== licenseKey) {
+      return deriveLicenseState(this.getTrustedLicense(licenseKey), { online: this.online });
+    }
+    this.syncLifecycle("cache");
+    return this.lifecycle.state;
+  }
+
+  /**
+   * Get the lifecycle state of a license like {@link readLicenseState}, but
+   * report the state machine as it is instead of reconciling it with the cache
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
+   * @returns {import('./types.js').LicenseState}
+   * @private
+   */
+  peekLicenseState(licenseKey) {
+    const primary = this.cache.isReady() ? this.cache.getLicense() : null;
+    if (licenseKey && primary && primary.license_key !== licenseKey) {
+      return deriveLicenseState(this.peekTrustedLicense(licenseKey), { online: this.online });
+    }
+    return this.lifecycle.state;
+  }
+
+  /**
+   * Move the lifecycle to the state the cached primary license and the
+   * connectivity describe. Transitions the machine does not allow are ignored.
+   * While an activation or deactivation is in flight only that request settles
+   * the state.
+   * @param {string} reason - What caused the change (usually the SDK event)
+   * @param {boolean} [settle=false] - Whether this ends the activation or deactivation in flight
+   * @returns {void}
+   * @private
+   */
+  syncLifecycle(reason, settle = false) {
+    if (this.lifecycle.isTransient() && !settle) return;
+    const ready = this.cache.isReady();
+    const next = deriveLicenseState(ready ? this.getTrustedLicense() : null, {
+      ready,
+      online: this.online,
+    });
+    if (!this.lifecycle.transition(next, reason)) {
+      this.log(`Ignoring license state change from ${this.lifecycle.state} to ${next} (${reason})`);
+    }
+  }
+
+  /**
+   * Get the user-facing message for a status or error code, in the configured
+   * `locale` unless another is given. Accepts a code, an error, a validation
+   * result, an entitlement check result or a license status.
+   * @param {import('./types.js').DescribeSubject} subject - What to describe
+   * @param {string} [locale] - Locale (falls back to its language, then English)
+   * @returns {string} Message
+   * @example
+   * ```js
+   * try {
+   *   await sdk.activate(key);
+   * } catch (error) {
+   *   showError(sdk.describe(error)); // "This license is already in use on the maximum number of devices."
+   * }
+   * ```
+   */
+  describe(subject, locale) {
+    return this.messages.describe(subject, locale);
+  }
+
+  /**
+   * Add or override messages for a locale
+   * @param {string} locale - Locale (e.g. "de" or "pt-BR")
+   * @param {import('./types.js').MessageCatalogEntries} messages - Messages by code
+   * @returns {void}
+   */
+  addMessages(locale, messages) {
+    this.messages.register(locale, messages);
   }
 
   /**
@@ -743,32 +1201,44 @@ export class LicenseSeatSDK {
   }
 
   /**
-   * Send a heartbeat for the current license.
-   * Heartbeats let the server know the device is still active.
-   * @returns {Promise<Object|undefined>} Heartbeat response, or undefined if no active license
+   * Send a heartbeat for a license.
+   * Heartbeats let the server know the device is still active. When the device
+   * is offline (and `outboxEnabled` is set), the heartbeat is queued instead.
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
+   * @param {import('./types.js').RequestOptions} [options={}] - Request options
+   * @returns {Promise<Object|undefined>} Heartbeat response, a {@link import('./types.js').QueuedRequest} when queued, or undefined if no active license
    * @throws {ConfigurationError} When productSlug is not configured
    * @throws {APIError} When the API request fails
    */
-  async heartbeat() {
+  async heartbeat(licenseKey, options = {}) {
     if (!this.config.productSlug) {
       throw new ConfigurationError("productSlug is required for heartbeat");
     }
 
-    const cached = this.cache.getLicense();
+    await this.cache.ready();
+    const cached = this.cache.getLicense(licenseKey);
     if (!cached) {
       this.log("No active license for heartbeat");
       return;
     }
 
+    const endpoint = `/products/${this.config.productSlug}/licenses/${encodeURIComponent(cached.license_key)}/heartbeat`;
     const body = { device_id: cached.device_id };
 
-    const response = await this.apiCall(
-      `/products/${this.config.productSlug}/licenses/${encodeURIComponent(cached.license_key)}/heartbeat`,
-      {
+    let response;
+    try {
+      response = await this.apiCall(endpoint, {
         method: "POST",
         body: body,
-      }
-    );
+        responseType: "heartbeat",
+        signal: options.signal,
+        timeoutMs: options.timeoutMs,
+      });
+    } catch (error) {
+      if (!this.config.outboxEnabled || !this.isNetworkFailure(error)) throw error;
+      this.log("Heartbeat queued until the network is back");
+      return this.queueRequest({ type: "heartbeat", licenseKey: cached.license_key, endpoint, body });
+    }
 
     this.emit("heartbeat:success", response);
     this.log("Heartbeat sent successfully");
@@ -783,6 +1253,7 @@ export class LicenseSeatSDK {
     this.stopAutoValidation();
     this.stopHeartbeat();
     this.stopConnectivityPolling();
+    this.stopOutboxReplay();
     if (this.offlineRefreshTimer) {
       clearInterval(this.offlineRefreshTimer);
       this.offlineRefreshTimer = null;
@@ -790,6 +1261,7 @@ export class LicenseSeatSDK {
     this.cache.clear();
     this.lastOfflineValidation = null;
     this.currentAutoLicenseKey = null;
+    this.syncLifecycle("sdk:reset", true);
     this.emit("sdk:reset");
   }
 
@@ -801,14 +1273,25 @@ export class LicenseSeatSDK {
    */
   destroy() {
     this.destroyed = true;
+    this.abortController.abort();
+    if (this.leader) {
+      this.leader.close();
+      this.leader = null;
+    }
+    if (this.tabSync) {
+      this.tabSync.close();
+      this.tabSync = null;
+    }
     this.stopAutoValidation();
     this.stopHeartbeat();
-    this.stopConnectivityPolling();
+    this.connectivity.close();
+    this.stopOutboxReplay();
     if (this.offlineRefreshTimer) {
       clearInterval(this.offlineRefreshTimer);
       this.offlineRefreshTimer = null;
     }
     this.eventListeners = {};
+    this.anyListeners = [];
     this.cache.clear();
     this.lastOfflineValidation = null;
     this.currentAutoLicenseKey = null;
@@ -821,8 +1304,9 @@ export class LicenseSeatSDK {
 
   /**
    * Subscribe to an event
-   * @param {string} event - Event name
-   * @param {import('./types.js').EventCallback} callback - Event handler
+   * @template {import('./types.js').LicenseSeatEventName} K
+   * @param {K} event - Event name
+   * @param {import('./types.js').EventCallback<import('./types.js').LicenseSeatEventMap[K]>} callback - Event handler
    * @returns {import('./types.js').EventUnsubscribe} Unsubscribe function
    */
   on(event, callback) {
@@ -833,38 +1317,139 @@ export class LicenseSeatSDK {
     return () => this.off(event, callback);
   }
 
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @template {import('./types.js').LicenseSeatEventName} K
+   * @param {K} event - Event name
+   * @param {import('./types.js').EventCallback<import('./types.js').LicenseSeatEventMap[K]>} callback - Event handler
+   * @returns {import('./types.js').EventUnsubscribe} Unsubscribe function
+   */
+  once(event, callback) {
+    const wrapper = (data) => {
+      this.off(event, wrapper);
+      return callback(data);
+    };
+    // Lets off(event, callback) find the wrapper
+    wrapper.listener = callback;
+    return this.on(event, wrapper);
+  }
+
   /**
    * Unsubscribe from an event
-   * @param {string} event - Event name
-   * @param {import('./types.js').EventCallback} callback - Event handler to remove
+   * @template {import('./types.js').LicenseSeatEventName} K
+   * @param {K} event - Event name
+   * @param {import('./types.js').EventCallback<import('./types.js').LicenseSeatEventMap[K]>} callback - Event handler to remove
    * @returns {void}
    */
   off(event, callback) {
     if (this.eventListeners[event]) {
       this.eventListeners[event] = this.eventListeners[event].filter(
-        (cb) => cb !== callback
+        (cb) => cb !== callback && /** @type {*} */ (cb).listener !== callback
       );
     }
   }
 
+  /**
+   * Subscribe to every event (e.g. for logging or forwarding to analytics).
+   * Called after the event's own listeners.
+   * @param {import('./types.js').AnyEventCallback} callback - Called with the event name and data
+   * @returns {import('./types.js').EventUnsubscribe} Unsubscribe function
+   */
+  onAny(callback) {
+    this.anyListeners.push(callback);
+    return () => this.offAny(callback);
+  }
+
+  /**
+   * Unsubscribe a callback added with onAny()
+   * @param {import('./types.js').AnyEventCallback} callback - Callback to remove
+   * @returns {void}
+   */
+  offAny(callback) {
+    this.anyListeners = this.anyListeners.filter((cb) => cb !== callback);
+  }
+
+  /**
+   * Wait for the next occurrence of an event
+   * @template {import('./types.js').LicenseSeatEventName} K
+   * @param {K} event - Event name
+   * @param {import('./types.js').WaitForOptions} [options={}] - Timeout, abort signal and filter
+   * @returns {Promise<import('./types.js').LicenseSeatEventMap[K]>} Resolves with the event data
+   * @throws {DOMException} TimeoutError when the timeout elapses, AbortError when the signal aborts or the SDK is destroyed
+   * @example
+   * ```js
+   * const result = await sdk.waitFor('validation:success', { timeout: 10000 });
+   * ```
+   */
+  waitFor(event, options = {}) {
+    return new Promise((resolve, reject) => {
+      const link = linkAbortSignals(this.abortController.signal, options.signal);
+      const signal = link.controller.signal;
+      if (signal.aborted) {
+        link.dispose();
+        reject(getAbortReason(signal));
+        return;
+      }
+
+      let timer = null;
+      let unsubscribe = null;
+      const settle = () => {
+        if (timer) clearTimeout(timer);
+        unsubscribe();
+        signal.removeEventListener("abort", onAbort);
+        link.dispose();
+      };
+      const onAbort = () => {
+        settle();
+        reject(getAbortReason(signal));
+      };
+
+      unsubscribe = this.on(event, (data) => {
+        if (options.filter && !options.filter(data)) return;
+        settle();
+        resolve(data);
+      });
+      signal.addEventListener("abort", onAbort, { once: true });
+      if (options.timeout > 0) {
+        timer = setTimeout(() => {
+          settle();
+          reject(
+            new DOMException(`Timed out after ${options.timeout}ms waiting for "${event}"`, "TimeoutError")
+          );
+        }, options.timeout);
+      }
+    });
+  }
+
   /**
    * Emit an event
-   * @param {string} event - Event name
-   * @param {*} data - Event data
+   * @template {import('./types.js').LicenseSeatEventName} K
+   * @param {K} event - Event name
+   * @param {import('./types.js').LicenseSeatEventMap[K]} [data] - Event data
    * @returns {void}
    * @private
    */
   emit(event, data) {
     this.log(`Event: ${event}`, data);
-    if (this.eventListeners[event]) {
-      this.eventListeners[event].forEach((callback) => {
-        try {
-          callback(data);
-        } catch (error) {
-          console.error(`Error in event listener for ${event}:`, error);
+    this.diagnostics.recordEvent(event, data);
+    const call = (callback, ...args) => {
+      try {
+        const result = callback(...args);
+        // Async listeners: report rejections instead of leaving them unhandled
+        if (result && typeof result.then === "function") {
+          result.then(undefined, (error) =>
+            console.error(`Error in event listener for ${event}:`, error)
+          );
         }
-      });
+      } catch (error) {
+        console.error(`Error in event listener for ${event}:`, error);
+      }
+    };
+    if (this.eventListeners[event]) {
+      // Copy: once() listeners remove themselves while we iterate
+      [...this.eventListeners[event]].forEach((callback) => call(callback, data));
     }
+    [...this.anyListeners].forEach((callback) => call(callback, event, data));
   }
 
   // ============================================================
@@ -881,6 +1466,12 @@ export class LicenseSeatSDK {
     this.stopAutoValidation();
 
     this.currentAutoLicenseKey = licenseKey;
+
+    if (!this.isLeader()) {
+      this.log("Auto-validation left to the leader tab");
+      return;
+    }
+
     const validationInterval = this.config.autoValidateInterval;
 
     // Don't start auto-validation if interval is 0 or negative
@@ -890,15 +1481,19 @@ export class LicenseSeatSDK {
     }
 
     const performAndReschedule = () => {
-      this.validateLicense(licenseKey)
-        .then(() => {
-          this.heartbeat().catch((err) => this.log("Heartbeat failed:", err));
-        })
-        .catch((err) => {
-          this.log("Auto-validation failed:", err);
-          this.emit("validation:auto-failed", { licenseKey, error: err });
-        });
-      this.emit("autovalidation:cycle", {
+      const cachedKeys = this.cache.getLicenses().map((l) => l.license_key);
+      const keys = cachedKeys.length ? cachedKeys : [licenseKey];
+      keys.forEach((key) => {
+        this.validateLicense(key)
+          .then(() => {
+            this.heartbeat(key).catch((err) => this.log("Heartbeat failed:", err));
+          })
+          .catch((err) => {
+            this.log("Auto-validation failed:", err);
+            this.emit("validation:auto-failed", { licenseKey: key, error: err });
+          });
+      });
+      this.emit("autovalidation:cycle", {
         nextRunAt: new Date(Date.now() + validationInterval),
       });
     };
@@ -910,6 +1505,20 @@ export class LicenseSeatSDK {
     });
   }
 
+  /**
+   * Stop automatic validation after a license became invalid, unless other
+   * cached licenses still need it
+   * @param {string} licenseKey - License key that became invalid
+   * @returns {void}
+   * @private
+   */
+  haltAutoValidation(licenseKey) {
+    const others = this.cache.getLicenses().filter((l) => l.license_key !== licenseKey);
+    if (others.length) return;
+    this.stopAutoValidation();
+    this.currentAutoLicenseKey = null;
+  }
+
   /**
    * Stop automatic validation
    * @returns {void}
@@ -943,8 +1552,13 @@ export class LicenseSeatSDK {
       return;
     }
 
+    if (!this.isLeader()) {
+      this.log("Heartbeat timer left to the leader tab");
+      return;
+    }
+
     this.heartbeatTimer = setInterval(() => {
-      this.heartbeat()
+      Promise.all(this.cache.getLicenses().map((l) => this.heartbeat(l.license_key)))
         .then(() => this.emit("heartbeat:cycle", { nextRunAt: new Date(Date.now() + interval) }))
         .catch((err) => this.log("Heartbeat timer failed:", err));
     }, interval);
@@ -968,63 +1582,367 @@ export class LicenseSeatSDK {
   }
 
   /**
-   * Start connectivity polling (when offline)
+   * Start probing connectivity (when offline)
    * @returns {void}
    * @private
    */
   startConnectivityPolling() {
-    if (this.connectivityTimer) return;
+    this.connectivity.start();
+  }
+
+  /**
+   * Stop probing connectivity
+   * @returns {void}
+   * @private
+   */
+  stopConnectivityPolling() {
+    this.connectivity.stop();
+  }
+
+  /**
+   * Probe the API's /health endpoint; going back online when it answers
+   * @returns {Promise<boolean>} Whether the API was reachable
+   * @private
+   */
+  async checkConnectivity() {
+    try {
+      // New v1 API: GET /health
+      const { response } = await this.sendRequest(
+        `${this.config.apiBaseUrl}/health`,
+        { method: "GET", headers: {}, credentials: "omit" },
+        {
+          timeoutMs: this.config.timeoutMs,
+          // Consume the response body to release the connection
+          read: (res) => (typeof res.text === "function" ? res.text().catch(() => {}) : undefined),
+        }
+      );
+      // The API is healthy again: let requests through
+      if (this.circuit && response.ok) this.circuit.recordSuccess();
+    } catch (err) {
+      return false;
+    }
+    this.markOnline("probe");
+    return true;
+  }
+
+  /**
+   * React to the platform's online/offline events. Going back online is
+   * confirmed by the probe the monitor runs right away.
+   * @param {boolean} online - Whether the platform reports the network as up
+   * @returns {void}
+   * @private
+   */
+  handlePlatformConnectivity(online) {
+    if (!online) this.markOffline(null, "platform");
+  }
 
-    const healthCheck = async () => {
+  /**
+   * Switch to offline: stop auto-validation and probe until the network is back
+   * @param {Error|null} error - Failure that revealed the outage (null for platform events)
+   * @param {import('./types.js').ConnectivitySource} source - What detected the outage
+   * @returns {void}
+   * @private
+   */
+  markOffline(error, source) {
+    if (!this.online) return;
+    this.online = false;
+    this.emit("network:offline", { error, source });
+    this.syncLifecycle("network:offline");
+    this.stopAutoValidation();
+    this.connectivity.start();
+  }
+
+  /**
+   * Switch back to online and replay the outbox. When the recovery was
+   * detected by a probe (rather than by a successful API call), also catch up
+   * right away: revalidate cached licenses and resync offline assets.
+   * @param {import('./types.js').ConnectivitySource} source - What detected the recovery
+   * @returns {void}
+   * @private
+   */
+  markOnline(source) {
+    this.connectivity.stop();
+    if (this.online) return;
+    this.online = true;
+    this.emit("network:online", { source });
+    this.syncLifecycle("network:online");
+    this.flushOutbox();
+    if (source === "request") return;
+
+    if (this.currentAutoLicenseKey && !this.validationTimer) {
+      this.startAutoValidation(this.currentAutoLicenseKey);
+    }
+    if (this.isLeader()) {
+      this.cache.getLicenses().forEach((license) => {
+        this.validateLicense(license.license_key).catch((err) =>
+          this.log("Revalidation after reconnect failed:", err)
+        );
+      });
+    }
+    this.syncOfflineAssets();
+  }
+
+  // ============================================================
+  // Cross-Tab Sync
+  // ============================================================
+
+  /**
+   * Notify other tabs of a license change once it has reached storage
+   * @param {string} type - Event to re-emit in the other tabs
+   * @param {*} [data] - Event data
+   * @returns {void}
+   * @private
+   */
+  broadcast(type, data) {
+    if (!this.tabSync) return;
+    const tabSync = this.tabSync;
+    this.cache
+      .flush()
+      .then(() => tabSync.post(type, data))
+      .catch((err) => this.log("Failed to broadcast cross-tab message:", err));
+  }
+
+  /**
+   * Apply a license change made in another tab.
+   * Reloads the shared cache, re-emits the event locally and starts or stops
+   * this tab's auto-validation and heartbeat timers to match.
+   * @param {import('./types.js').TabSyncMessage} message - Message from another tab
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleTabMessage(message) {
+    if (this.destroyed) return;
+    await this.cache.reload();
+    if (this.destroyed) return;
+
+    this.log("Cross-tab message:", message.type);
+    this.syncLifecycle(message.type);
+
+    switch (message.type) {
+      case "activation:success": {
+        const license = this.getTrustedLicense();
+        if (license) {
+          this.lastOfflineValidation = null;
+          this.startAutoValidation(license.license_key);
+          this.startHeartbeat();
+        }
+        this.emit("activation:success", message.data);
+        break;
+      }
+
+      case "deactivation:success":
+        if (!this.cache.getLicense()) {
+          this.stopAutoValidation();
+          this.stopHeartbeat();
+          if (this.offlineRefreshTimer) {
+            clearInterval(this.offlineRefreshTimer);
+            this.offlineRefreshTimer = null;
+          }
+          this.currentAutoLicenseKey = null;
+          this.lastOfflineValidation = null;
+        }
+        this.emit("deactivation:success", message.data);
+        break;
+
+      case "license:loaded": {
+        const license = this.getTrustedLicense(message.data);
+        if (license) {
+          this.emit("license:loaded", license);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Whether this instance runs the periodic network cycles (auto-validation,
+   * heartbeat and offline refresh). Always true unless `leaderElection` is
+   * enabled, in which case only one tab is the leader at a time.
+   * @returns {boolean} True if this instance is the leader
+   */
+  isLeader() {
+    return !this.leader || this.leader.isLeader;
+  }
+
+  /**
+   * Take over or hand off the periodic network cycles
+   * @param {boolean} leader - Whether this tab became the leader
+   * @returns {void}
+   * @private
+   */
+  handleLeadershipChange(leader) {
+    if (this.destroyed) return;
+    this.log(leader ? "Became the leader tab" : "No longer the leader tab");
+
+    if (leader) {
+      const license = this.cache.isReady() ? this.getTrustedLicense() : null;
+      if (license && this.config.apiKey) {
+        this.startAutoValidation(license.license_key);
+        this.startHeartbeat();
+        this.scheduleOfflineRefresh();
+      }
+    } else {
+      this.stopAutoValidation();
+      this.stopHeartbeat();
+      if (this.offlineRefreshTimer) {
+        clearInterval(this.offlineRefreshTimer);
+        this.offlineRefreshTimer = null;
+      }
+    }
+
+    this.emit("leader:changed", { leader });
+  }
+
+  // ============================================================
+  // Offline Request Queue
+  // ============================================================
+
+  /**
+   * Send the requests queued while offline (heartbeats, deactivations), oldest
+   * first. Runs automatically when the network comes back and on initialization;
+   * concurrent calls share one replay. Requests that fail because the API is
+   * unreachable stay queued and are retried with backoff; requests the API
+   * rejects (4xx) are dropped.
+   * @returns {Promise<import('./types.js').OutboxReplayResult>} Replay summary
+   */
+  flushOutbox() {
+    if (!this.outboxReplay) {
+      this.outboxReplay = this.replayOutbox().finally(() => {
+        this.outboxReplay = null;
+      });
+    }
+    return this.outboxReplay;
+  }
+
+  /**
+   * Replay the outbox once
+   * @returns {Promise<import('./types.js').OutboxReplayResult>} Replay summary
+   * @private
+   */
+  async replayOutbox() {
+    await this.cache.ready();
+    this.stopOutboxReplay();
+
+    const entries = this.cache.getOutbox();
+    const result = { sent: 0, dropped: 0, remaining: entries.length };
+    if (!entries.length || this.destroyed) return result;
+    if (!this.isLeader()) {
+      this.log("Outbox replay left to the leader tab");
+      return result;
+    }
+
+    this.emit("outbox:replaying", { pending: entries.length });
+    for (const entry of entries) {
+      if (this.destroyed) break;
+      // Withdrawn since the replay started (e.g. a deactivation superseded by activate())
+      if (!this.cache.getOutbox().some((e) => e.id === entry.id)) continue;
       try {
-        // New v1 API: GET /health
-        const res = await fetch(`${this.config.apiBaseUrl}/health`, {
-          method: "GET",
-          credentials: "omit",
+        const response = await this.apiCall(entry.endpoint, {
+          method: entry.method,
+          body: entry.body,
+          idempotencyKey: entry.idempotencyKey,
         });
-        // Consume the response body to release the connection
-        await res.text().catch(() => {});
-
-        if (!this.online) {
-          this.online = true;
-          this.emit("network:online");
-          if (this.currentAutoLicenseKey && !this.validationTimer) {
-            this.startAutoValidation(this.currentAutoLicenseKey);
-          }
-          this.syncOfflineAssets();
+        this.cache.removeOutboxEntry(entry.id);
+        result.sent++;
+        this.emit("outbox:sent", { entry, response });
+      } catch (error) {
+        if (isAbortError(error)) break;
+
+        const rejected =
+          error instanceof APIError &&
+          error.status >= 400 &&
+          error.status < 500 &&
+          ![408, 429].includes(error.status);
+        if (rejected) {
+          this.cache.removeOutboxEntry(entry.id);
+          result.dropped++;
+          this.emit("outbox:dropped", { entry, error });
+          continue;
         }
-        this.stopConnectivityPolling();
-      } catch (err) {
-        // Still offline
+
+        // The API is still unreachable: keep this and later entries queued
+        const policy = resolveRetryPolicy(this.config);
+        const retryInMs = computeRetryDelay({ ...policy, jitter: "none" }, this.outboxFailures++);
+        this.cache.updateOutboxEntry(entry.id, { attempts: entry.attempts + 1 });
+        this.emit("outbox:failed", { entry, error, retryInMs });
+        this.outboxTimer = setTimeout(() => {
+          this.outboxTimer = null;
+          this.flushOutbox();
+        }, retryInMs);
+        break;
       }
-    };
+    }
 
-    this.connectivityTimer = setInterval(
-      healthCheck,
-      this.config.networkRecheckInterval
-    );
+    if (!this.outboxTimer) this.outboxFailures = 0;
+    result.remaining = this.cache.getOutbox().length;
+    this.emit("outbox:replayed", result);
+    return result;
   }
 
   /**
-   * Stop connectivity polling
+   * Cancel a scheduled outbox replay
    * @returns {void}
    * @private
    */
-  stopConnectivityPolling() {
-    if (this.connectivityTimer) {
-      clearInterval(this.connectivityTimer);
-      this.connectivityTimer = null;
+  stopOutboxReplay() {
+    if (this.outboxTimer) {
+      clearTimeout(this.outboxTimer);
+      this.outboxTimer = null;
     }
   }
 
+  /**
+   * Queue a request that failed because the API is unreachable. Queued
+   * requests of the same type for the same license are coalesced into one.
+   * @param {Object} request - Request to queue
+   * @param {string} request.type - Operation ("heartbeat" or "deactivate")
+   * @param {string} request.licenseKey - License key the request belongs to
+   * @param {string} request.endpoint - API endpoint
+   * @param {Object} request.body - Request body (telemetry is added when sent)
+   * @param {string} [request.idempotencyKey] - Idempotency key of the original attempt, reused by replays
+   * @param {string[]} [supersedes=[]] - Coalesce keys of queued requests this one makes redundant
+   * @returns {import('./types.js').QueuedRequest} Queued request result
+   * @private
+   */
+  queueRequest({ type, licenseKey, endpoint, body, idempotencyKey }, supersedes = []) {
+    /** @type {import('./types.js').OutboxEntry} */
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+      type,
+      licenseKey,
+      method: "POST",
+      endpoint,
+      body,
+      idempotencyKey,
+      coalesceKey: `${type}:${licenseKey}`,
+      queuedAt: Date.now(),
+      attempts: 0,
+    };
+    this.cache.enqueueOutbox(entry, supersedes);
+    this.emit("outbox:queued", entry);
+    return { queued: true, id: entry.id, type, licenseKey };
+  }
+
+  /**
+   * Whether an error means the API could not be reached (network failure,
+   * timeout or open circuit) rather than a response from the server
+   * @param {*} error - Error to check
+   * @returns {boolean}
+   * @private
+   */
+  isNetworkFailure(error) {
+    return isConnectionError(error) || (error instanceof APIError && [0, 408].includes(error.status));
+  }
+
   // ============================================================
   // Offline License Management
   // ============================================================
 
   /**
-   * Download and cache the offline token and its corresponding public signing key.
-   * Emits `offlineToken:ready` on success. Safe to call multiple times — concurrent
-   * calls are deduplicated automatically.
+   * Download and cache the offline token and its corresponding public signing key
+   * for every cached license. Emits `offlineToken:ready` for each token. Safe to
+   * call multiple times — concurrent calls are deduplicated automatically, and
+   * licenses activated while a sync is running are picked up by that sync.
    * @returns {Promise<void>}
    */
   async syncOfflineAssets() {
@@ -1036,8 +1954,31 @@ export class LicenseSeatSDK {
 
     this.syncingOfflineAssets = true;
     try {
-      const offline = await this.getOfflineToken();
-      this.cache.setOfflineToken(offline);
+      await this.cache.ready();
+      const synced = new Set();
+      let license;
+      while (
+        !this.destroyed &&
+        (license = this.cache.getLicenses().find((l) => !synced.has(l.license_key)))
+      ) {
+        synced.add(license.license_key);
+        await this.syncOfflineAssetsFor(license.license_key);
+      }
+    } finally {
+      this.syncingOfflineAssets = false;
+    }
+  }
+
+  /**
+   * Download and verify the offline assets of one license
+   * @param {string} licenseKey - License key
+   * @returns {Promise<void>}
+   * @private
+   */
+  async syncOfflineAssetsFor(licenseKey) {
+    try {
+      const offline = await this.getOfflineToken({ licenseKey });
+      this.cache.setOfflineToken(offline, licenseKey);
 
       const kid = offline.signature?.key_id || offline.token?.kid;
       if (kid) {
@@ -1051,21 +1992,21 @@ export class LicenseSeatSDK {
       this.emit("offlineToken:ready", {
         kid: kid,
         exp: offline.token?.exp,
+        licenseKey,
       });
 
       // Verify freshly-cached assets
-      const res = await this.quickVerifyCachedOfflineLocal();
+      const res = await this.quickVerifyCachedOfflineLocal(licenseKey);
       if (res) {
-        this.cache.updateValidation(res);
+        this.cache.updateValidation(res, licenseKey);
+        this.syncLifecycle(res.valid ? "validation:offline-success" : "validation:offline-failed");
         this.emit(
           res.valid ? "validation:offline-success" : "validation:offline-failed",
           res
         );
       }
     } catch (err) {
-      this.log("Failed to sync offline assets:", err);
-    } finally {
-      this.syncingOfflineAssets = false;
+      this.log(`Failed to sync offline assets for ${licenseKey}:`, err);
     }
   }
 
@@ -1076,6 +2017,13 @@ export class LicenseSeatSDK {
    */
   scheduleOfflineRefresh() {
     if (this.offlineRefreshTimer) clearInterval(this.offlineRefreshTimer);
+    this.offlineRefreshTimer = null;
+
+    if (!this.isLeader()) {
+      this.log("Offline refresh left to the leader tab");
+      return;
+    }
+
     this.offlineRefreshTimer = setInterval(
       () => this.syncOfflineAssets(),
       this.config.offlineLicenseRefreshInterval
@@ -1086,10 +2034,12 @@ export class LicenseSeatSDK {
    * Verify the cached offline token and return a validation result.
    * Use this to validate the license when the device is offline.
    * The offline token must have been previously downloaded via {@link syncOfflineAssets}.
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
    * @returns {Promise<import('./types.js').ValidationResult>}
    */
-  async verifyCachedOffline() {
-    const signed = this.cache.getOfflineToken();
+  async verifyCachedOffline(licenseKey) {
+    await this.cache.ready();
+    const signed = this.cache.getOfflineToken(licenseKey);
     if (!signed) {
       return { valid: false, offline: true, code: "no_offline_token" };
     }
@@ -1113,7 +2063,7 @@ export class LicenseSeatSDK {
       }
 
       const token = signed.token;
-      const cached = this.cache.getLicense();
+      const cached = this.cache.getLicense(licenseKey);
 
       // License key match
       if (!cached || !constantTimeEqual(token.license_key || "", cached.license_key || "")) {
@@ -1164,11 +2114,13 @@ export class LicenseSeatSDK {
   /**
    * Quick offline verification using only local data (no network)
    * Performs signature verification plus basic validity checks (expiry, license key match)
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
    * @returns {Promise<import('./types.js').ValidationResult|null>}
    * @private
    */
-  async quickVerifyCachedOfflineLocal() {
-    const signed = this.cache.getOfflineToken();
+  async quickVerifyCachedOfflineLocal(licenseKey) {
+    await this.cache.ready();
+    const signed = this.cache.getOfflineToken(licenseKey);
     if (!signed) return null;
 
     const kid = signed.signature?.key_id || signed.token?.kid;
@@ -1182,7 +2134,7 @@ export class LicenseSeatSDK {
       }
 
       const token = signed.token;
-      const cached = this.cache.getLicense();
+      const cached = this.cache.getLicense(licenseKey);
 
       // License key match check
       if (!cached || !constantTimeEqual(token.license_key || "", cached.license_key || "")) {
@@ -1218,18 +2170,119 @@ export class LicenseSeatSDK {
   // ============================================================
 
   /**
-   * Make an API call with retry logic
+   * Register a request/response interceptor. Interceptors run in registration
+   * order (those from `config.interceptors` first) on every attempt of every API call.
+   * @param {import('./types.js').Interceptor} interceptor - Interceptor hooks
+   * @returns {function(): void} Function that removes the interceptor
+   */
+  useInterceptor(interceptor) {
+    this.interceptors.push(interceptor);
+    return () => {
+      this.interceptors = this.interceptors.filter((i) => i !== interceptor);
+    };
+  }
+
+  /**
+   * Make an API call with retry logic. Identical calls (same method, endpoint,
+   * body and headers) made while one is in flight share its result instead of
+   * sending another request; the first call's timeout applies to all of them.
    * @param {string} endpoint - API endpoint (will be appended to apiBaseUrl)
    * @param {Object} [options={}] - Fetch options
    * @param {string} [options.method="GET"] - HTTP method
    * @param {Object} [options.body] - Request body (will be JSON-stringified)
    * @param {Object} [options.headers] - Additional headers
+   * @param {import('./types.js').ResponseType} [options.responseType] - Expected shape of a successful response
+   * @param {string} [options.idempotencyKey] - Sent as the `Idempotency-Key` header on every attempt
+   * @param {AbortSignal} [options.signal] - Cancels this call; the shared request is cancelled once every caller cancelled
+   * @param {number} [options.timeoutMs] - Per-attempt timeout in ms (defaults to config.timeoutMs, 0 disables)
    * @returns {Promise<Object>} API response data
-   * @throws {APIError} When the request fails after all retries
+   * @throws {APIError} When the request fails after all retries (status 0 when it timed out,
+   *   code "invalid_response" when the response is not JSON or has the wrong shape)
+   * @throws {DOMException} AbortError when cancelled through the signal or destroy()
    * @private
    */
   async apiCall(endpoint, options = {}) {
+    const { signal, ...requestOptions } = options;
+    if (signal && signal.aborted) {
+      throw getAbortReason(signal);
+    }
+
+    const key = [
+      requestOptions.method || "GET",
+      endpoint,
+      JSON.stringify(requestOptions.body ?? null),
+      JSON.stringify(requestOptions.headers ?? null),
+    ].join(" ");
+
+    let entry = this.inflightRequests.get(key);
+    if (entry) {
+      this.log(`Sharing in-flight request: ${requestOptions.method || "GET"} ${endpoint}`);
+    } else {
+      const controller = new AbortController();
+      /** @type {import('./types.js').InflightRequest} */
+      const created = { key, controller, callers: 0, promise: null };
+      created.promise = this.sendApiRequest(endpoint, {
+        ...requestOptions,
+        signal: controller.signal,
+      }).finally(() => this.forgetInflightRequest(created));
+      this.inflightRequests.set(key, created);
+      entry = created;
+    }
+
+    return this.joinInflightRequest(entry, signal);
+  }
+
+  /**
+   * Wait for a shared in-flight request on behalf of one caller. When the
+   * caller's signal aborts, only that caller rejects; the request itself is
+   * aborted once no caller is left waiting for it.
+   * @param {import('./types.js').InflightRequest} entry - Shared request
+   * @param {AbortSignal} [signal] - The caller's abort signal
+   * @returns {Promise<Object>} API response data
+   * @private
+   */
+  joinInflightRequest(entry, signal) {
+    entry.callers++;
+    if (!signal) return entry.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(getAbortReason(signal));
+        if (--entry.callers === 0) {
+          this.forgetInflightRequest(entry);
+          entry.controller.abort(getAbortReason(signal));
+        }
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      entry.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  /**
+   * Stop sharing an in-flight request with new callers
+   * @param {import('./types.js').InflightRequest} entry - Shared request
+   * @returns {void}
+   * @private
+   */
+  forgetInflightRequest(entry) {
+    if (this.inflightRequests.get(entry.key) === entry) {
+      this.inflightRequests.delete(entry.key);
+    }
+  }
+
+  /**
+   * Send an API request with retry logic
+   * @param {string} endpoint - API endpoint (will be appended to apiBaseUrl)
+   * @param {Object} [options={}] - Fetch options (see {@link apiCall})
+   * @returns {Promise<Object>} API response data
+   * @private
+   */
+  async sendApiRequest(endpoint, options = {}) {
     const url = `${this.config.apiBaseUrl}${endpoint}`;
+    const timeoutMs = options.timeoutMs ?? this.config.timeoutMs;
+    const policy = resolveRetryPolicy(this.config);
     let lastError;
 
     const headers = {
@@ -1238,6 +2291,11 @@ export class LicenseSeatSDK {
       ...options.headers,
     };
 
+    // Same key on every attempt: the server processes the operation at most once
+    if (options.idempotencyKey) {
+      headers["Idempotency-Key"] = options.idempotencyKey;
+    }
+
     if (this.config.apiKey) {
       headers["Authorization"] = `Bearer ${this.config.apiKey}`;
     } else {
@@ -1256,16 +2314,73 @@ export class LicenseSeatSDK {
       }) };
     }
 
-    for (let attempt = 0; attempt <= this.config.maxRetries; attempt++) {
+    for (let attempt = 0; attempt < policy.maxAttempts; attempt++) {
+      // While the circuit is open, fail fast (as a network failure, so offline fallback applies)
+      if (this.circuit && !this.circuit.allowRequest()) {
+        const seconds = Math.ceil(this.circuit.remainingOpenMs() / 1000);
+        throw new APIError(
+          `LicenseSeat API unavailable (circuit open, next attempt in ${seconds}s)`,
+          0
+        );
+      }
+
+      /** @type {import('./types.js').InterceptedRequest} */
+      let request = {
+        endpoint,
+        url,
+        method,
+        headers: { ...headers },
+        body,
+        attempt: attempt + 1,
+      };
+      const startedAt = Date.now();
+
       try {
-        const response = await fetch(url, {
-          method: method,
-          headers: headers,
-          body: body ? JSON.stringify(body) : undefined,
-          credentials: "omit",
-        });
+        for (const interceptor of this.interceptors) {
+          if (interceptor.onRequest) {
+            request = (await interceptor.onRequest(request)) || request;
+          }
+        }
 
-        const data = await response.json();
+        const { response: raw, body: parsed } = await this.sendRequest(
+          request.url,
+          {
+            method: request.method,
+            headers: request.headers,
+            body: request.body ? JSON.stringify(request.body) : undefined,
+            credentials: "omit",
+          },
+          { signal: options.signal, timeoutMs, read: (res) => readResponseBody(res) }
+        );
+
+        /** @type {import('./types.js').InterceptedResponse} */
+        let response = {
+          status: raw.status,
+          ok: raw.ok,
+          headers: raw.headers,
+          data: parsed.data,
+          raw,
+        };
+        for (const interceptor of this.interceptors) {
+          if (interceptor.onResponse) {
+            response = (await interceptor.onResponse(response, request)) || response;
+          }
+        }
+        const data = response.data;
+
+        // Non-JSON replies (e.g. an HTML 502 page) keep their status, so retry rules still apply
+        if (typeof data !== "object" || data === null || Array.isArray(data)) {
+          let reason = "body is not a JSON object";
+          if (data === undefined) {
+            reason =
+              parsed.contentType && !/json/i.test(parsed.contentType)
+                ? `expected JSON, got ${parsed.contentType}`
+                : "body is not valid JSON";
+          }
+          const invalid = createInvalidResponseError(response.status, reason, parsed);
+          invalid.retryAfterMs = parseRetryAfter(response.headers);
+          throw invalid;
+        }
 
         if (!response.ok) {
           // Handle new error format: { error: { code, message, details } }
@@ -1277,16 +2392,21 @@ export class LicenseSeatSDK {
           } else if (typeof errorObj === "string") {
             errorMessage = errorObj;
           }
-          throw new APIError(errorMessage, response.status, data);
+          // Known error codes map to subclasses (e.g. SeatLimitExceededError)
+          const apiError = createAPIError(errorMessage, response.status, data);
+          apiError.retryAfterMs = parseRetryAfter(response.headers);
+          throw apiError;
         }
 
-        // Back online
-        if (!this.online) {
-          this.online = true;
-          this.emit("network:online");
+        const problem = options.responseType && checkResponseShape(options.responseType, data);
+        if (problem) {
+          throw createInvalidResponseError(response.status, problem, parsed);
         }
 
-        this.stopConnectivityPolling();
+        this.diagnostics.recordRequest(request, startedAt, response.status);
+        this.recordCircuitOutcome(null);
+
+        this.markOnline("request");
 
         if (!this.validationTimer && this.currentAutoLicenseKey) {
           this.startAutoValidation(this.currentAutoLicenseKey);
@@ -1294,29 +2414,59 @@ export class LicenseSeatSDK {
 
         return data;
       } catch (error) {
-        const networkFailure =
-          (error instanceof TypeError && error.message.includes("fetch")) ||
-          (error instanceof APIError && error.status === 0);
+        this.diagnostics.recordRequest(
+          request,
+          startedAt,
+          error instanceof APIError ? error.status : isConnectionError(error) ? 0 : null,
+          error
+        );
+        this.recordCircuitOutcome(error);
 
-        if (networkFailure && this.online) {
-          this.online = false;
-          this.emit("network:offline", { error });
-          this.stopAutoValidation();
-          this.startConnectivityPolling();
+        if (isAbortError(error)) {
+          throw error;
+        }
+
+        // Interceptors may recover by returning data in place of the failed response
+        for (const interceptor of this.interceptors) {
+          if (interceptor.onError) {
+            const recovered = await interceptor.onError(error, request);
+            if (recovered !== undefined) return recovered;
+          }
+        }
+
+        if (isConnectionError(error) || (error instanceof APIError && error.status === 0)) {
+          this.markOffline(error, "request");
         }
 
         lastError = error;
 
+        // Obey the server's Retry-After, but give up rather than wait longer than maxDelayMs
+        const retryAfterMs = error instanceof APIError ? error.retryAfterMs : null;
         const shouldRetry =
-          attempt < this.config.maxRetries && this.shouldRetryError(error);
+          attempt < policy.maxAttempts - 1 &&
+          this.shouldRetryError(error, policy) &&
+          !(retryAfterMs > policy.maxDelayMs);
 
         if (shouldRetry) {
-          const delay = this.config.retryDelay * Math.pow(2, attempt);
+          const delay = retryAfterMs ?? computeRetryDelay(policy, attempt);
           this.log(
             `Retry attempt ${attempt + 1} after ${delay}ms for error:`,
             error.message
           );
-          await sleep(delay);
+          this.emit("request:retry", {
+            endpoint,
+            attempt: attempt + 1,
+            maxAttempts: policy.maxAttempts,
+            delayMs: delay,
+            retryAfterMs,
+            error,
+          });
+          const pause = linkAbortSignals(this.abortController.signal, options.signal);
+          try {
+            await sleep(delay, pause.controller.signal);
+          } finally {
+            pause.dispose();
+          }
         } else {
           throw error;
         }
@@ -1327,39 +2477,349 @@ export class LicenseSeatSDK {
   }
 
   /**
-   * Determine if an error should be retried
-   * @param {Error} error - The error to check
-   * @returns {boolean} True if the error should trigger a retry
+   * Feed the outcome of an API attempt to the circuit breaker. Network failures
+   * and 5xx responses count as failures; any other response proves the API is
+   * reachable. Other errors (e.g. cancellation) leave the breaker unchanged.
+   * @param {Error|null} error - Error of the attempt, or null on success
+   * @returns {void}
    * @private
    */
-  shouldRetryError(error) {
-    if (error instanceof TypeError && error.message.includes("fetch")) {
-      return true;
+  recordCircuitOutcome(error) {
+    if (!this.circuit) return;
+    if (!error) {
+      this.circuit.recordSuccess();
+    } else if (
+      (error instanceof TypeError && error.message.includes("fetch")) ||
+      (error instanceof APIError && (error.status === 0 || error.status >= 500))
+    ) {
+      this.circuit.recordFailure();
+    } else if (error instanceof APIError) {
+      this.circuit.recordSuccess();
+    } else {
+      this.circuit.release();
     }
+  }
 
-    if (error instanceof APIError) {
-      const status = error.status;
+  /**
+   * Emit circuit breaker transitions
+   * @param {import('./types.js').CircuitState} state - New circuit state
+   * @returns {void}
+   * @private
+   */
+  handleCircuitChange(state) {
+    if (state === "open") {
+      this.emit("circuit:open", {
+        failures: this.circuit.failures,
+        retryInMs: this.circuit.resetTimeoutMs,
+      });
+    } else if (state === "closed") {
+      this.emit("circuit:closed", {});
+    } else {
+      this.log("Circuit half-open: sending a trial request");
+    }
+  }
 
-      // Retry on server errors (5xx) except 500 and 501
-      if (status >= 502 && status < 600) {
-        return true;
-      }
+  /**
+   * Send an HTTP request through the configured transport (`config.fetch`, or
+   * the global `fetch`) and read its body. The request is aborted on timeout,
+   * through the caller's signal, or by destroy(). Transport failures other than
+   * the standard fetch TypeError are reported as network errors (APIError with
+   * status 0).
+   * @template T
+   * @param {string} url - Request URL
+   * @param {import('./types.js').TransportRequest} request - Request options (the signal is added here)
+   * @param {Object} [options={}] - Send options
+   * @param {AbortSignal} [options.signal] - Caller's cancellation signal
+   * @param {number} [options.timeoutMs=0] - Timeout in ms covering the request and body read (0 = none)
+   * @param {function(import('./types.js').TransportResponse): (T|Promise<T>)} [options.read] - Reads the response body
+   * @returns {Promise<{response: import('./types.js').TransportResponse, body: T}>} Response and body
+   * @throws {ConfigurationError} When no transport is available
+   * @throws {APIError|TypeError} When the request could not be sent or timed out
+   * @throws {DOMException} AbortError when cancelled
+   * @private
+   */
+  async sendRequest(url, request, options = {}) {
+    // Resolved per call and invoked unbound, as fetch implementations require
+    const transport = this.config.fetch || globalThis.fetch;
+    if (typeof transport !== "function") {
+      throw new ConfigurationError(
+        "No fetch implementation available. Pass one as the `fetch` config option."
+      );
+    }
+
+    const timeoutMs = options.timeoutMs || 0;
+    const link = linkAbortSignals(this.abortController.signal, options.signal);
+    const signal = link.controller.signal;
+    let timedOut = false;
+    const timer =
+      timeoutMs > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            link.controller.abort();
+          }, timeoutMs)
+        : null;
+    let sent = false;
 
-      // Retry on network-related errors
-      if (status === 0 || status === 408 || status === 429) {
-        return true;
+    try {
+      if (signal.aborted) throw getAbortReason(signal);
+      const response = await transport(url, { ...request, signal });
+      sent = true;
+      const body = options.read ? await options.read(response) : undefined;
+      return { response, body };
+    } catch (error) {
+      if (timedOut) {
+        throw new APIError(`Request timed out after ${timeoutMs}ms`, 0);
+      }
+      if (signal.aborted) {
+        throw getAbortReason(signal);
       }
+      if (sent || (error instanceof TypeError && error.message.includes("fetch"))) {
+        throw error;
+      }
+      const networkError = new APIError(
+        `Network request failed: ${(error && error.message) || error}`,
+        0
+      );
+      // Keep the transport's error (e.g. a Node.js ENOTFOUND) for isConnectionError()
+      networkError.cause = error;
+      throw networkError;
+    } finally {
+      if (timer) clearTimeout(timer);
+      link.dispose();
+    }
+  }
 
-      return false;
+  /**
+   * Determine if an error should be retried, according to the retry policy's
+   * `retryOn` predicate (network failures are passed as status 0)
+   * @param {Error} error - The error to check
+   * @param {Required<import('./types.js').RetryPolicy>} [policy] - Retry policy (defaults to the configured one)
+   * @returns {boolean} True if the error should trigger a retry
+   * @private
+   */
+  shouldRetryError(error, policy = resolveRetryPolicy(this.config)) {
+    if (isConnectionError(error)) {
+      return policy.retryOn(0, error);
+    }
+
+    if (error instanceof APIError) {
+      return policy.retryOn(error.status, error);
     }
 
     return false;
   }
 
+  // ============================================================
+  // Diagnostics
+  // ============================================================
+
+  /**
+   * Get a redacted snapshot of the SDK for support tickets: configuration
+   * (without the API key and encryption secret), cache contents, the claims of
+   * cached offline tokens, clock readings, connectivity, timer schedules and
+   * the last `diagnosticsLimit` events and API calls. License keys are masked
+   * (e.g. "LS-T****-KEY"), including those of licenses no longer cached that
+   * appear in recorded endpoints.
+   *
+   * Taking the snapshot changes nothing: it emits no events, does not move the
+   * lifecycle state and does not act on a tampered cache.
+   * @returns {import('./types.js').Diagnostics} Snapshot (JSON-serializable)
+   * @example
+   * ```js
+   * const report = sdk.exportDiagnostics(); // Summary followed by the JSON snapshot
+   * await navigator.clipboard.writeText(report);
+   * ```
+   */
+  getDiagnostics() {
+    const now = Date.now();
+    const ready = this.cache.isReady();
+    const licenses = ready ? this.cache.getLicenses() : [];
+    const lastSeen = ready ? this.cache.getLastSeenTimestamp() : null;
+    // eslint-disable-next-line no-unused-vars
+    const { apiKey, encryptionSecret, fetch, storage, messages, ...config } = this.config;
+    const timezone =
+      typeof Intl !== "undefined" ? Intl.DateTimeFormat().resolvedOptions().timeZone || null : null;
+    const nextRunAt = (event, running) =>
+      running && this.diagnostics.latest(event) ? this.diagnostics.latest(event).data.nextRunAt : null;
+
+    const snapshot = {
+      generated_at: new Date(now).toISOString(),
+      sdk: {
+        version: SDK_VERSION,
+        environment: collectTelemetry(SDK_VERSION, {
+          appVersion: this.config.appVersion,
+          appBuild: this.config.appBuild,
+        }),
+      },
+      config: {
+        ...config,
+        fetch: fetch ? "custom" : "global",
+        storage: storage ? storage.constructor.name : "default",
+        interceptors: this.interceptors.length,
+        messages: Object.keys(messages || {}),
+      },
+      state: {
+        license: this.peekLicenseState(),
+        status: this.readStatus(undefined, true).status,
+        online: this.online,
+        platform_online: typeof navigator !== "undefined" ? navigator.onLine !== false : null,
+        probing: this.connectivity.active,
+        circuit: this.circuit ? this.circuit.state : null,
+        leader: this.isLeader(),
+        destroyed: this.destroyed,
+      },
+      clock: {
+        now: new Date(now).toISOString(),
+        timezone,
+        utc_offset_minutes: -new Date(now).getTimezoneOffset(),
+        last_seen: lastSeen ? new Date(lastSeen).toISOString() : null,
+        since_last_seen_ms: lastSeen ? now - lastSeen : null,
+        max_clock_skew_ms: this.config.maxClockSkewMs,
+      },
+      timers: {
+        auto_validation: {
+          running: !!this.validationTimer,
+          interval_ms: this.config.autoValidateInterval,
+          license_key: this.currentAutoLicenseKey,
+          next_run_at: nextRunAt("autovalidation:cycle", this.validationTimer),
+        },
+        heartbeat: {
+          running: !!this.heartbeatTimer,
+          interval_ms: this.config.heartbeatInterval,
+          next_run_at: nextRunAt("heartbeat:cycle", this.heartbeatTimer),
+        },
+        offline_refresh: {
+          running: !!this.offlineRefreshTimer,
+          interval_ms: this.config.offlineLicenseRefreshInterval,
+        },
+        connectivity_probe: {
+          running: this.connectivity.active,
+          paused: this.connectivity.isPaused(),
+          failures: this.connectivity.failures,
+          next_delay_ms: this.connectivity.active ? this.connectivity.nextDelayMs() : null,
+        },
+        outbox_retry: {
+          scheduled: !!this.outboxTimer,
+          failures: this.outboxFailures,
+        },
+      },
+      cache: {
+        ready,
+        storage_fallback: this.cache.fallback,
+        storage_error: this.cache.storageError,
+        licenses: licenses.map((license) => ({
+          ...license,
+          state: this.peekLicenseState(license.license_key),
+        })),
+        outbox: ready ? this.cache.getOutbox() : [],
+      },
+      offline_tokens: licenses
+        .map((license) => this.cache.getOfflineToken(license.license_key))
+        .filter(Boolean)
+        .map((offline) => ({
+          license_key: offline.token?.license_key,
+          kid: offline.signature?.key_id || offline.token?.kid,
+          issued_at: offline.token?.iat ? new Date(offline.token.iat * 1000).toISOString() : null,
+          expires_at: offline.token?.exp ? new Date(offline.token.exp * 1000).toISOString() : null,
+          claims: offline.token,
+        })),
+      events: this.diagnostics.events,
+      requests: this.diagnostics.requests,
+    };
+
+    return redactDiagnostics(
+      toPlainData(snapshot),
+      licenses.map((license) => license.license_key)
+    );
+  }
+
+  /**
+   * Serialize {@link getDiagnostics} for pasting into a support ticket
+   * @param {Object} [options={}] - Export options
+   * @param {"text"|"json"} [options.format="text"] - "json" for the snapshot only, "text" for a readable summary followed by the snapshot
+   * @returns {string}
+   */
+  exportDiagnostics(options = {}) {
+    return formatDiagnostics(this.getDiagnostics(), options.format);
+  }
+
   // ============================================================
   // Utilities
   // ============================================================
 
+  /**
+   * Get the cached license, discarding a validation result that was modified
+   * outside the SDK. On tampering, emits `cache:tampered`, drops the cached
+   * validation (status becomes "pending") and re-validates in the background.
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
+   * @returns {import('./types.js').CachedLicense|null} Cached license or null
+   * @private
+   */
+  getTrustedLicense(licenseKey) {
+    const license = this.cache.getLicense(licenseKey);
+    const seal = this.cache.checkValidationSeal(license);
+    if (seal === "ok") return license;
+
+    this.log("Cached validation failed integrity check:", seal);
+    this.cache.clearValidation(license.license_key);
+    delete license.validation;
+    delete license.validation_seal;
+    this.emit("cache:tampered", { licenseKey: license.license_key, reason: seal });
+
+    if (this.config.apiKey && this.config.productSlug && !this.destroyed) {
+      this.validateLicense(license.license_key).catch((err) => {
+        this.log("Re-validation after cache tampering failed:", err);
+      });
+    }
+    return license;
+  }
+
+  /**
+   * Get the cached license as {@link getTrustedLicense} would trust it, without
+   * acting on tampering: a validation that fails the integrity check is left
+   * out of the returned copy but stays in the cache, and no event is emitted
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
+   * @returns {import('./types.js').CachedLicense|null} Cached license or null
+   * @private
+   */
+  peekTrustedLicense(licenseKey) {
+    const license = this.cache.getLicense(licenseKey);
+    const seal = this.cache.checkValidationSeal(license);
+    if (seal === "ok") return license;
+
+    // eslint-disable-next-line no-unused-vars
+    const { validation, validation_seal, ...untrusted } = license;
+    return untrusted;
+  }
+
+  /**
+   * Get all cached licenses, passing each through {@link getTrustedLicense}
+   * @returns {import('./types.js').CachedLicense[]} Cached licenses, primary first
+   * @private
+   */
+  getTrustedLicenses() {
+    return this.cache
+      .getLicenses()
+      .map((license) => this.getTrustedLicense(license.license_key))
+      .filter(Boolean);
+  }
+
+  /**
+   * Merge the validated entitlements of several licenses, recording the
+   * license key that grants each one as `source`
+   * @param {import('./types.js').CachedLicense[]} licenses - Cached licenses
+   * @returns {import('./types.js').Entitlement[]} Merged entitlements
+   * @private
+   */
+  mergeEntitlements(licenses) {
+    return licenses.flatMap((license) =>
+      (license.validation?.active_entitlements || []).map((entitlement) => ({
+        ...entitlement,
+        source: license.license_key,
+      }))
+    );
+  }
+
   /**
    * Get CSRF token from meta tag
    * @returns {string} CSRF token or empty string
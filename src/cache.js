@@ -1,119 +1,756 @@
 /**
  * LicenseSeat SDK Cache Manager
  * Handles persistent storage of license data, offline licenses, and public keys.
+ * Several licenses (e.g. a base app key plus add-on keys) can be cached at once.
  * @module cache
  */
 
+import { createDefaultStorage, isAsyncStorage, MemoryStorageAdapter } from "./storage.js";
+import { hmac } from "@noble/hashes/hmac";
+import { sha256 } from "@noble/hashes/sha256";
+import { bytesToHex } from "@noble/hashes/utils";
+
+import { CacheCipher } from "./encryption.js";
+import { runMigrations } from "./migrations.js";
+import { base64UrlEncode, canonicalJsonStringify, constantTimeEqual, randomBytes } from "./utils.js";
+
+/**
+ * Maximum number of queued requests kept in the outbox (oldest are dropped first)
+ * @type {number}
+ */
+export const MAX_OUTBOX_ENTRIES = 100;
+
+/**
+ * Entry name (without prefix) of the random per-install salt. It is stored in
+ * plaintext, is not part of the snapshot and survives clear().
+ * @type {string}
+ */
+export const INSTALL_SALT_NAME = "install_salt";
+
 /**
  * License Cache Manager
- * Manages persistent storage of license data using localStorage.
+ * Manages persistent storage of license data through a pluggable storage adapter.
+ *
+ * Synchronous adapters (localStorage, in-memory) are read and written directly.
+ * Asynchronous adapters, and any adapter when encryption is enabled, are served
+ * from an in-memory snapshot that is warmed by {@link LicenseCache#ready}; writes
+ * update the snapshot immediately and are persisted in order in the background.
+ *
+ * If the adapter throws (quota exceeded, storage disabled, private browsing),
+ * a "storage:error" event is emitted and the cache switches to in-memory
+ * storage for the rest of the session, keeping the entries it already holds.
  */
 export class LicenseCache {
   /**
    * Create a LicenseCache instance
-   * @param {string} [prefix="licenseseat_"] - Prefix for all localStorage keys
+   * @param {string} [prefix="licenseseat_"] - Prefix for all storage keys
+   * @param {Object} [options={}] - Cache options
+   * @param {import('./types.js').StorageAdapter} [options.storage] - Storage adapter (defaults to localStorage, or memory when unavailable)
+   * @param {CacheCipher} [options.cipher] - Cipher used to encrypt every stored value
+   * @param {function(import('./types.js').LicenseSeatEventName, *): void} [options.emit] - Receives cache events (e.g. "cache:decryption-failed", "storage:error")
+   * @param {string} [options.sealSecret=""] - Secret mixed with the install salt into the HMAC key that seals cached validation results
    */
-  constructor(prefix = "licenseseat_") {
+  constructor(prefix = "licenseseat_", options = {}) {
     /** @type {string} */
     this.prefix = prefix;
     /** @type {string} */
     this.publicKeyCacheKey = this.prefix + "public_keys";
+    /** @type {import('./types.js').StorageAdapter} */
+    this.storage = options.storage || createDefaultStorage();
+    /** @type {CacheCipher|null} */
+    this.cipher = options.cipher || null;
+    /** @type {string} */
+    this.installSaltKey = this.prefix + INSTALL_SALT_NAME;
+
+    /**
+     * Random per-install salt (null until loaded or created)
+     * @type {string|null}
+     * @private
+     */
+    this.installSalt = null;
+
+    /**
+     * Pending load of the install salt
+     * @type {Promise<string>|null}
+     * @private
+     */
+    this.installSaltLoading = null;
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this.sealSecret = options.sealSecret || "";
+
+    /**
+     * HMAC key used to seal validation results (derived on first use)
+     * @type {Uint8Array|null}
+     * @private
+     */
+    this.sealKey = null;
+
+    /**
+     * Event sink provided by the owner of the cache
+     * @type {function(string, *): void}
+     * @private
+     */
+    this.emit = options.emit || (() => {});
+
+    /**
+     * Whether reads are served from the in-memory snapshot
+     * @type {boolean}
+     * @private
+     */
+    this.buffered = isAsyncStorage(this.storage) || !!this.cipher;
+
+    /**
+     * In-memory snapshot of prefixed entries (buffered mode only, null until warmed)
+     * @type {Map<string, string>|null}
+     * @private
+     */
+    this.snapshot = null;
+
+    /**
+     * Pending load of the snapshot
+     * @type {Promise<void>|null}
+     * @private
+     */
+    this.loading = null;
+
+    /**
+     * Tail of the ordered background write chain (buffered mode only)
+     * @type {Promise<void>}
+     * @private
+     */
+    this.writeChain = Promise.resolve();
+
+    /**
+     * Schema version of the cached data (null until migrations have run)
+     * @type {number|null}
+     */
+    this.schemaVersion = null;
+
+    /**
+     * Whether the cache switched to in-memory storage after a storage failure
+     * @type {boolean}
+     */
+    this.fallback = false;
+
+    /**
+     * Most recent storage failure (null if storage has never failed)
+     * @type {import('./types.js').StorageErrorEvent|null}
+     */
+    this.storageError = null;
+
+    if (!this.buffered) {
+      this.migrate();
+    }
   }
 
   /**
-   * Get the cached license data
-   * @returns {import('./types.js').CachedLicense|null} Cached license or null if not found
+   * Whether cached data can be read synchronously
+   * @returns {boolean} True for unbuffered synchronous adapters, or once the snapshot has been warmed
+   */
+  isReady() {
+    return !this.buffered || this.snapshot !== null;
+  }
+
+  /**
+   * Warm the in-memory snapshot for asynchronous or encrypted storage.
+   * Resolves immediately for plain synchronous adapters.
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (this.isReady()) return Promise.resolve();
+    if (!this.loading) {
+      this.loading = this.loadSnapshot().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Wait for all background writes to reach the storage adapter
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writeChain;
+  }
+
+  /**
+   * Re-read the snapshot from storage, picking up entries written by another
+   * tab or process. Resolves immediately for plain synchronous adapters, which
+   * are always read directly.
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    if (!this.buffered) return;
+    await this.ready();
+    await this.flush();
+    await this.loadSnapshot();
+  }
+
+  /**
+   * Load (and decrypt) all prefixed entries into memory.
+   * If any encrypted entry cannot be decrypted (e.g. after the secret changed)
+   * the whole cache is treated as empty, its entries are removed from storage
+   * so later starts do not fail on them again, and a "cache:decryption-failed"
+   * event is emitted. The install salt is kept. Plaintext entries written
+   * before encryption was enabled are loaded and re-encrypted.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadSnapshot() {
+    let snapshot = new Map();
+    /** @type {string[]} */
+    const plaintextKeys = [];
+    /** @type {string[]} */
+    const failedKeys = [];
+    /** @type {string[]} */
+    const loadedKeys = [];
+    let lastError = null;
+    let loadError = null;
+
+    try {
+      if (this.cipher) {
+        this.cipher.setSalt(await this.loadInstallSalt());
+      } else if (!this.installSalt) {
+        this.installSalt = (await this.storage.get(this.installSaltKey)) || null;
+      }
+      const keys = await this.storage.keys();
+      for (const key of keys) {
+        if (!key.startsWith(this.prefix) || key === this.installSaltKey) continue;
+        const value = await this.storage.get(key);
+        if (value === null || value === undefined) continue;
+        loadedKeys.push(key);
+
+        if (!this.cipher) {
+          snapshot.set(key, value);
+        } else if (CacheCipher.isEncrypted(value)) {
+          try {
+            snapshot.set(key, await this.cipher.decrypt(value, key));
+          } catch (e) {
+            failedKeys.push(key);
+            lastError = e;
+          }
+        } else {
+          snapshot.set(key, value);
+          plaintextKeys.push(key);
+        }
+      }
+    } catch (e) {
+      loadError = e;
+    }
+
+    if (failedKeys.length) {
+      snapshot = new Map();
+      loadedKeys.forEach((key) => this.persist(() => this.storage.remove(key), "remove", key));
+      this.emit("cache:decryption-failed", { keys: failedKeys, error: lastError });
+    } else {
+      plaintextKeys.forEach((key) => this.persistValue(key, snapshot.get(key)));
+    }
+    this.snapshot = snapshot;
+    if (loadError) {
+      this.reportStorageError("load", this.prefix, loadError);
+    }
+    this.migrate();
+  }
+
+  /**
+   * Load the random per-install salt, creating and storing it on first use.
+   * Keys derived from it stay the same across browser updates, time zone and
+   * screen changes, unlike the device fingerprint.
+   * @returns {Promise<string>}
+   * @private
+   */
+  loadInstallSalt() {
+    if (this.installSalt) return Promise.resolve(this.installSalt);
+    if (!this.installSaltLoading) {
+      this.installSaltLoading = (async () => {
+        const key = this.installSaltKey;
+        let salt = await this.storage.get(key);
+        if (!salt) {
+          const created = base64UrlEncode(randomBytes(16));
+          if (typeof this.storage.update === "function") {
+            // Another process may be creating it at the same time
+            this.storage.update(key, (current) => current || created);
+            salt = await this.storage.get(key);
+          } else {
+            await this.storage.set(key, created);
+            salt = created;
+          }
+        }
+        this.installSalt = salt;
+        return salt;
+      })().finally(() => {
+        this.installSaltLoading = null;
+      });
+    }
+    return this.installSaltLoading;
+  }
+
+  /**
+   * Get the install salt, creating and storing it if there is none yet
+   * (buffered caches load a stored salt with the snapshot)
+   * @returns {string}
+   * @private
+   */
+  getInstallSalt() {
+    if (!this.installSalt) {
+      const key = this.installSaltKey;
+      const created = base64UrlEncode(randomBytes(16));
+      if (this.buffered) {
+        this.installSalt = created;
+        this.persist(() => this.storage.set(key, created), "write", key);
+      } else {
+        this.installSalt = this.attempt("write", key, () => {
+          const storage = this.storage;
+          if (typeof storage.update === "function") {
+            storage.update(key, (current) => current || created);
+          } else if (!storage.get(key)) {
+            storage.set(key, created);
+          }
+          return /** @type {string} */ (storage.get(key));
+        });
+      }
+    }
+    return this.installSalt;
+  }
+
+  /**
+   * Upgrade data written by earlier SDK versions to the current schema
+   * @returns {void}
+   * @private
    */
-  getLicense() {
+  migrate() {
     try {
-      const data = localStorage.getItem(this.prefix + "license");
+      this.schemaVersion = runMigrations({
+        get: (name) => this.read(name),
+        set: (name, value) => this.write(name, value),
+        remove: (name) => this.remove(name),
+        sealValidation: (license) => this.computeValidationSeal(license),
+      });
+    } catch (e) {
+      console.error("Failed to migrate license cache:", e);
+    }
+  }
+
+  /**
+   * Read a raw value from storage
+   * @param {string} name - Key name (without prefix)
+   * @returns {string|null} Stored value or null if not found
+   * @private
+   */
+  read(name) {
+    const key = this.prefix + name;
+    if (this.buffered) {
+      return this.snapshot ? this.snapshot.get(key) ?? null : null;
+    }
+    const value = this.attempt("read", key, () => this.storage.get(key));
+    return typeof value === "string" ? value : null;
+  }
+
+  /**
+   * Write a raw value to storage
+   * @param {string} name - Key name (without prefix)
+   * @param {string} value - Value to store
+   * @returns {void}
+   * @private
+   */
+  write(name, value) {
+    const key = this.prefix + name;
+    if (this.buffered) {
+      if (this.snapshot) this.snapshot.set(key, value);
+      this.persistValue(key, value);
+      return;
+    }
+    this.attempt("write", key, () => this.storage.set(key, value));
+  }
+
+  /**
+   * Queue a background write of a value, encrypting it if a cipher is configured
+   * @param {string} key - Storage key (with prefix)
+   * @param {string} value - Plaintext value
+   * @returns {void}
+   * @private
+   */
+  persistValue(key, value) {
+    this.persist(async () => {
+      let stored = value;
+      if (this.cipher) {
+        this.cipher.setSalt(await this.loadInstallSalt());
+        stored = await this.cipher.encrypt(value, key);
+      }
+      await this.storage.set(key, stored);
+    }, "write", key);
+  }
+
+  /**
+   * Read, change and write back a raw value as one step. Adapters with an
+   * `update` method (e.g. FileStorageAdapter) hold their lock for the whole
+   * step, so changes made by other processes in between are not lost.
+   * @param {string} name - Key name (without prefix)
+   * @param {function((string|null)): (string|null)} updater - Receives the current value and returns the new value (null to remove it)
+   * @returns {void}
+   * @private
+   */
+  modify(name, updater) {
+    const key = this.prefix + name;
+    if (this.buffered) {
+      const next = updater(this.read(name));
+      if (next === null) this.removeKey(key);
+      else this.write(name, next);
+      return;
+    }
+    this.attempt("write", key, () => {
+      const storage = this.storage;
+      if (typeof storage.update === "function") {
+        storage.update(key, updater);
+        return;
+      }
+      const current = /** @type {string|null} */ (storage.get(key));
+      const next = updater(typeof current === "string" ? current : null);
+      if (next === null) storage.remove(key);
+      else storage.set(key, next);
+    });
+  }
+
+  /**
+   * Remove a raw value from storage
+   * @param {string} name - Key name (without prefix)
+   * @returns {void}
+   * @private
+   */
+  remove(name) {
+    this.removeKey(this.prefix + name);
+  }
+
+  /**
+   * Remove a fully-qualified key from storage
+   * @param {string} key - Storage key (with prefix)
+   * @returns {void}
+   * @private
+   */
+  removeKey(key) {
+    if (this.buffered) {
+      if (this.snapshot) this.snapshot.delete(key);
+      this.persist(() => this.storage.remove(key), "remove", key);
+      return;
+    }
+    this.attempt("remove", key, () => this.storage.remove(key));
+  }
+
+  /**
+   * Queue a background storage operation (buffered mode only)
+   * @param {function(): (void|Promise<void>)} task - Storage operation
+   * @param {string} operation - Operation name reported on failure
+   * @param {string} key - Storage key (for error reporting)
+   * @returns {void}
+   * @private
+   */
+  persist(task, operation, key) {
+    this.writeChain = this.writeChain
+      .then(task)
+      .catch((e) => {
+        this.reportStorageError(operation, key, e);
+      });
+  }
+
+  /**
+   * Run a synchronous storage operation. If the adapter throws, switch to the
+   * in-memory fallback and run it again there.
+   * @template T
+   * @param {string} operation - Operation name reported on failure
+   * @param {string} key - Storage key (for error reporting)
+   * @param {function(): T} task - Storage operation (must go through `this.storage`)
+   * @returns {T} Result of the operation
+   * @private
+   */
+  attempt(operation, key, task) {
+    try {
+      return task();
+    } catch (e) {
+      if (this.fallback) throw e;
+      this.reportStorageError(operation, key, e);
+      return task();
+    }
+  }
+
+  /**
+   * Record a storage failure, switch to the in-memory fallback and emit "storage:error"
+   * @param {string} operation - Failed operation ("read", "write", "remove", "list", "clear" or "load")
+   * @param {string} key - Storage key involved
+   * @param {*} cause - Error thrown by the storage adapter
+   * @returns {void}
+   * @private
+   */
+  reportStorageError(operation, key, cause) {
+    this.storageError = { operation, key, cause };
+    if (!this.fallback) {
+      console.error(`License cache ${operation} failed, keeping data in memory:`, cause);
+      this.useFallback();
+    }
+    this.emit("storage:error", this.storageError);
+  }
+
+  /**
+   * Replace the storage adapter with an in-memory one seeded with the entries
+   * that are still readable
+   * @returns {void}
+   * @private
+   */
+  useFallback() {
+    const memory = new MemoryStorageAdapter();
+    if (this.buffered) {
+      // The snapshot already holds every entry
+      if (this.snapshot) this.snapshot.forEach((value, key) => memory.set(key, value));
+    } else {
+      try {
+        /** @type {string[]} */ (this.storage.keys()).forEach((key) => {
+          if (!key.startsWith(this.prefix)) return;
+          const value = this.storage.get(key);
+          if (typeof value === "string") memory.set(key, value);
+        });
+      } catch (e) {
+        // Nothing more can be recovered
+      }
+    }
+    this.storage = memory;
+    this.fallback = true;
+  }
+
+  /**
+   * Storage name for a per-license entry. The primary license (the first one
+   * activated) uses the bare name, as before multiple licenses were supported;
+   * additional licenses use "<name>:<license key>".
+   * @param {string} base - Entry name ("license" or "offline_token")
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
+   * @returns {string} Entry name (without prefix)
+   * @private
+   */
+  entryName(base, licenseKey) {
+    if (!licenseKey) return base;
+    const primary = this.readRecord("license", "license cache");
+    if (!primary || primary.license_key === licenseKey) return base;
+    return `${base}:${encodeURIComponent(licenseKey)}`;
+  }
+
+  /**
+   * Read and parse a JSON entry
+   * @param {string} name - Entry name (without prefix)
+   * @param {string} label - Description used in error messages
+   * @returns {*} Parsed value or null if missing or unreadable
+   * @private
+   */
+  readRecord(name, label) {
+    try {
+      const data = this.read(name);
       return data ? JSON.parse(data) : null;
     } catch (e) {
-      console.error("Failed to read license cache:", e);
+      console.error(`Failed to read ${label}:`, e);
       return null;
     }
   }
 
   /**
-   * Store license data in cache
+   * List entry names (without prefix) currently held for this prefix
+   * @returns {string[]} Entry names
+   * @private
+   */
+  listNames() {
+    const keys = this.buffered
+      ? this.snapshot
+        ? Array.from(this.snapshot.keys())
+        : []
+      : /** @type {string[]} */ (this.attempt("list", this.prefix, () => this.storage.keys()));
+    return keys
+      .filter((key) => key.startsWith(this.prefix))
+      .map((key) => key.slice(this.prefix.length));
+  }
+
+  /**
+   * Get the cached license data
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
+   * @returns {import('./types.js').CachedLicense|null} Cached license or null if not found
+   */
+  getLicense(licenseKey) {
+    return this.readRecord(this.entryName("license", licenseKey), "license cache");
+  }
+
+  /**
+   * Get all cached licenses, primary first, then in activation order
+   * @returns {import('./types.js').CachedLicense[]} Cached licenses
+   */
+  getLicenses() {
+    const primary = this.getLicense();
+    if (!primary) return [];
+
+    const additional = this.listNames()
+      .filter((name) => name.startsWith("license:"))
+      .map((name) => this.readRecord(name, "license cache"))
+      .filter(Boolean)
+      .sort(
+        (a, b) =>
+          String(a.activated_at || "").localeCompare(String(b.activated_at || "")) ||
+          String(a.license_key).localeCompare(String(b.license_key))
+      );
+    return [primary, ...additional];
+  }
+
+  /**
+   * Store license data in cache. The first license stored becomes the primary
+   * license; other license keys are stored alongside it.
    * @param {import('./types.js').CachedLicense} data - License data to cache
    * @returns {void}
    */
   setLicense(data) {
     try {
-      localStorage.setItem(this.prefix + "license", JSON.stringify(data));
+      this.write(this.entryName("license", data.license_key), JSON.stringify(data));
     } catch (e) {
       console.error("Failed to cache license:", e);
     }
   }
 
   /**
-   * Update the validation data for the cached license
+   * Update the validation data for a cached license
    * @param {import('./types.js').ValidationResult} validationData - Validation result to store
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
    * @returns {void}
    */
-  updateValidation(validationData) {
-    const license = this.getLicense();
+  updateValidation(validationData, licenseKey) {
+    const license = this.getLicense(licenseKey);
     if (license) {
       license.validation = validationData;
       license.last_validated = new Date().toISOString();
+      license.validation_seal = this.computeValidationSeal(license);
       this.setLicense(license);
     }
   }
 
   /**
-   * Get the device ID from the cached license
+   * Check that the cached validation result has not been modified outside the SDK.
+   *
+   * The seal detects accidental or casual edits only: its key is made from
+   * values the client holds (the SDK configuration and the install salt stored
+   * next to the cache), so someone who reads the SDK source and the storage can
+   * compute a valid seal.
+   * @param {import('./types.js').CachedLicense} license - Cached license to check
+   * @returns {"ok"|"seal_missing"|"seal_mismatch"} Seal status ("ok" when there is no validation to protect)
+   */
+  checkValidationSeal(license) {
+    if (!license || !license.validation) return "ok";
+    if (!license.validation_seal) return "seal_missing";
+    return constantTimeEqual(license.validation_seal, this.computeValidationSeal(license))
+      ? "ok"
+      : "seal_mismatch";
+  }
+
+  /**
+   * Drop the cached validation result, leaving the license pending re-validation
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
+   * @returns {void}
+   */
+  clearValidation(licenseKey) {
+    const license = this.getLicense(licenseKey);
+    if (license) {
+      delete license.validation;
+      delete license.validation_seal;
+      this.setLicense(license);
+    }
+  }
+
+  /**
+   * Compute the HMAC-SHA256 seal over the license identity and validation result
+   * @param {import('./types.js').CachedLicense} license - Cached license
+   * @returns {string} Hex-encoded seal
+   * @private
+   */
+  computeValidationSeal(license) {
+    // Round-trip through JSON so the seal matches what is read back from storage
+    const sealed = JSON.parse(
+      JSON.stringify({
+        license_key: license.license_key,
+        device_id: license.device_id,
+        validation: license.validation,
+      })
+    );
+    const message = new TextEncoder().encode(canonicalJsonStringify(sealed));
+    if (!this.sealKey) {
+      this.sealKey = sha256(new TextEncoder().encode(`${this.sealSecret}|${this.getInstallSalt()}`));
+    }
+    return bytesToHex(hmac(sha256, this.sealKey, message));
+  }
+
+  /**
+   * Get the device ID from a cached license
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
    * @returns {string|null} Device ID or null if not found
    */
-  getDeviceId() {
-    const license = this.getLicense();
+  getDeviceId(licenseKey) {
+    const license = this.getLicense(licenseKey);
     return license ? license.device_id : null;
   }
 
   /**
-   * Clear the cached license data
+   * Clear a cached license. When the primary license is cleared, the next
+   * license (with its offline token) becomes the primary license.
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
    * @returns {void}
    */
-  clearLicense() {
-    localStorage.removeItem(this.prefix + "license");
+  clearLicense(licenseKey) {
+    const name = this.entryName("license", licenseKey);
+    if (name !== "license") {
+      this.remove(name);
+      return;
+    }
+
+    const next = this.getLicenses()[1];
+    this.remove("license");
+    if (!next) return;
+
+    const nextKey = encodeURIComponent(next.license_key);
+    const nextToken = this.read(`offline_token:${nextKey}`);
+    this.write("license", JSON.stringify(next));
+    this.remove(`license:${nextKey}`);
+    if (nextToken) {
+      this.write("offline_token", nextToken);
+      this.remove(`offline_token:${nextKey}`);
+    } else {
+      this.remove("offline_token");
+    }
   }
 
   /**
-   * Get the cached offline token
+   * Get a cached offline token
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
    * @returns {import('./types.js').OfflineToken|null} Offline token or null if not found
    */
-  getOfflineToken() {
-    try {
-      const data = localStorage.getItem(this.prefix + "offline_token");
-      return data ? JSON.parse(data) : null;
-    } catch (e) {
-      console.error("Failed to read offline token cache:", e);
-      return null;
-    }
+  getOfflineToken(licenseKey) {
+    return this.readRecord(this.entryName("offline_token", licenseKey), "offline token cache");
   }
 
   /**
    * Store offline token data in cache
    * @param {import('./types.js').OfflineToken} data - Offline token to cache
+   * @param {string} [licenseKey] - License key the token belongs to (defaults to the primary license)
    * @returns {void}
    */
-  setOfflineToken(data) {
+  setOfflineToken(data, licenseKey) {
     try {
-      localStorage.setItem(
-        this.prefix + "offline_token",
-        JSON.stringify(data)
-      );
+      this.write(this.entryName("offline_token", licenseKey), JSON.stringify(data));
     } catch (e) {
       console.error("Failed to cache offline token:", e);
     }
   }
 
   /**
-   * Clear the cached offline token
+   * Clear a cached offline token
+   * @param {string} [licenseKey] - License key (defaults to the primary license)
    * @returns {void}
    */
-  clearOfflineToken() {
-    localStorage.removeItem(this.prefix + "offline_token");
+  clearOfflineToken(licenseKey) {
+    this.remove(this.entryName("offline_token", licenseKey));
   }
 
   /**
@@ -123,9 +760,7 @@ export class LicenseCache {
    */
   getPublicKey(keyId) {
     try {
-      const cache = JSON.parse(
-        localStorage.getItem(this.publicKeyCacheKey) || "{}"
-      );
+      const cache = JSON.parse(this.read("public_keys") || "{}");
       return cache[keyId] || null;
     } catch (e) {
       console.error("Failed to read public key cache:", e);
@@ -141,26 +776,126 @@ export class LicenseCache {
    */
   setPublicKey(keyId, publicKeyB64) {
     try {
-      const cache = JSON.parse(
-        localStorage.getItem(this.publicKeyCacheKey) || "{}"
-      );
-      cache[keyId] = publicKeyB64;
-      localStorage.setItem(this.publicKeyCacheKey, JSON.stringify(cache));
+      this.modify("public_keys", (value) => {
+        const cache = JSON.parse(value || "{}");
+        cache[keyId] = publicKeyB64;
+        return JSON.stringify(cache);
+      });
     } catch (e) {
       console.error("Failed to cache public key:", e);
     }
   }
 
   /**
-   * Clear all LicenseSeat SDK data for this prefix
+   * Clear all LicenseSeat SDK data for this prefix (except the install salt,
+   * which keys the encryption of entries written afterwards)
    * @returns {void}
    */
   clear() {
-    Object.keys(localStorage).forEach((key) => {
-      if (key.startsWith(this.prefix)) {
-        localStorage.removeItem(key);
+    if (this.buffered) {
+      if (this.snapshot) {
+        Array.from(this.snapshot.keys()).forEach((key) => this.removeKey(key));
       }
+      // Also sweep entries that were never loaded into the snapshot
+      this.persist(async () => {
+        const keys = await this.storage.keys();
+        for (const key of keys) {
+          if (key.startsWith(this.prefix) && key !== this.installSaltKey) {
+            await this.storage.remove(key);
+          }
+        }
+      }, "clear", this.prefix + "*");
+      return;
+    }
+
+    this.attempt("clear", this.prefix + "*", () => {
+      /** @type {string[]} */ (this.storage.keys()).forEach((key) => {
+        if (key.startsWith(this.prefix) && key !== this.installSaltKey) {
+          this.storage.remove(key);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the requests queued while offline, oldest first
+   * @returns {import('./types.js').OutboxEntry[]} Queued requests
+   */
+  getOutbox() {
+    const entries = this.readRecord("outbox", "outbox");
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * Append a request to the outbox. Queued entries with the same coalesce key,
+   * or with one of the `supersedes` keys, are redundant and removed.
+   * @param {import('./types.js').OutboxEntry} entry - Request to queue
+   * @param {string[]} [supersedes=[]] - Coalesce keys of other entries this one makes redundant
+   * @returns {void}
+   */
+  enqueueOutbox(entry, supersedes = []) {
+    const replaced = new Set([entry.coalesceKey, ...supersedes]);
+    this.updateOutbox((entries) =>
+      [...entries.filter((e) => !replaced.has(e.coalesceKey)), entry].slice(-MAX_OUTBOX_ENTRIES)
+    );
+  }
+
+  /**
+   * Update a queued request
+   * @param {string} id - Entry ID
+   * @param {Partial<import('./types.js').OutboxEntry>} changes - Fields to update
+   * @returns {void}
+   */
+  updateOutboxEntry(id, changes) {
+    this.updateOutbox((entries) => entries.map((e) => (e.id === id ? { ...e, ...changes } : e)));
+  }
+
+  /**
+   * Remove a queued request
+   * @param {string} id - Entry ID
+   * @returns {void}
+   */
+  removeOutboxEntry(id) {
+    this.updateOutbox((entries) => entries.filter((e) => e.id !== id));
+  }
+
+  /**
+   * Remove the queued requests with a coalesce key
+   * @param {string} coalesceKey - Coalesce key (e.g. "deactivate:<license key>")
+   * @returns {import('./types.js').OutboxEntry[]} Removed entries
+   */
+  takeOutboxEntries(coalesceKey) {
+    /** @type {import('./types.js').OutboxEntry[]} */
+    let taken = [];
+    this.updateOutbox((entries) => {
+      taken = entries.filter((e) => e.coalesceKey === coalesceKey);
+      return entries.filter((e) => e.coalesceKey !== coalesceKey);
     });
+    return taken;
+  }
+
+  /**
+   * Change the stored outbox in one read-modify-write step, removing it when empty
+   * @param {function(import('./types.js').OutboxEntry[]): import('./types.js').OutboxEntry[]} change - Returns the new entries
+   * @returns {void}
+   * @private
+   */
+  updateOutbox(change) {
+    try {
+      this.modify("outbox", (value) => {
+        let entries = [];
+        try {
+          const parsed = value ? JSON.parse(value) : [];
+          if (Array.isArray(parsed)) entries = parsed;
+        } catch (e) {
+          console.error("Failed to read outbox:", e);
+        }
+        const next = change(entries);
+        return next.length ? JSON.stringify(next) : null;
+      });
+    } catch (e) {
+      console.error("Failed to store outbox:", e);
+    }
   }
 
   /**
@@ -168,7 +903,7 @@ export class LicenseCache {
    * @returns {number|null} Unix timestamp in milliseconds or null if not set
    */
   getLastSeenTimestamp() {
-    const v = localStorage.getItem(this.prefix + "last_seen_ts");
+    const v = this.read("last_seen_ts");
     return v ? parseInt(v, 10) : null;
   }
 
@@ -179,7 +914,7 @@ export class LicenseCache {
    */
   setLastSeenTimestamp(ts) {
     try {
-      localStorage.setItem(this.prefix + "last_seen_ts", String(ts));
+      this.write("last_seen_ts", String(ts));
     } catch (e) {
       // Ignore storage errors for timestamp
     }
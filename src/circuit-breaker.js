@@ -0,0 +1,145 @@
+/**
+ * LicenseSeat SDK Circuit Breaker
+ * Stops calling the API for a while after repeated failures.
+ * @module circuit-breaker
+ */
+
+/**
+ * Default number of consecutive failures that opens the circuit
+ * @type {number}
+ */
+const DEFAULT_FAILURE_THRESHOLD = 5;
+
+/**
+ * Default time the circuit stays open before a trial request is allowed (ms)
+ * @type {number}
+ */
+const DEFAULT_RESET_TIMEOUT_MS = 30000;
+
+/**
+ * Circuit breaker shared by all API endpoints.
+ *
+ * - **closed**: requests flow normally; consecutive failures are counted.
+ * - **open**: after `failureThreshold` consecutive failures, requests are
+ *   rejected without touching the network for `resetTimeoutMs`.
+ * - **half-open**: once the timeout has elapsed, a single trial request is let
+ *   through. Success closes the circuit, failure opens it again.
+ */
+export class CircuitBreaker {
+  /**
+   * Create a CircuitBreaker
+   * @param {Object} [options={}] - Breaker options
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+   * @param {number} [options.resetTimeoutMs=30000] - Time in ms before a trial request is allowed
+   * @param {function(import('./types.js').CircuitState, import('./types.js').CircuitState): void} [options.onStateChange] - Called with the new and previous state
+   * @param {function(): number} [options.now=Date.now] - Clock (for tests)
+   */
+  constructor(options = {}) {
+    /** @type {number} */
+    this.failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+    /** @type {number} */
+    this.resetTimeoutMs = options.resetTimeoutMs ?? DEFAULT_RESET_TIMEOUT_MS;
+    /** @type {import('./types.js').CircuitState} */
+    this.state = "closed";
+    /**
+     * Consecutive failures since the last success
+     * @type {number}
+     */
+    this.failures = 0;
+    /**
+     * When the circuit last opened (ms timestamp, null while closed)
+     * @type {number|null}
+     */
+    this.openedAt = null;
+
+    /**
+     * @type {function(import('./types.js').CircuitState, import('./types.js').CircuitState): void}
+     * @private
+     */
+    this.onStateChange = options.onStateChange || (() => {});
+
+    /**
+     * @type {function(): number}
+     * @private
+     */
+    this.now = options.now || Date.now;
+
+    /**
+     * Whether the half-open trial request is in flight
+     * @type {boolean}
+     * @private
+     */
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Check whether a request may be sent now. In the half-open state this
+   * claims the single trial slot, so call it once per request.
+   * @returns {boolean} False while the circuit is open
+   */
+  allowRequest() {
+    if (this.state === "open") {
+      if (this.now() - this.openedAt < this.resetTimeoutMs) return false;
+      this.transition("half-open");
+    }
+    if (this.state === "half-open") {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  /**
+   * Time left until a trial request is allowed
+   * @returns {number} Milliseconds (0 unless the circuit is open)
+   */
+  remainingOpenMs() {
+    if (this.state !== "open") return 0;
+    return Math.max(0, this.resetTimeoutMs - (this.now() - this.openedAt));
+  }
+
+  /**
+   * Record a request that reached the API. Closes the circuit.
+   * @returns {void}
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.trialInFlight = false;
+    this.openedAt = null;
+    if (this.state !== "closed") this.transition("closed");
+  }
+
+  /**
+   * Record a request that failed because the API was unreachable or erroring.
+   * Opens the circuit at the threshold, or immediately after a failed trial.
+   * @returns {void}
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === "half-open" || (this.state === "closed" && this.failures >= this.failureThreshold)) {
+      this.openedAt = this.now();
+      this.transition("open");
+    }
+  }
+
+  /**
+   * Give back the trial slot of a request that ended without an outcome (e.g. cancelled)
+   * @returns {void}
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Change state and notify
+   * @param {import('./types.js').CircuitState} next - New state
+   * @returns {void}
+   * @private
+   */
+  transition(next) {
+    const previous = this.state;
+    this.state = next;
+    this.onStateChange(next, previous);
+  }
+}
@@ -0,0 +1,310 @@
+/**
+ * LicenseSeat SDK Connectivity Monitor
+ * Detects when the network comes back, from platform signals and probes.
+ * @module connectivity
+ */
+
+/**
+ * Default delay before the first probe once offline (ms)
+ * @type {number}
+ */
+const DEFAULT_BASE_DELAY_MS = 30000;
+
+/**
+ * Default upper bound for the delay between probes (ms)
+ * @type {number}
+ */
+const DEFAULT_MAX_DELAY_MS = 300000;
+
+/**
+ * Node.js error codes meaning the host could not be reached at all
+ * (DNS lookup, connection or socket failures)
+ * @type {Set<string>}
+ */
+const CONNECTION_ERROR_CODES = new Set([
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ENETDOWN",
+  "ENETUNREACH",
+  "EHOSTDOWN",
+  "EHOSTUNREACH",
+  "EPIPE",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_SOCKET",
+]);
+
+/**
+ * Messages of the TypeError that `fetch` rejects with when the request never
+ * got a response (Chrome, Firefox, Safari, Node.js)
+ * @type {RegExp}
+ */
+const FETCH_FAILURE_MESSAGE = /fetch|network ?error|load failed/i;
+
+/**
+ * Check whether an error means the request never reached the server: a
+ * `fetch` network TypeError, or a Node.js DNS / socket error (also when
+ * wrapped, via `error.cause`)
+ * @param {*} error - Error to check
+ * @returns {boolean}
+ */
+export function isConnectionError(error) {
+  for (let current = error, depth = 0; current && depth < 4; current = current.cause, depth++) {
+    if (typeof current.code === "string" && CONNECTION_ERROR_CODES.has(current.code)) return true;
+    if (current instanceof TypeError && FETCH_FAILURE_MESSAGE.test(current.message)) return true;
+  }
+  return false;
+}
+
+/**
+ * Watches for the network coming back while the SDK is offline.
+ *
+ * Combines the platform's signals with probing: the browser's `offline` event
+ * reports the loss right away and suspends probing (nothing can succeed), its
+ * `online` event triggers a probe immediately. Otherwise probes run with
+ * exponential backoff, from `baseDelayMs` up to `maxDelayMs`. Probing is
+ * paused while the page is hidden and resumes with an immediate probe when it
+ * becomes visible again. Without `window` (Node.js) only probing is used.
+ */
+export class ConnectivityMonitor {
+  /**
+   * Create a ConnectivityMonitor and listen for platform signals
+   * @param {Object} options - Monitor options
+   * @param {function(): Promise<boolean>} options.probe - Checks whether the API is reachable; probing stops once it resolves true
+   * @param {function(boolean): void} [options.onPlatformChange] - Called when the platform reports the network offline (false) or back online (true)
+   * @param {number} [options.baseDelayMs=30000] - Delay before the first probe, doubled after each failed probe
+   * @param {number} [options.maxDelayMs=300000] - Upper bound for the delay between probes
+   * @param {EventTarget|null} [options.target] - Receives `online` / `offline` (defaults to window)
+   * @param {Document|null} [options.document] - Receives `visibilitychange` (defaults to document)
+   */
+  constructor(options) {
+    /**
+     * @type {function(): Promise<boolean>}
+     * @private
+     */
+    this.probe = options.probe;
+
+    /**
+     * @type {function(boolean): void}
+     * @private
+     */
+    this.onPlatformChange = options.onPlatformChange || (() => {});
+
+    /** @type {number} */
+    this.baseDelayMs = options.baseDelayMs || DEFAULT_BASE_DELAY_MS;
+    /** @type {number} */
+    this.maxDelayMs = Math.max(options.maxDelayMs || DEFAULT_MAX_DELAY_MS, this.baseDelayMs);
+
+    /**
+     * Whether probing was requested (the SDK is offline)
+     * @type {boolean}
+     */
+    this.active = false;
+
+    /**
+     * Whether the platform reports the network as down
+     * @type {boolean}
+     */
+    this.platformOffline = typeof navigator !== "undefined" && navigator.onLine === false;
+
+    /**
+     * Failed probes since probing started
+     * @type {number}
+     */
+    this.failures = 0;
+
+    /**
+     * Next probe timer ID
+     * @type {ReturnType<typeof setTimeout>|null}
+     * @private
+     */
+    this.probeTimer = null;
+
+    /**
+     * Probe in flight (shared by concurrent probeNow() calls)
+     * @type {Promise<boolean>|null}
+     * @private
+     */
+    this.pendingProbe = null;
+
+    /**
+     * @type {EventTarget|null}
+     * @private
+     */
+    this.target =
+      options.target !== undefined ? options.target : typeof window !== "undefined" ? window : null;
+
+    /**
+     * @type {Document|null}
+     * @private
+     */
+    this.document =
+      options.document !== undefined
+        ? options.document
+        : typeof document !== "undefined"
+          ? document
+          : null;
+
+    /** @private */
+    this.handleOnline = () => {
+      this.platformOffline = false;
+      this.onPlatformChange(true);
+      if (this.active) {
+        this.failures = 0;
+        this.resume();
+      }
+    };
+
+    /** @private */
+    this.handleOffline = () => {
+      this.platformOffline = true;
+      this.clearTimer();
+      this.onPlatformChange(false);
+    };
+
+    /** @private */
+    this.handleVisibilityChange = () => {
+      if (this.isHidden()) {
+        this.clearTimer();
+      } else if (this.active) {
+        this.resume();
+      }
+    };
+
+    if (this.target) {
+      this.target.addEventListener("online", this.handleOnline);
+      this.target.addEventListener("offline", this.handleOffline);
+    }
+    if (this.document) {
+      this.document.addEventListener("visibilitychange", this.handleVisibilityChange);
+    }
+  }
+
+  /**
+   * Whether probes are currently suspended (page hidden or platform offline)
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.platformOffline || this.isHidden();
+  }
+
+  /**
+   * Start probing until the probe succeeds. Does nothing if already probing.
+   * @returns {void}
+   */
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this.failures = 0;
+    this.schedule();
+  }
+
+  /**
+   * Stop probing (the network is known to be back)
+   * @returns {void}
+   */
+  stop() {
+    this.active = false;
+    this.failures = 0;
+    this.clearTimer();
+  }
+
+  /**
+   * Probe right away. While probing, a failed probe schedules the next one.
+   * @returns {Promise<boolean>} Whether the API was reachable
+   */
+  probeNow() {
+    if (this.pendingProbe) return this.pendingProbe;
+    this.clearTimer();
+
+    this.pendingProbe = (async () => {
+      let reachable = false;
+      try {
+        reachable = await this.probe();
+      } catch (e) {
+        // Still offline
+      }
+      this.pendingProbe = null;
+      if (reachable) {
+        this.stop();
+      } else if (this.active) {
+        this.failures++;
+        this.schedule();
+      }
+      return reachable;
+    })();
+    return this.pendingProbe;
+  }
+
+  /**
+   * Stop probing and remove the platform listeners
+   * @returns {void}
+   */
+  close() {
+    this.stop();
+    if (this.target) {
+      this.target.removeEventListener("online", this.handleOnline);
+      this.target.removeEventListener("offline", this.handleOffline);
+      this.target = null;
+    }
+    if (this.document) {
+      this.document.removeEventListener("visibilitychange", this.handleVisibilityChange);
+      this.document = null;
+    }
+  }
+
+  /**
+   * Delay before the next probe: `baseDelayMs * 2^failures`, capped at `maxDelayMs`
+   * @returns {number} Delay in ms
+   */
+  nextDelayMs() {
+    return Math.min(this.baseDelayMs * Math.pow(2, this.failures), this.maxDelayMs);
+  }
+
+  /**
+   * Probe now, unless paused (the next resume probes instead)
+   * @returns {void}
+   * @private
+   */
+  resume() {
+    if (this.isPaused()) return;
+    this.probeNow();
+  }
+
+  /**
+   * Schedule the next probe with backoff, unless paused or already scheduled
+   * @returns {void}
+   * @private
+   */
+  schedule() {
+    if (this.probeTimer || this.pendingProbe || this.isPaused()) return;
+    this.probeTimer = setTimeout(() => {
+      this.probeTimer = null;
+      this.probeNow();
+    }, this.nextDelayMs());
+  }
+
+  /**
+   * Cancel the scheduled probe
+   * @returns {void}
+   * @private
+   */
+  clearTimer() {
+    if (this.probeTimer) {
+      clearTimeout(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  /**
+   * Whether the page is hidden (background tab, minimized window)
+   * @returns {boolean}
+   * @private
+   */
+  isHidden() {
+    return !!this.document && this.document.visibilityState === "hidden";
+  }
+}
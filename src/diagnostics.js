@@ -0,0 +1,295 @@
+/**
+ * LicenseSeat SDK Diagnostics
+ * Records recent events and API calls, and redacts diagnostics bundles so
+ * they can be attached to support tickets.
+ * @module diagnostics
+ */
+
+/**
+ * Default number of events and API calls kept
+ * @type {number}
+ */
+export const DEFAULT_DIAGNOSTICS_LIMIT = 50;
+
+/**
+ * Placeholder for removed secrets
+ * @type {string}
+ */
+const REDACTED = "[redacted]";
+
+/**
+ * Fields whose values are never included
+ * @type {Set<string>}
+ */
+const SECRET_FIELDS = new Set([
+  "apiKey",
+  "encryptionSecret",
+  "Authorization",
+  "authorization",
+  "canonical",
+  "validation_seal",
+]);
+
+/**
+ * Fields holding a license key
+ * @type {Set<string>}
+ */
+const LICENSE_KEY_FIELDS = new Set(["license_key", "licenseKey"]);
+
+/**
+ * License key path segment of API endpoints (e.g. "/licenses/<key>/validate")
+ * @type {RegExp}
+ */
+const LICENSE_PATH_SEGMENT = /(\/licenses\/)([^/?#\s]+)/g;
+
+/**
+ * Nesting depth kept when copying event data
+ * @type {number}
+ */
+const MAX_DEPTH = 10;
+
+/**
+ * Mask a license key, keeping its first and last four characters so support
+ * can match it against the customer's key
+ * @param {string} licenseKey - License key
+ * @returns {string} Masked key (e.g. "LS-T****-KEY")
+ */
+export function maskLicenseKey(licenseKey) {
+  if (typeof licenseKey !== "string" || !licenseKey) return licenseKey;
+  if (licenseKey.length <= 8) return "****";
+  return `${licenseKey.slice(0, 4)}****${licenseKey.slice(-4)}`;
+}
+
+/**
+ * Copy a value into plain JSON data: errors become `{ name, message, code,
+ * status }`, dates ISO strings and functions "[function]". Deeply nested
+ * values are cut off.
+ * @param {*} value - Value to copy
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} JSON-safe copy
+ */
+export function toPlainData(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "function") return "[function]";
+  if (typeof value !== "object") return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error || value.name === "AbortError") {
+    const error = /** @type {Error & {code?: string, status?: number}} */ (value);
+    return {
+      name: error.name,
+      message: error.message,
+      ...(error.code !== undefined ? { code: error.code } : {}),
+      ...(error.status !== undefined ? { status: error.status } : {}),
+    };
+  }
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  if (Array.isArray(value)) return value.map((item) => toPlainData(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item !== undefined) copy[key] = toPlainData(item, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Collect the license keys stored in license key fields
+ * @param {*} value - Plain data
+ * @param {Set<string>} [keys] - Set to add to
+ * @returns {Set<string>}
+ */
+function collectLicenseKeys(value, keys = new Set()) {
+  if (!value || typeof value !== "object") return keys;
+  for (const [field, item] of Object.entries(value)) {
+    if (LICENSE_KEY_FIELDS.has(field) && typeof item === "string" && item) {
+      keys.add(item);
+    } else {
+      collectLicenseKeys(item, keys);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Redact plain data for sharing: secrets are removed and license keys are
+ * masked in license key fields, in the `/licenses/<key>` segment of endpoints
+ * and URLs, and wherever a known key (one given or found in a license key
+ * field) appears in other text
+ * @param {*} data - Plain data (see {@link toPlainData})
+ * @param {Iterable<string>} [licenseKeys=[]] - License keys to mask besides those found in license key fields
+ * @returns {*} Redacted copy
+ */
+export function redactDiagnostics(data, licenseKeys = []) {
+  const keys = collectLicenseKeys(data, new Set(licenseKeys));
+  const replacements = [...keys]
+    .flatMap((key) => [key, encodeURIComponent(key)])
+    .filter((key, index, all) => key && all.indexOf(key) === index)
+    // Longest first, so a key containing another key is masked whole
+    .sort((a, b) => b.length - a.length);
+
+  const maskString = (text) =>
+    replacements
+      .reduce((masked, key) => masked.split(key).join(maskLicenseKey(key)), text)
+      .replace(LICENSE_PATH_SEGMENT, (match, path, key) => path + maskLicenseKey(key));
+
+  const redact = (value) => {
+    if (typeof value === "string") return maskString(value);
+    if (!value || typeof value !== "object") return value;
+    if (Array.isArray(value)) return value.map(redact);
+
+    const copy = {};
+    for (const [field, item] of Object.entries(value)) {
+      copy[field] = SECRET_FIELDS.has(field) && item ? REDACTED : redact(item);
+    }
+    return copy;
+  };
+  return redact(data);
+}
+
+/**
+ * Serialize a diagnostics snapshot for a support ticket
+ * @param {import('./types.js').Diagnostics} diagnostics - Redacted snapshot
+ * @param {"text"|"json"} [format="text"] - "json" for the snapshot only, "text" for a summary followed by the snapshot
+ * @returns {string}
+ */
+export function formatDiagnostics(diagnostics, format = "text") {
+  const json = JSON.stringify(diagnostics, null, 2);
+  if (format === "json") return json;
+
+  const { sdk, state, clock, cache, offline_tokens: tokens, requests } = diagnostics;
+  const lastRequest = requests[requests.length - 1];
+  const lines = [
+    "LicenseSeat diagnostics",
+    `Generated: ${diagnostics.generated_at}`,
+    `SDK: ${sdk.version} (${sdk.environment.platform || "unknown platform"})`,
+    `State: ${state.license} (${state.online ? "online" : "offline"}, circuit ${state.circuit || "disabled"})`,
+    `Clock: ${clock.now} (last seen ${clock.last_seen || "never"})`,
+    `Licenses: ${
+      cache.licenses.length
+        ? cache.licenses.map((l) => `${l.license_key} (${l.state})`).join(", ")
+        : "none"
+    }`,
+    `Offline tokens: ${
+      tokens.length ? tokens.map((t) => `${t.license_key} (expires ${t.expires_at || "never"})`).join(", ") : "none"
+    }`,
+    `Last API call: ${
+      lastRequest
+        ? `${lastRequest.method} ${lastRequest.endpoint} -> ${lastRequest.status ?? lastRequest.error?.name} (${lastRequest.duration_ms} ms)`
+        : "none"
+    }`,
+  ];
+  return `${lines.join("\n")}\n\n${json}\n`;
+}
+
+/**
+ * Keeps the most recent events and API calls for diagnostics bundles
+ */
+export class DiagnosticsRecorder {
+  /**
+   * Create a DiagnosticsRecorder
+   * @param {Object} [options={}] - Recorder options
+   * @param {number} [options.limit=50] - Events and API calls kept (0 disables recording)
+   * @param {function(): number} [options.now=Date.now] - Clock (for tests)
+   */
+  constructor(options = {}) {
+    /** @type {number} */
+    this.limit = options.limit ?? DEFAULT_DIAGNOSTICS_LIMIT;
+
+    /**
+     * @type {function(): number}
+     * @private
+     */
+    this.now = options.now || Date.now;
+
+    /**
+     * Recent events, oldest first
+     * @type {import('./types.js').DiagnosticsEvent[]}
+     */
+    this.events = [];
+
+    /**
+     * Recent API call attempts, oldest first
+     * @type {import('./types.js').DiagnosticsRequest[]}
+     */
+    this.requests = [];
+
+    /**
+     * Latest occurrence of each event, kept after it left the event list
+     * @type {Map<string, import('./types.js').DiagnosticsEvent>}
+     * @private
+     */
+    this.latestEvents = new Map();
+  }
+
+  /**
+   * Record an emitted event
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   * @returns {void}
+   */
+  recordEvent(event, data) {
+    if (this.limit <= 0) return;
+    /** @type {import('./types.js').DiagnosticsEvent} */
+    const entry = { at: new Date(this.now()).toISOString(), event, data: toPlainData(data) };
+    this.latestEvents.set(event, entry);
+    this.push(this.events, entry);
+  }
+
+  /**
+   * Record the outcome of an API call attempt
+   * @param {Object} request - The attempt
+   * @param {string} request.method - HTTP method
+   * @param {string} request.endpoint - API endpoint
+   * @param {number} request.attempt - Attempt number (1-based)
+   * @param {number} startedAt - When the attempt started (ms timestamp)
+   * @param {number|null} status - HTTP status (0 for network failures, null when no response)
+   * @param {Error|null} [error] - Error of a failed attempt
+   * @returns {void}
+   */
+  recordRequest(request, startedAt, status, error = null) {
+    if (this.limit <= 0) return;
+    /** @type {import('./types.js').DiagnosticsRequest} */
+    const entry = {
+      at: new Date(startedAt).toISOString(),
+      method: request.method,
+      endpoint: request.endpoint,
+      attempt: request.attempt,
+      status,
+      duration_ms: this.now() - startedAt,
+    };
+    if (error) entry.error = toPlainData(error);
+    this.push(this.requests, entry);
+  }
+
+  /**
+   * Get the latest occurrence of an event
+   * @param {string} event - Event name
+   * @returns {import('./types.js').DiagnosticsEvent|null}
+   */
+  latest(event) {
+    return this.latestEvents.get(event) || null;
+  }
+
+  /**
+   * Forget everything recorded
+   * @returns {void}
+   */
+  clear() {
+    this.events = [];
+    this.requests = [];
+    this.latestEvents.clear();
+  }
+
+  /**
+   * Append to a list, dropping the oldest entries beyond the limit
+   * @template T
+   * @param {T[]} list - Events or requests
+   * @param {T} entry - New entry
+   * @returns {void}
+   * @private
+   */
+  push(list, entry) {
+    list.push(entry);
+    if (list.length > this.limit) list.splice(0, list.length - this.limit);
+  }
+}
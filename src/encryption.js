@@ -0,0 +1,190 @@
+/**
+ * LicenseSeat SDK Cache Encryption
+ * AES-GCM encryption of cached records, keyed from a developer secret and a per-install salt.
+ * @module encryption
+ */
+
+import { CryptoError } from "./errors.js";
+import { base64UrlDecode, base64UrlEncode } from "./utils.js";
+
+/**
+ * Prefix marking an encrypted cache value (format version 1)
+ * @type {string}
+ */
+const ENCRYPTED_PREFIX = "lse1:";
+
+/**
+ * HKDF info string binding derived keys to their purpose
+ * @type {string}
+ */
+const KEY_INFO = "licenseseat-cache-encryption";
+
+/**
+ * WebCrypto implementation registered by the host (e.g. node:crypto on Node.js 18)
+ * @type {Crypto|null}
+ */
+let cryptoProvider = null;
+
+/**
+ * Register the WebCrypto implementation used for cache encryption.
+ * Only needed where `globalThis.crypto.subtle` is missing; the Node.js entry
+ * point registers `node:crypto`'s `webcrypto` automatically.
+ * @param {Crypto|null} provider - WebCrypto implementation
+ * @returns {void}
+ */
+export function setCryptoProvider(provider) {
+  cryptoProvider = provider;
+}
+
+/**
+ * Get the active WebCrypto implementation
+ * @returns {Crypto} WebCrypto implementation
+ * @throws {CryptoError} When WebCrypto is not available
+ */
+function getCrypto() {
+  const impl = cryptoProvider || globalThis.crypto;
+  if (!impl || !impl.subtle) {
+    throw new CryptoError(
+      "WebCrypto is not available; cache encryption requires crypto.subtle"
+    );
+  }
+  return impl;
+}
+
+/**
+ * Encrypts and decrypts cache values with AES-256-GCM.
+ *
+ * The key is derived with HKDF-SHA256 from the developer-supplied secret and a
+ * salt. {@link LicenseCache} uses a random salt created once per install and
+ * stored in plaintext next to the encrypted entries, so the key does not
+ * change when the browser, time zone or screen does. Each value is bound to its
+ * storage key as additional authenticated data, so encrypted entries cannot be
+ * swapped between keys.
+ */
+export class CacheCipher {
+  /**
+   * Create a CacheCipher
+   * @param {string} secret - Developer-supplied secret
+   * @param {string} [salt=""] - HKDF salt (the cache sets its per-install salt with {@link CacheCipher#setSalt})
+   * @throws {CryptoError} When the secret is empty
+   */
+  constructor(secret, salt = "") {
+    if (!secret) {
+      throw new CryptoError("A secret is required for cache encryption");
+    }
+    /**
+     * @type {string}
+     * @private
+     */
+    this.secret = secret;
+    /**
+     * @type {string}
+     * @private
+     */
+    this.salt = salt;
+    /**
+     * @type {Promise<CryptoKey>|null}
+     * @private
+     */
+    this.key = null;
+  }
+
+  /**
+   * Change the HKDF salt. The key is derived again on next use.
+   * @param {string} salt - HKDF salt
+   * @returns {void}
+   */
+  setSalt(salt) {
+    if (salt === this.salt) return;
+    this.salt = salt;
+    this.key = null;
+  }
+
+  /**
+   * Check whether a stored value was produced by {@link CacheCipher#encrypt}
+   * @param {string|null} value - Stored value
+   * @returns {boolean} True if the value is encrypted
+   */
+  static isEncrypted(value) {
+    return typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  /**
+   * Derive (once) the AES-GCM key
+   * @returns {Promise<CryptoKey>}
+   * @private
+   */
+  getKey() {
+    if (!this.key) {
+      const { subtle } = getCrypto();
+      const encoder = new TextEncoder();
+      this.key = subtle
+        .importKey("raw", encoder.encode(this.secret), "HKDF", false, ["deriveKey"])
+        .then((material) =>
+          subtle.deriveKey(
+            {
+              name: "HKDF",
+              hash: "SHA-256",
+              salt: encoder.encode(this.salt),
+              info: encoder.encode(KEY_INFO),
+            },
+            material,
+            { name: "AES-GCM", length: 256 },
+            false,
+            ["encrypt", "decrypt"]
+          )
+        );
+    }
+    return this.key;
+  }
+
+  /**
+   * Encrypt a value
+   * @param {string} plaintext - Value to encrypt
+   * @param {string} associatedData - Storage key the value belongs to
+   * @returns {Promise<string>} Encrypted value
+   */
+  async encrypt(plaintext, associatedData) {
+    const impl = getCrypto();
+    const encoder = new TextEncoder();
+    const iv = impl.getRandomValues(new Uint8Array(12));
+    const ciphertext = await impl.subtle.encrypt(
+      { name: "AES-GCM", iv, additionalData: encoder.encode(associatedData) },
+      await this.getKey(),
+      encoder.encode(plaintext)
+    );
+    return `${ENCRYPTED_PREFIX}${base64UrlEncode(iv)}.${base64UrlEncode(new Uint8Array(ciphertext))}`;
+  }
+
+  /**
+   * Decrypt a value
+   * @param {string} value - Encrypted value
+   * @param {string} associatedData - Storage key the value belongs to
+   * @returns {Promise<string>} Decrypted value
+   * @throws {CryptoError} When the value is malformed, corrupt, or was encrypted with another key
+   */
+  async decrypt(value, associatedData) {
+    if (!CacheCipher.isEncrypted(value)) {
+      throw new CryptoError("Cache value is not encrypted");
+    }
+    const [ivPart, dataPart] = value.slice(ENCRYPTED_PREFIX.length).split(".");
+    if (!ivPart || !dataPart) {
+      throw new CryptoError("Malformed encrypted cache value");
+    }
+
+    try {
+      const plaintext = await getCrypto().subtle.decrypt(
+        {
+          name: "AES-GCM",
+          iv: new Uint8Array(base64UrlDecode(ivPart)),
+          additionalData: new TextEncoder().encode(associatedData),
+        },
+        await this.getKey(),
+        new Uint8Array(base64UrlDecode(dataPart))
+      );
+      return new TextDecoder().decode(plaintext);
+    } catch (e) {
+      throw new CryptoError("Failed to decrypt cache value (wrong key or corrupt data)");
+    }
+  }
+}
@@ -3,6 +3,8 @@
  * @module errors
  */
 
+import { isRetryableStatus } from "./retry.js";
+
 /**
  * Custom API Error class for HTTP request failures
  * @extends Error
@@ -22,9 +24,212 @@ export class APIError extends Error {
     this.status = status;
     /** @type {import('./types.js').APIErrorData|undefined} */
     this.data = data;
+    /**
+     * Machine-readable error code from the response body (e.g. "invalid_response"), if any
+     * @type {string|null}
+     */
+    this.code =
+      (data && (typeof data.error === "object" && data.error ? data.error.code : data.code)) || null;
+    /**
+     * Additional error details from the response body (`error.details`), if any
+     * @type {Object|null}
+     */
+    this.details = (data && typeof data.error === "object" && data.error && data.error.details) || null;
+    /**
+     * Whether repeating the same request may succeed (network failures,
+     * timeouts, rate limiting and transient server errors)
+     * @type {boolean}
+     */
+    this.retryable = isRetryableStatus(status);
+    /**
+     * Delay requested by the server before retrying (from Retry-After or rate-limit headers), in ms
+     * @type {number|null}
+     */
+    this.retryAfterMs = null;
+    /**
+     * Underlying transport error of a network failure (e.g. a Node.js ENOTFOUND), if any
+     * @type {*}
+     */
+    this.cause = undefined;
+  }
+}
+
+/**
+ * Error thrown when the API key is missing, invalid or lacks permission (401/403)
+ * @extends APIError
+ */
+export class AuthenticationError extends APIError {
+  /**
+   * Create an AuthenticationError
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {import('./types.js').APIErrorData} [data] - Error data from the API response
+   */
+  constructor(message, status, data) {
+    super(message, status, data);
+    /** @type {string} */
+    this.name = "AuthenticationError";
+    this.code = this.code || "unauthorized";
+  }
+}
+
+/**
+ * Error thrown when the license key does not exist
+ * @extends APIError
+ */
+export class LicenseNotFoundError extends APIError {
+  /**
+   * Create a LicenseNotFoundError
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {import('./types.js').APIErrorData} [data] - Error data from the API response
+   */
+  constructor(message, status, data) {
+    super(message, status, data);
+    /** @type {string} */
+    this.name = "LicenseNotFoundError";
+    this.code = this.code || "license_not_found";
+  }
+}
+
+/**
+ * Error thrown when the license has expired
+ * @extends APIError
+ */
+export class LicenseExpiredError extends APIError {
+  /**
+   * Create a LicenseExpiredError
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {import('./types.js').APIErrorData} [data] - Error data from the API response
+   */
+  constructor(message, status, data) {
+    super(message, status, data);
+    /** @type {string} */
+    this.name = "LicenseExpiredError";
+    this.code = this.code || "license_expired";
+  }
+}
+
+/**
+ * Error thrown when the license has been revoked
+ * @extends APIError
+ */
+export class LicenseRevokedError extends APIError {
+  /**
+   * Create a LicenseRevokedError
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {import('./types.js').APIErrorData} [data] - Error data from the API response
+   */
+  constructor(message, status, data) {
+    super(message, status, data);
+    /** @type {string} */
+    this.name = "LicenseRevokedError";
+    this.code = this.code || "license_revoked";
   }
 }
 
+/**
+ * Error thrown when the license is suspended
+ * @extends APIError
+ */
+export class LicenseSuspendedError extends APIError {
+  /**
+   * Create a LicenseSuspendedError
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {import('./types.js').APIErrorData} [data] - Error data from the API response
+   */
+  constructor(message, status, data) {
+    super(message, status, data);
+    /** @type {string} */
+    this.name = "LicenseSuspendedError";
+    this.code = this.code || "license_suspended";
+  }
+}
+
+/**
+ * Error thrown when activating would exceed the license's seat limit
+ * @extends APIError
+ */
+export class SeatLimitExceededError extends APIError {
+  /**
+   * Create a SeatLimitExceededError
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {import('./types.js').APIErrorData} [data] - Error data from the API response
+   */
+  constructor(message, status, data) {
+    super(message, status, data);
+    /** @type {string} */
+    this.name = "SeatLimitExceededError";
+    this.code = this.code || "seat_limit_reached";
+  }
+}
+
+/**
+ * Error thrown when the API rate limit was hit (429). Retryable; the delay
+ * requested by the server is in `retryAfterMs`.
+ * @extends APIError
+ */
+export class RateLimitedError extends APIError {
+  /**
+   * Create a RateLimitedError
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {import('./types.js').APIErrorData} [data] - Error data from the API response
+   */
+  constructor(message, status, data) {
+    super(message, status, data);
+    /** @type {string} */
+    this.name = "RateLimitedError";
+    this.code = this.code || "rate_limited";
+    this.retryable = true;
+  }
+}
+
+/**
+ * Error classes for known API error codes
+ * @type {Map<string, typeof APIError>}
+ */
+const ERROR_CLASSES_BY_CODE = new Map([
+  ["unauthorized", AuthenticationError],
+  ["invalid_api_key", AuthenticationError],
+  ["forbidden", AuthenticationError],
+  ["license_not_found", LicenseNotFoundError],
+  ["license_expired", LicenseExpiredError],
+  ["license_revoked", LicenseRevokedError],
+  ["license_suspended", LicenseSuspendedError],
+  ["seat_limit_reached", SeatLimitExceededError],
+  ["seat_limit_exceeded", SeatLimitExceededError],
+  ["rate_limited", RateLimitedError],
+  ["too_many_requests", RateLimitedError],
+]);
+
+/**
+ * Error classes for responses without a known code, by HTTP status
+ * @type {Map<number, typeof APIError>}
+ */
+const ERROR_CLASSES_BY_STATUS = new Map([
+  [401, AuthenticationError],
+  [429, RateLimitedError],
+]);
+
+/**
+ * Create the error for a failed API response: the subclass for its error code
+ * (or, failing that, for a 401 or 429 status), or a plain APIError otherwise
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @param {import('./types.js').APIErrorData} [data] - Error data from the API response
+ * @returns {APIError}
+ */
+export function createAPIError(message, status, data) {
+  const error = new APIError(message, status, data);
+  const ErrorClass = ERROR_CLASSES_BY_CODE.get(error.code) || ERROR_CLASSES_BY_STATUS.get(status);
+  return ErrorClass ? new ErrorClass(message, status, data) : error;
+}
+
 /**
  * Error thrown when SDK operations are attempted without proper configuration
  * @extends Error
@@ -0,0 +1,324 @@
+/**
+ * LicenseSeat SDK File-System Storage Adapter
+ * Persists the license cache as one file per key for Node.js and the Electron main process.
+ * @module file-storage
+ */
+
+import * as fs from "node:fs";
+import * as path from "node:path";
+
+import { ConfigurationError } from "./errors.js";
+
+/**
+ * Suffix for in-progress atomic writes
+ * @type {string}
+ */
+const TEMP_SUFFIX = ".tmp";
+
+/**
+ * Suffix for per-key lock files
+ * @type {string}
+ */
+const LOCK_SUFFIX = ".lock";
+
+/**
+ * Suffix for stale lock files claimed by the process breaking them
+ * @type {string}
+ */
+const STALE_SUFFIX = ".stale";
+
+/**
+ * Interval between attempts to acquire a held lock
+ * @type {number}
+ */
+const LOCK_RETRY_MS = 5;
+
+/**
+ * Unique suffix for files owned by this process
+ * @returns {string}
+ */
+function uniqueSuffix() {
+  return `${process.pid}.${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Block the current thread for a short duration (used while waiting on a lock)
+ * @param {number} ms - Duration in milliseconds
+ * @returns {void}
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Storage adapter that keeps each cache entry in its own file.
+ *
+ * Writes go to a temporary file that is renamed over the target, so readers never
+ * observe a partially written entry. Writes, removals and updates hold an exclusive
+ * lock file for the key, so several processes can share one data directory safely.
+ *
+ * The adapter is synchronous, so waiting for a lock held by another process blocks
+ * the calling thread. Locks are only held for a single file write, and the wait is
+ * bounded by `lockTimeoutMs` (250 ms by default) so a stuck process cannot freeze
+ * the Electron main process.
+ *
+ * @example
+ * ```js
+ * import LicenseSeat, { FileStorageAdapter } from '@licenseseat/js/node';
+ *
+ * const sdk = new LicenseSeat({
+ *   productSlug: 'your-product',
+ *   apiKey: 'your-api-key',
+ *   storage: new FileStorageAdapter({ directory: app.getPath('userData') + '/licenseseat' }),
+ * });
+ * ```
+ */
+export class FileStorageAdapter {
+  /**
+   * Create a FileStorageAdapter
+   * @param {Object} options - Adapter options
+   * @param {string} options.directory - Directory that holds the cache files (created if missing)
+   * @param {number} [options.lockTimeoutMs=250] - How long to wait for another process to release a lock (blocks the calling thread)
+   * @param {number} [options.staleLockMs=10000] - Age after which an abandoned lock is broken
+   * @throws {ConfigurationError} When no directory is provided
+   */
+  constructor(options) {
+    if (!options || !options.directory) {
+      throw new ConfigurationError("FileStorageAdapter requires a directory");
+    }
+
+    /** @type {string} */
+    this.directory = path.resolve(options.directory);
+    /** @type {number} */
+    this.lockTimeoutMs = options.lockTimeoutMs ?? 250;
+    /** @type {number} */
+    this.staleLockMs = options.staleLockMs ?? 10000;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value or null if not found
+   */
+  get(key) {
+    try {
+      return fs.readFileSync(this.filePath(key), "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Atomically write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   * @returns {void}
+   */
+  set(key, value) {
+    this.ensureDirectory();
+    const target = this.filePath(key);
+    this.withLock(target, () => this.writeFile(target, String(value)));
+  }
+
+  /**
+   * Read, change and write back a value while holding the key's lock, so
+   * changes made by other processes in between are not lost
+   * @param {string} key - Storage key
+   * @param {function((string|null)): (string|null)} updater - Receives the current value (null if missing) and returns the new value (null to remove it)
+   * @returns {void}
+   */
+  update(key, updater) {
+    this.ensureDirectory();
+    const target = this.filePath(key);
+    this.withLock(target, () => {
+      const next = updater(this.get(key));
+      if (next === null) {
+        fs.rmSync(target, { force: true });
+      } else {
+        this.writeFile(target, String(next));
+      }
+    });
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   * @returns {void}
+   */
+  remove(key) {
+    const target = this.filePath(key);
+    if (!fs.existsSync(this.directory)) return;
+    this.withLock(target, () => {
+      fs.rmSync(target, { force: true });
+    });
+  }
+
+  /**
+   * List all stored keys
+   * @returns {string[]} Stored keys
+   */
+  keys() {
+    let entries;
+    try {
+      entries = fs.readdirSync(this.directory);
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+    return entries
+      .filter(
+        (name) =>
+          !name.endsWith(TEMP_SUFFIX) && !name.endsWith(LOCK_SUFFIX) && !name.endsWith(STALE_SUFFIX)
+      )
+      .map((name) => decodeURIComponent(name));
+  }
+
+  /**
+   * Map a storage key to its file path
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   * @private
+   */
+  filePath(key) {
+    return path.join(this.directory, encodeURIComponent(key));
+  }
+
+  /**
+   * Create the data directory if it does not exist yet
+   * @returns {void}
+   * @private
+   */
+  ensureDirectory() {
+    fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+  }
+
+  /**
+   * Write a file through a temporary file renamed over the target (the caller holds the lock)
+   * @param {string} target - File path
+   * @param {string} value - File contents
+   * @returns {void}
+   * @private
+   */
+  writeFile(target, value) {
+    const temp = `${target}.${uniqueSuffix()}${TEMP_SUFFIX}`;
+    const fd = fs.openSync(temp, "w", 0o600);
+    try {
+      fs.writeSync(fd, value);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    try {
+      fs.renameSync(temp, target);
+    } catch (e) {
+      fs.rmSync(temp, { force: true });
+      throw e;
+    }
+  }
+
+  /**
+   * Run an operation while holding the exclusive lock for a file
+   * @param {string} target - File path to lock
+   * @param {function(): void} operation - Operation to run under the lock
+   * @returns {void}
+   * @throws {Error} When the lock cannot be acquired within lockTimeoutMs
+   * @private
+   */
+  withLock(target, operation) {
+    const lockPath = target + LOCK_SUFFIX;
+    const deadline = Date.now() + this.lockTimeoutMs;
+    let fd = null;
+
+    while (fd === null) {
+      try {
+        fd = fs.openSync(lockPath, "wx");
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+        if (this.breakStaleLock(lockPath)) continue;
+        if (Date.now() >= deadline) {
+          throw new Error(
+            `Timed out after ${this.lockTimeoutMs}ms waiting for cache lock ${lockPath}` +
+              ` (held by process ${this.readLockOwner(lockPath) || "unknown"})`
+          );
+        }
+        sleepSync(LOCK_RETRY_MS);
+      }
+    }
+
+    try {
+      fs.writeSync(fd, String(process.pid));
+      operation();
+    } finally {
+      fs.closeSync(fd);
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Read the process ID recorded in a lock file
+   * @param {string} lockPath - Lock file path
+   * @returns {string|null} Process ID, or null if the lock is gone
+   * @private
+   */
+  readLockOwner(lockPath) {
+    try {
+      return fs.readFileSync(lockPath, "utf8") || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Remove a lock file left behind by a crashed process
+   * @param {string} lockPath - Lock file path
+   * @returns {boolean} True if the lock was stale and has been removed
+   * @private
+   */
+  breakStaleLock(lockPath) {
+    let stat;
+    try {
+      stat = fs.statSync(lockPath);
+    } catch (e) {
+      // Lock disappeared between open and stat - retry immediately
+      return e.code === "ENOENT";
+    }
+    if (Date.now() - stat.mtimeMs <= this.staleLockMs) return false;
+    this.claimStaleLock(lockPath, stat);
+    return true;
+  }
+
+  /**
+   * Take a lock file found stale out of the way. Another process may have
+   * broken the same lock and acquired a fresh one since it was checked, so the
+   * file is first renamed to a name only this process uses (only one process
+   * can move a given file) and compared with the stale one (inode and
+   * modification time, as inodes are reused). A fresh lock taken
+   * by mistake is linked back in place, which fails rather than overwrite a
+   * lock created in the meantime.
+   * @param {string} lockPath - Lock file path
+   * @param {fs.Stats} stale - Stats of the lock file when it was found stale
+   * @returns {void}
+   * @private
+   */
+  claimStaleLock(lockPath, stale) {
+    const claimed = `${lockPath}.${uniqueSuffix()}${STALE_SUFFIX}`;
+    try {
+      fs.renameSync(lockPath, claimed);
+    } catch (e) {
+      // Another process already broke the lock
+      if (e.code === "ENOENT") return;
+      throw e;
+    }
+    try {
+      const current = fs.statSync(claimed);
+      if (current.ino !== stale.ino || current.mtimeMs !== stale.mtimeMs) {
+        fs.linkSync(claimed, lockPath);
+      }
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    } finally {
+      fs.rmSync(claimed, { force: true });
+    }
+  }
+}
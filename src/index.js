@@ -44,10 +44,62 @@ export {
 export {} from "./types.js";
 
 // Re-export error classes
-export { APIError, ConfigurationError, LicenseError, CryptoError } from "./errors.js";
+export {
+  APIError,
+  AuthenticationError,
+  LicenseNotFoundError,
+  LicenseExpiredError,
+  LicenseRevokedError,
+  LicenseSuspendedError,
+  SeatLimitExceededError,
+  RateLimitedError,
+  createAPIError,
+  ConfigurationError,
+  LicenseError,
+  CryptoError,
+} from "./errors.js";
 
 // Re-export cache (for advanced use cases)
 export { LicenseCache } from "./cache.js";
+export { CACHE_SCHEMA_VERSION } from "./migrations.js";
+
+// Re-export storage adapters
+export {
+  LocalStorageAdapter,
+  MemoryStorageAdapter,
+  IndexedDBStorageAdapter,
+  createDefaultStorage,
+} from "./storage.js";
+
+// Re-export cache encryption (for advanced use cases)
+export { CacheCipher, setCryptoProvider } from "./encryption.js";
+
+// Re-export cross-tab sync and leader election (for advanced use cases)
+export { TabSync } from "./tab-sync.js";
+export { LeaderElector } from "./leader.js";
+
+// Re-export retry policy helpers (for custom retryOn predicates)
+export { isRetryableStatus, parseRetryAfter } from "./retry.js";
+
+// Re-export the circuit breaker (for advanced use cases)
+export { CircuitBreaker } from "./circuit-breaker.js";
+
+// Re-export the license lifecycle state machine (for advanced use cases)
+export { LicenseLifecycle, LICENSE_TRANSITIONS, deriveLicenseState } from "./lifecycle.js";
+
+// Re-export the message catalog (for translations)
+export { MessageCatalog, DEFAULT_MESSAGES, DEFAULT_LOCALE } from "./messages.js";
+
+// Re-export connectivity detection (for custom transports and advanced use cases)
+export { ConnectivityMonitor, isConnectionError } from "./connectivity.js";
+
+// Re-export diagnostics helpers (for custom support bundles)
+export {
+  DiagnosticsRecorder,
+  maskLicenseKey,
+  redactDiagnostics,
+  formatDiagnostics,
+} from "./diagnostics.js";
 
 // Re-export utility functions (for advanced use cases)
 export {
@@ -55,6 +107,7 @@ export {
   constantTimeEqual,
   canonicalJsonStringify,
   base64UrlDecode,
+  base64UrlEncode,
   generateDeviceId,
   getCsrfToken,
 } from "./utils.js";
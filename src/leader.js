@@ -0,0 +1,333 @@
+/**
+ * LicenseSeat SDK Leader Election
+ * Elects one tab to run the SDK's periodic network cycles.
+ * @module leader
+ */
+
+/**
+ * Default lease duration for the localStorage fallback (ms)
+ * @type {number}
+ */
+const DEFAULT_LEASE_MS = 5000;
+
+/**
+ * Generate an identifier for this tab's candidacy
+ * @returns {string} Random identifier
+ */
+function generateCandidateId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Elects a single leader among tabs sharing the same name.
+ *
+ * Uses the Web Locks API when available: the leader holds an exclusive lock
+ * for as long as it lives, and the browser grants it to the next waiting tab
+ * when the leader closes or crashes. Otherwise falls back to a lease stored in
+ * localStorage that the leader renews; other tabs take over once it expires,
+ * or immediately when the leader releases it on close.
+ *
+ * On `pagehide` the tab steps down and releases the lock or lease, since a page
+ * kept in the back/forward cache is frozen and cannot do the leader's work. It
+ * campaigns again on `pageshow` when the page is restored.
+ */
+export class LeaderElector {
+  /**
+   * Create a LeaderElector and start campaigning
+   * @param {Object} options - Election options
+   * @param {string} options.name - Lock name (also the lease storage key)
+   * @param {function(boolean): void} options.onChange - Called when this tab later gains or loses leadership (not for the initial state, see {@link LeaderElector#isLeader})
+   * @param {LockManager|null} [options.locks] - Web Locks implementation (defaults to navigator.locks)
+   * @param {Storage|null} [options.storage] - Storage holding the lease in the fallback (defaults to localStorage)
+   * @param {EventTarget|null} [options.target] - Receives `pagehide` and `pageshow` (defaults to window)
+   * @param {number} [options.leaseMs=5000] - Lease duration in the fallback
+   */
+  constructor(options) {
+    /** @type {string} */
+    this.name = options.name;
+    /** @type {string} */
+    this.id = generateCandidateId();
+    /** @type {boolean} */
+    this.isLeader = false;
+
+    /**
+     * @type {function(boolean): void}
+     * @private
+     */
+    this.onChange = options.onChange;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this.closed = false;
+
+    /**
+     * Whether the page is hidden (e.g. in the back/forward cache) and not campaigning
+     * @type {boolean}
+     * @private
+     */
+    this.suspended = false;
+
+    /**
+     * @type {LockManager|null}
+     * @private
+     */
+    this.locks = null;
+
+    /**
+     * Releases the held Web Lock
+     * @type {function(): void|null}
+     * @private
+     */
+    this.releaseLock = null;
+
+    /**
+     * Cancels the pending Web Lock request
+     * @type {AbortController|null}
+     * @private
+     */
+    this.lockRequest = null;
+
+    /**
+     * @type {Storage|null}
+     * @private
+     */
+    this.storage = null;
+
+    /**
+     * @type {EventTarget|null}
+     * @private
+     */
+    this.target = null;
+
+    /**
+     * Lease renewal timer ID
+     * @type {ReturnType<typeof setInterval>|null}
+     * @private
+     */
+    this.leaseTimer = null;
+
+    /**
+     * @type {function(): void}
+     * @private
+     */
+    this.handlePageHide = () => this.suspend();
+
+    /**
+     * @type {function(): void}
+     * @private
+     */
+    this.handlePageShow = () => this.resume();
+
+    this.locks =
+      options.locks !== undefined
+        ? options.locks
+        : typeof navigator !== "undefined" && navigator.locks
+          ? navigator.locks
+          : null;
+
+    if (!this.locks) {
+      this.storage =
+        options.storage !== undefined
+          ? options.storage
+          : typeof localStorage !== "undefined"
+            ? localStorage
+            : null;
+
+      if (!this.storage) {
+        // Nothing to coordinate with: this is the only instance
+        this.isLeader = true;
+        return;
+      }
+    }
+
+    this.target =
+      options.target !== undefined
+        ? options.target
+        : typeof window !== "undefined"
+          ? window
+          : null;
+    if (this.target) {
+      this.target.addEventListener("pagehide", this.handlePageHide);
+      this.target.addEventListener("pageshow", this.handlePageShow);
+    }
+    this.campaign(false);
+  }
+
+  /**
+   * Start competing for leadership
+   * @param {boolean} notify - Whether to report winning the lease right away
+   * @returns {void}
+   * @private
+   */
+  campaign(notify) {
+    if (this.locks) {
+      this.requestLock(this.locks);
+      return;
+    }
+    this.renewLease(notify);
+    this.leaseTimer = setInterval(() => this.renewLease(), Math.floor(this.leaseMs / 3));
+  }
+
+  /**
+   * Release the lock or lease and stop competing for leadership
+   * @returns {void}
+   * @private
+   */
+  withdraw() {
+    if (this.lockRequest) {
+      this.lockRequest.abort();
+      this.lockRequest = null;
+    }
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+
+    if (this.leaseTimer) {
+      clearInterval(this.leaseTimer);
+      this.leaseTimer = null;
+    }
+    if (this.storage) {
+      const lease = this.readLease();
+      if (lease && lease.owner === this.id) {
+        try {
+          this.storage.removeItem(this.name);
+        } catch (e) {
+          // Lease expires on its own
+        }
+      }
+    }
+  }
+
+  /**
+   * Step down while the page is hidden, so another tab takes over
+   * @returns {void}
+   */
+  suspend() {
+    if (this.closed || this.suspended) return;
+    this.suspended = true;
+    this.withdraw();
+    this.setLeader(false);
+  }
+
+  /**
+   * Campaign again after {@link LeaderElector#suspend} (the page was restored)
+   * @returns {void}
+   */
+  resume() {
+    if (this.closed || !this.suspended) return;
+    this.suspended = false;
+    this.campaign(true);
+  }
+
+  /**
+   * Wait for the exclusive Web Lock and hold it until closed
+   * @param {LockManager} locks - Web Locks implementation
+   * @returns {void}
+   * @private
+   */
+  requestLock(locks) {
+    this.lockRequest = typeof AbortController !== "undefined" ? new AbortController() : null;
+    const options = this.lockRequest
+      ? { mode: /** @type {LockMode} */ ("exclusive"), signal: this.lockRequest.signal }
+      : { mode: /** @type {LockMode} */ ("exclusive") };
+
+    locks
+      .request(this.name, options, () => {
+        this.lockRequest = null;
+        if (this.closed || this.suspended) return undefined;
+        return new Promise((resolve) => {
+          this.releaseLock = () => resolve(undefined);
+          this.setLeader(true);
+        });
+      })
+      .catch((err) => {
+        if (!this.closed) {
+          console.error("Leader election lock request failed:", err);
+        }
+      });
+  }
+
+  /**
+   * Read the current lease from storage
+   * @returns {{owner: string, expiresAt: number}|null} Lease or null if missing or unreadable
+   * @private
+   */
+  readLease() {
+    try {
+      const raw = this.storage.getItem(this.name);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Take or renew the lease if it is free, expired, or already ours
+   * @param {boolean} [notify=true] - Whether to report a leadership change
+   * @returns {void}
+   * @private
+   */
+  renewLease(notify = true) {
+    if (this.closed || this.suspended) return;
+    const now = Date.now();
+    const lease = this.readLease();
+
+    if (!lease || lease.owner === this.id || !(lease.expiresAt > now)) {
+      try {
+        this.storage.setItem(
+          this.name,
+          JSON.stringify({ owner: this.id, expiresAt: now + this.leaseMs })
+        );
+      } catch (e) {
+        console.error("Failed to write leader lease:", e);
+      }
+      // Another tab may have written in between; the last writer wins
+      const confirmed = this.readLease();
+      this.setLeader(!!confirmed && confirmed.owner === this.id, notify);
+    } else {
+      this.setLeader(false, notify);
+    }
+  }
+
+  /**
+   * Update leadership and notify on change
+   * @param {boolean} leader - Whether this tab is the leader
+   * @param {boolean} [notify=true] - Whether to call onChange
+   * @returns {void}
+   * @private
+   */
+  setLeader(leader, notify = true) {
+    if (this.isLeader === leader) return;
+    this.isLeader = leader;
+    if (notify) this.onChange(leader);
+  }
+
+  /**
+   * Step down and stop campaigning. Another tab takes over.
+   * @returns {void}
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    this.withdraw();
+    if (this.target) {
+      this.target.removeEventListener("pagehide", this.handlePageHide);
+      this.target.removeEventListener("pageshow", this.handlePageShow);
+      this.target = null;
+    }
+    this.storage = null;
+    this.locks = null;
+
+    this.isLeader = false;
+  }
+}
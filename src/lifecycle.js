@@ -0,0 +1,125 @@
+/**
+ * LicenseSeat SDK License Lifecycle
+ * State machine for the license the SDK manages.
+ * @module lifecycle
+ */
+
+/**
+ * States each state may move to. Anything else is rejected:
+ * - nothing is deactivated without a license, and activation and
+ *   deactivation do not overlap;
+ * - going offline does not make an invalid license trusted again (no grace);
+ * - a revoked license only leaves the revoked state through the server (a new
+ *   validation or activation) or by being removed. A still-valid offline token
+ *   cannot reinstate it.
+ * @type {Object<import('./types.js').LicenseState, import('./types.js').LicenseState[]>}
+ */
+export const LICENSE_TRANSITIONS = {
+  inactive: ["activating", "pending", "active", "offline-valid", "grace", "invalid", "revoked"],
+  activating: ["inactive", "pending", "active", "offline-valid", "grace", "invalid", "revoked"],
+  pending: ["inactive", "activating", "deactivating", "active", "offline-valid", "grace", "invalid", "revoked"],
+  active: ["inactive", "activating", "deactivating", "pending", "offline-valid", "grace", "invalid", "revoked"],
+  "offline-valid": ["inactive", "activating", "deactivating", "pending", "active", "grace", "invalid", "revoked"],
+  grace: ["inactive", "activating", "deactivating", "pending", "active", "offline-valid", "invalid", "revoked"],
+  invalid: ["inactive", "activating", "deactivating", "pending", "active", "offline-valid", "revoked"],
+  revoked: ["inactive", "activating", "deactivating", "active", "invalid"],
+  deactivating: ["inactive", "pending", "active", "offline-valid", "grace", "invalid", "revoked"],
+};
+
+/**
+ * States that last only as long as an activation or deactivation request
+ * @type {Set<import('./types.js').LicenseState>}
+ */
+const TRANSIENT_STATES = new Set(["activating", "deactivating"]);
+
+/**
+ * Validation codes that mean the license was revoked
+ * @type {Set<string>}
+ */
+const REVOKED_CODES = new Set(["license_revoked"]);
+
+/**
+ * Derive the settled state of a cached license
+ * @param {import('./types.js').CachedLicense|null} license - Cached license (null if none)
+ * @param {Object} [context={}] - SDK state the license is seen in
+ * @param {boolean} [context.ready=true] - Whether the license cache has loaded
+ * @param {boolean} [context.online=true] - Whether the API is reachable
+ * @returns {import('./types.js').LicenseState}
+ */
+export function deriveLicenseState(license, context = {}) {
+  if (context.ready === false) return "pending";
+  if (!license) return "inactive";
+
+  const validation = license.validation;
+  if (!validation) return "pending";
+  if (!validation.valid) {
+    return REVOKED_CODES.has(validation.code) ? "revoked" : "invalid";
+  }
+  if (validation.offline) return "offline-valid";
+  // The last online validation is trusted until the API is reachable again
+  if (context.online === false) return "grace";
+  return "active";
+}
+
+/**
+ * Lifecycle of the license the SDK manages.
+ *
+ * - **inactive**: no license is cached.
+ * - **activating** / **deactivating**: an activation or deactivation request is
+ *   in flight.
+ * - **pending**: a license is cached but has not been validated (yet).
+ * - **active**: the server confirmed the license.
+ * - **offline-valid**: the signed offline token confirmed the license.
+ * - **grace**: the API is unreachable and the last online validation is trusted.
+ * - **invalid** / **revoked**: the license was rejected.
+ */
+export class LicenseLifecycle {
+  /**
+   * Create a LicenseLifecycle
+   * @param {Object} [options={}] - Lifecycle options
+   * @param {import('./types.js').LicenseState} [options.state="inactive"] - Initial state
+   * @param {function(import('./types.js').LicenseState, import('./types.js').LicenseState, string): void} [options.onStateChange] - Called with the new state, the previous state and the reason
+   */
+  constructor(options = {}) {
+    /** @type {import('./types.js').LicenseState} */
+    this.state = options.state || "inactive";
+
+    /**
+     * @type {function(import('./types.js').LicenseState, import('./types.js').LicenseState, string): void}
+     * @private
+     */
+    this.onStateChange = options.onStateChange || (() => {});
+  }
+
+  /**
+   * Check whether the machine may move to a state
+   * @param {import('./types.js').LicenseState} next - Target state
+   * @returns {boolean}
+   */
+  can(next) {
+    return LICENSE_TRANSITIONS[this.state].includes(next);
+  }
+
+  /**
+   * Whether an activation or deactivation is in progress
+   * @returns {boolean}
+   */
+  isTransient() {
+    return TRANSIENT_STATES.has(this.state);
+  }
+
+  /**
+   * Move to a state and notify. Staying in the current state is a no-op.
+   * @param {import('./types.js').LicenseState} next - Target state
+   * @param {string} reason - What caused the transition
+   * @returns {boolean} False if the transition is not allowed (the state is unchanged)
+   */
+  transition(next, reason) {
+    if (next === this.state) return true;
+    if (!this.can(next)) return false;
+    const previous = this.state;
+    this.state = next;
+    this.onStateChange(next, previous, reason);
+    return true;
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * LicenseSeat SDK Messages
+ * User-facing text for the status, validation and error codes the SDK emits.
+ * @module messages
+ */
+
+import { APIError, ConfigurationError, CryptoError, LicenseError } from "./errors.js";
+
+/**
+ * Locale used when no other locale has a message for a code
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = "en";
+
+/**
+ * English messages, by code
+ * @type {import('./types.js').MessageCatalogEntries}
+ */
+export const DEFAULT_MESSAGES = {
+  // License status (getStatus().status, prefixed with "status_")
+  status_active: "License active",
+  "status_offline-valid": "License active (verified offline)",
+  status_pending: "License pending validation",
+  status_inactive: "No license activated",
+  status_invalid: "License invalid",
+  "status_offline-invalid": "License invalid (offline)",
+
+  // SDK state
+  cache_loading: "License cache loading",
+  no_license: "No license activated",
+
+  // Offline verification
+  no_offline_token: "No offline license available. Connect to the internet to verify your license.",
+  no_public_key: "The offline license cannot be verified yet. Connect to the internet once to finish setup.",
+  signature_invalid: "The offline license is invalid or has been modified.",
+  license_mismatch: "The offline license belongs to a different license key.",
+  expired: "Your license has expired.",
+  grace_period_expired:
+    "This device has been offline for too long. Connect to the internet to verify your license.",
+  clock_tamper: "Your system clock appears to be wrong. Correct the date and time, then try again.",
+  verification_error: "Your license could not be verified.",
+
+  // API errors
+  unauthorized: "The application could not authenticate with the license server.",
+  invalid_api_key: "The application could not authenticate with the license server.",
+  forbidden: "The application is not allowed to perform this license operation.",
+  license_not_found: "This license key does not exist. Check the key and try again.",
+  license_expired: "Your license has expired.",
+  license_suspended: "Your license has been suspended.",
+  license_revoked: "Your license has been revoked.",
+  seat_limit_reached: "This license is already in use on the maximum number of devices.",
+  seat_limit_exceeded: "This license is already in use on the maximum number of devices.",
+  device_already_activated: "This device is already activated.",
+  activation_not_found: "This device is not activated for this license.",
+  signing_key_not_found: "The key needed to verify your license could not be found.",
+  rate_limited: "Too many requests. Wait a moment and try again.",
+  too_many_requests: "Too many requests. Wait a moment and try again.",
+  invalid_response: "The license server sent an unexpected response. Try again later.",
+
+  // Entitlement checks (checkEntitlement().reason, prefixed with "entitlement_")
+  entitlement_not_found: "Your license does not include this feature.",
+  entitlement_expired: "Your access to this feature has expired.",
+
+  // Errors without a code
+  network_error: "The license server could not be reached. Check your internet connection.",
+  aborted: "The request was cancelled.",
+  configuration_error: "Licensing is not configured correctly in this application.",
+  crypto_error: "Your license could not be verified.",
+  unknown_error: "Something went wrong while checking your license.",
+};
+
+/**
+ * Normalize a locale for lookups ("pt_BR" and "pt-BR" become "pt-br")
+ * @param {string} locale - Locale
+ * @returns {string}
+ */
+function normalizeLocale(locale) {
+  return locale.toLowerCase().replace(/_/g, "-");
+}
+
+/**
+ * Find the message code for a code, error, validation result, entitlement
+ * check or license status
+ * @param {import('./types.js').DescribeSubject} subject - What to describe
+ * @returns {string|null} Message code, or null if the subject has none
+ */
+export function resolveMessageCode(subject) {
+  if (typeof subject === "string") return subject;
+  if (!subject || typeof subject !== "object") return null;
+
+  // Aborts reject with a DOMException, which is not an Error everywhere
+  if (/** @type {Error} */ (subject).name === "AbortError") return "aborted";
+  if (subject instanceof Error) {
+    if (subject instanceof APIError) return subject.code || (subject.status === 0 ? "network_error" : null);
+    if (subject instanceof LicenseError) return subject.code || null;
+    if (subject instanceof ConfigurationError) return "configuration_error";
+    if (subject instanceof CryptoError) return "crypto_error";
+    return null;
+  }
+
+  /** @type {{active?: boolean, reason?: string, code?: string, status?: string}} */
+  const result = subject;
+  // Entitlement check results share reasons like "expired" with other codes
+  if (typeof result.active === "boolean" && result.reason) return `entitlement_${result.reason}`;
+  if (result.code) return result.code;
+  if (result.status) return `status_${result.status}`;
+  return null;
+}
+
+/**
+ * Messages in several locales. Lookups fall back from a regional locale to
+ * its language ("de-AT" to "de"), then to English.
+ */
+export class MessageCatalog {
+  /**
+   * Create a MessageCatalog
+   * @param {Object} [options={}] - Catalog options
+   * @param {string} [options.locale="en"] - Default locale for lookups
+   * @param {Object<string, import('./types.js').MessageCatalogEntries>} [options.messages] - Messages by locale, merged over the defaults
+   */
+  constructor(options = {}) {
+    /** @type {string} */
+    this.locale = options.locale || DEFAULT_LOCALE;
+
+    /**
+     * Messages by locale
+     * @type {Map<string, import('./types.js').MessageCatalogEntries>}
+     * @private
+     */
+    this.locales = new Map([[DEFAULT_LOCALE, { ...DEFAULT_MESSAGES }]]);
+
+    Object.entries(options.messages || {}).forEach(([locale, messages]) =>
+      this.register(locale, messages)
+    );
+  }
+
+  /**
+   * Add or override messages for a locale
+   * @param {string} locale - Locale (e.g. "de" or "pt-BR")
+   * @param {import('./types.js').MessageCatalogEntries} messages - Messages by code
+   * @returns {void}
+   */
+  register(locale, messages) {
+    const key = normalizeLocale(locale);
+    this.locales.set(key, { ...(this.locales.get(key) || {}), ...messages });
+  }
+
+  /**
+   * Look up the message for a code
+   * @param {string|null} code - Message code
+   * @param {string} [locale] - Locale (defaults to the catalog's locale)
+   * @returns {string|null} Message, or null if no locale has one
+   */
+  lookup(code, locale = this.locale) {
+    if (!code) return null;
+    for (const candidate of this.fallbackChain(locale)) {
+      const messages = this.locales.get(candidate);
+      if (messages && Object.prototype.hasOwnProperty.call(messages, code)) {
+        return messages[code];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the user-facing message for a code, error, validation result,
+   * entitlement check or license status. Unknown error codes fall back to the
+   * error's own message, anything else to the "unknown_error" message.
+   * @param {import('./types.js').DescribeSubject} subject - What to describe
+   * @param {string} [locale] - Locale (defaults to the catalog's locale)
+   * @returns {string} Message
+   */
+  describe(subject, locale = this.locale) {
+    const message = this.lookup(resolveMessageCode(subject), locale);
+    if (message !== null) return message;
+    if (subject instanceof Error && subject.message) return subject.message;
+    return this.lookup("unknown_error", locale);
+  }
+
+  /**
+   * Locales to try for a lookup, most specific first
+   * @param {string} locale - Requested locale
+   * @returns {string[]}
+   * @private
+   */
+  fallbackChain(locale) {
+    const requested = normalizeLocale(locale || DEFAULT_LOCALE);
+    const chain = [requested];
+    const language = requested.split("-")[0];
+    if (language !== requested) chain.push(language);
+    if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+    return chain;
+  }
+}
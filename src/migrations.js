@@ -0,0 +1,120 @@
+/**
+ * LicenseSeat SDK Cache Migrations
+ * Upgrades cached data written by earlier SDK versions to the current schema.
+ * @module migrations
+ */
+
+/**
+ * Current cache schema version
+ *
+ * - 1: v0.2.x (`device_identifier`, legacy `offline_license` record, `reason_code`)
+ * - 2: v0.3.0 – v0.4.3 (v1 API: `device_id`, `offline_token` record, `code`)
+ * - 3: after v0.4.3 (sealed validation results: `validation_seal`)
+ *
+ * @type {number}
+ */
+export const CACHE_SCHEMA_VERSION = 3;
+
+/**
+ * Storage key (without prefix) holding the schema version
+ * @type {string}
+ */
+export const SCHEMA_VERSION_KEY = "schema_version";
+
+/**
+ * Parse a JSON record, returning null for missing or unreadable values
+ * @param {string|null} value - Raw stored value
+ * @returns {Object|null} Parsed record
+ */
+function parseRecord(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Registered migrations, in ascending version order.
+ * Each migration upgrades the cache to `version` and must be idempotent: it may
+ * run again on data that is already in its target shape (e.g. after `clear()`
+ * removed the version marker).
+ * @type {import('./types.js').CacheMigration[]}
+ */
+export const migrations = [
+  {
+    version: 2,
+    description: "v0.3.0 renames: device_identifier → device_id, reason_code → code, drop legacy offline_license",
+    migrate(store) {
+      const license = parseRecord(store.get("license"));
+      if (license) {
+        let changed = false;
+        if (license.device_identifier !== undefined) {
+          if (license.device_id === undefined) {
+            license.device_id = license.device_identifier;
+          }
+          delete license.device_identifier;
+          changed = true;
+        }
+        if (license.validation && license.validation.reason_code !== undefined) {
+          if (license.validation.code === undefined) {
+            license.validation.code = license.validation.reason_code;
+          }
+          delete license.validation.reason_code;
+          changed = true;
+        }
+        if (changed) {
+          store.set("license", JSON.stringify(license));
+        }
+      }
+
+      // Legacy offline licenses cannot be verified with the v1 token format;
+      // the SDK downloads a fresh offline token on the next sync.
+      store.remove("offline_license");
+    },
+  },
+  {
+    version: 3,
+    description: "validation seals: seal validations cached before sealing",
+    migrate(store) {
+      // Earlier versions trusted the cached validation as is. Seal it once here
+      // so it keeps working; from then on an unsealed validation is tampering.
+      const license = parseRecord(store.get("license"));
+      if (license && license.validation && !license.validation_seal) {
+        license.validation_seal = store.sealValidation(license);
+        store.set("license", JSON.stringify(license));
+      }
+    },
+  },
+];
+
+/**
+ * Run all migrations newer than the stored schema version, then record the
+ * current version. Stops at the first failing migration so it is retried on
+ * the next start.
+ * @param {import('./types.js').CacheMigrationStore} store - Prefix-relative view of the cache storage
+ * @param {import('./types.js').CacheMigration[]} [registry=migrations] - Migrations to apply
+ * @returns {number} Schema version after migrating
+ */
+export function runMigrations(store, registry = migrations) {
+  const stored = parseInt(store.get(SCHEMA_VERSION_KEY) || "", 10);
+  // Caches written before versioning was introduced have no marker
+  let version = Number.isFinite(stored) ? stored : 1;
+
+  for (const migration of registry) {
+    if (migration.version <= version) continue;
+    try {
+      migration.migrate(store);
+      version = migration.version;
+    } catch (e) {
+      console.error(`Failed to migrate license cache to schema v${migration.version}:`, e);
+      break;
+    }
+  }
+
+  if (String(version) !== store.get(SCHEMA_VERSION_KEY)) {
+    store.set(SCHEMA_VERSION_KEY, String(version));
+  }
+  return version;
+}
@@ -0,0 +1,36 @@
+/**
+ * LicenseSeat JavaScript SDK - Node.js entry point
+ *
+ * Everything from the main entry point, plus adapters that depend on Node.js
+ * built-ins (and therefore cannot be bundled for browsers).
+ *
+ * @module @licenseseat/js/node
+ *
+ * @example
+ * ```js
+ * import LicenseSeat, { FileStorageAdapter } from '@licenseseat/js/node';
+ *
+ * const sdk = new LicenseSeat({
+ *   apiKey: 'your-api-key',
+ *   productSlug: 'your-product',
+ *   storage: new FileStorageAdapter({ directory: './.licenseseat' }),
+ * });
+ * ```
+ */
+
+import { webcrypto } from "node:crypto";
+import { setCryptoProvider } from "./encryption.js";
+
+export * from "./index.js";
+
+// Node.js 18 has no global WebCrypto; use node:crypto for cache encryption
+if (!globalThis.crypto || !globalThis.crypto.subtle) {
+  setCryptoProvider(/** @type {Crypto} */ (/** @type {unknown} */ (webcrypto)));
+}
+
+// Node.js-only storage adapters
+export { FileStorageAdapter } from "./file-storage.js";
+
+// Default export - the main SDK class
+import { LicenseSeatSDK } from "./LicenseSeat.js";
+export default LicenseSeatSDK;
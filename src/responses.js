@@ -0,0 +1,144 @@
+/**
+ * LicenseSeat SDK Response Parsing
+ * Reads API response bodies according to their content type and checks that
+ * successful responses have the shape their endpoint is expected to return.
+ * @module responses
+ */
+
+import { APIError } from "./errors.js";
+
+/**
+ * Error code of APIErrors raised for unparseable or malformed responses
+ * @type {string}
+ */
+export const INVALID_RESPONSE = "invalid_response";
+
+/**
+ * Maximum number of characters of the raw body kept on invalid response errors
+ * @type {number}
+ */
+const BODY_SNIPPET_LENGTH = 200;
+
+/**
+ * Checks for the successful response of each endpoint, by response object type
+ * @type {Object<import('./types.js').ResponseType, function(Object): boolean>}
+ */
+const RESPONSE_SHAPES = {
+  activation: (data) =>
+    (data.object === "activation" || (data.id !== undefined && data.id !== null)) &&
+    isOptional(data.license, isPlainObject),
+  validation_result: (data) => typeof data.valid === "boolean",
+  offline_token: (data) => isPlainObject(data.token) && isPlainObject(data.signature),
+  signing_key: (data) => typeof data.public_key === "string" && data.public_key.length > 0,
+  // The API may answer a heartbeat with an empty body (read as {})
+  heartbeat: (data) =>
+    isPlainObject(data) &&
+    isOptional(data.license, isPlainObject) &&
+    isOptional(data.received_at, (value) => typeof value === "string"),
+};
+
+/**
+ * Check whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check an optional field: absent (undefined or null) or passing the check
+ * @param {*} value - Field value
+ * @param {function(*): boolean} check - Check for a present value
+ * @returns {boolean}
+ */
+function isOptional(value, check) {
+  return value === undefined || value === null || check(value);
+}
+
+/**
+ * Read a response body. JSON is parsed when the `Content-Type` is JSON (or
+ * missing); empty bodies (e.g. 204 No Content) read as an empty object. Bodies
+ * that are not JSON, such as the HTML error page of a load balancer, are
+ * returned with `data` undefined so the caller can report them.
+ * @param {import('./types.js').TransportResponse} response - Transport response
+ * @returns {Promise<import('./types.js').ParsedResponseBody>} Parsed body
+ * @throws {APIError} With status 0 when the body cannot be read (connection dropped)
+ */
+export async function readResponseBody(response) {
+  const contentType =
+    (response.headers && typeof response.headers.get === "function"
+      ? response.headers.get("content-type")
+      : null) || null;
+
+  // Minimal transports may only implement json()
+  if (typeof response.text !== "function") {
+    try {
+      return { data: await response.json(), text: null, contentType };
+    } catch (e) {
+      return { data: undefined, text: null, contentType };
+    }
+  }
+
+  let text;
+  try {
+    text = await response.text();
+  } catch (error) {
+    throw new APIError(`Failed to read response body: ${(error && error.message) || error}`, 0);
+  }
+
+  if (!text || !text.trim()) {
+    return { data: {}, text, contentType };
+  }
+  if (contentType && !/[/+]json\b/i.test(contentType)) {
+    return { data: undefined, text, contentType };
+  }
+  try {
+    return { data: JSON.parse(text), text, contentType };
+  } catch (e) {
+    return { data: undefined, text, contentType };
+  }
+}
+
+/**
+ * Check a successful response against the shape of its endpoint
+ * @param {import('./types.js').ResponseType} type - Expected response object type
+ * @param {*} data - Parsed response body
+ * @returns {string|null} What is wrong with the response, or null if it is valid
+ */
+export function checkResponseShape(type, data) {
+  if (!isPlainObject(data)) return "body is not a JSON object";
+  if (data.object !== undefined && data.object !== type) {
+    return `expected object "${type}", got ${JSON.stringify(data.object)}`;
+  }
+  const check = RESPONSE_SHAPES[type];
+  if (check && !check(data)) return `malformed ${type} object`;
+  return null;
+}
+
+/**
+ * Create the error for a response that could not be parsed or has the wrong shape
+ * @param {number} status - HTTP status code
+ * @param {string} reason - What is wrong with the response
+ * @param {import('./types.js').ParsedResponseBody} body - Parsed body (for the raw snippet and content type)
+ * @returns {APIError} Error with code "invalid_response"; `data.error.details` holds the status, content type and body snippet
+ */
+export function createInvalidResponseError(status, reason, body) {
+  const snippet = typeof body.text === "string" ? body.text.slice(0, BODY_SNIPPET_LENGTH) : null;
+  return new APIError(`Invalid response from LicenseSeat API (HTTP ${status}): ${reason}`, status, {
+    error: {
+      code: INVALID_RESPONSE,
+      message: reason,
+      details: { status, content_type: body.contentType, body: snippet },
+    },
+  });
+}
+
+/**
+ * Check whether an error reports an unparseable or malformed response
+ * @param {*} error - Error to check
+ * @returns {boolean}
+ */
+export function isInvalidResponseError(error) {
+  return error instanceof APIError && error.code === INVALID_RESPONSE;
+}
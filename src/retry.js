@@ -0,0 +1,98 @@
+/**
+ * LicenseSeat SDK Retry Policy
+ * Decides whether and when failed API requests are retried.
+ * @module retry
+ */
+
+/**
+ * Default upper bound for a single retry delay (ms)
+ * @type {number}
+ */
+const DEFAULT_MAX_DELAY_MS = 30000;
+
+/**
+ * Response headers carrying the reset time of a rate limit window, in order of preference
+ * @type {string[]}
+ */
+const RATE_LIMIT_RESET_HEADERS = ["ratelimit-reset", "x-ratelimit-reset"];
+
+/**
+ * Whether a response status is worth retrying by default: network failures
+ * (status 0), request timeouts (408), rate limiting (429) and transient server
+ * errors (502-599). 500 and 501 usually indicate a bug and are not retried.
+ * @param {number} status - HTTP status code (0 for network failures)
+ * @returns {boolean} True if the request should be retried
+ */
+export function isRetryableStatus(status) {
+  if (status === 0 || status === 408 || status === 429) return true;
+  return status >= 502 && status < 600;
+}
+
+/**
+ * Build the effective retry policy from the SDK configuration. Missing fields
+ * fall back to the legacy `maxRetries` and `retryDelay` options.
+ * @param {import('./types.js').LicenseSeatConfig} config - SDK configuration
+ * @returns {Required<import('./types.js').RetryPolicy>} Complete retry policy
+ */
+export function resolveRetryPolicy(config) {
+  const policy = config.retryPolicy || {};
+  return {
+    maxAttempts: policy.maxAttempts ?? (config.maxRetries ?? 3) + 1,
+    baseDelayMs: policy.baseDelayMs ?? config.retryDelay ?? 1000,
+    maxDelayMs: policy.maxDelayMs ?? DEFAULT_MAX_DELAY_MS,
+    jitter: policy.jitter ?? "full",
+    retryOn: policy.retryOn || ((status) => isRetryableStatus(status)),
+  };
+}
+
+/**
+ * Compute the backoff delay before a retry: exponential growth from
+ * `baseDelayMs`, capped at `maxDelayMs`. With full jitter the delay is drawn
+ * uniformly between 0 and that value, so clients recovering from the same
+ * outage spread their retries out instead of retrying in lockstep.
+ * @param {Required<import('./types.js').RetryPolicy>} policy - Retry policy
+ * @param {number} attempt - Number of the attempt that just failed (0-based)
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ * @returns {number} Delay in ms
+ */
+export function computeRetryDelay(policy, attempt, random = Math.random) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt));
+  return policy.jitter === "full" ? Math.floor(random() * ceiling) : ceiling;
+}
+
+/**
+ * Read how long the server asked the client to wait before retrying, from
+ * `Retry-After` (seconds or an HTTP date), or else from the `RateLimit-Reset` /
+ * `X-RateLimit-Reset` headers (seconds until reset, or a Unix timestamp in seconds).
+ * @param {{get: function(string): (string|null)}|undefined|null} headers - Response headers
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {number|null} Delay in ms, or null when the response carries no usable hint
+ */
+export function parseRetryAfter(headers, now = Date.now()) {
+  if (!headers || typeof headers.get !== "function") return null;
+
+  const retryAfter = headers.get("retry-after");
+  if (retryAfter) {
+    const trimmed = retryAfter.trim();
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+      return Math.round(parseFloat(trimmed) * 1000);
+    }
+    const date = Date.parse(trimmed);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  for (const name of RATE_LIMIT_RESET_HEADERS) {
+    const value = headers.get(name);
+    if (!value || !/^\d+(\.\d+)?$/.test(value.trim())) continue;
+    const seconds = parseFloat(value);
+    // Values larger than a year can only be absolute Unix timestamps
+    if (seconds > 365 * 24 * 60 * 60) {
+      return Math.max(0, Math.round(seconds * 1000 - now));
+    }
+    return Math.round(seconds * 1000);
+  }
+
+  return null;
+}
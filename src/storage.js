@@ -0,0 +1,277 @@
+/**
+ * LicenseSeat SDK Storage Adapters
+ * Pluggable key/value backends used by {@link LicenseCache}.
+ * @module storage
+ */
+
+/**
+ * Storage adapter backed by the Web Storage API (`localStorage` by default).
+ */
+export class LocalStorageAdapter {
+  /**
+   * Create a LocalStorageAdapter
+   * @param {Storage} [storage=globalThis.localStorage] - Web Storage instance to wrap
+   */
+  constructor(storage = globalThis.localStorage) {
+    /** @type {Storage} */
+    this.storage = storage;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value or null if not found
+   */
+  get(key) {
+    return this.storage.getItem(key);
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   * @returns {void}
+   */
+  set(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   * @returns {void}
+   */
+  remove(key) {
+    this.storage.removeItem(key);
+  }
+
+  /**
+   * List all stored keys
+   * @returns {string[]} Stored keys
+   */
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key !== null) keys.push(key);
+    }
+    return keys;
+  }
+}
+
+/**
+ * Storage adapter that keeps everything in memory.
+ * Useful for Node.js, tests, and environments without persistent storage.
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    /**
+     * @type {Map<string, string>}
+     * @private
+     */
+    this.store = new Map();
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value or null if not found
+   */
+  get(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   * @returns {void}
+   */
+  set(key, value) {
+    this.store.set(key, String(value));
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   * @returns {void}
+   */
+  remove(key) {
+    this.store.delete(key);
+  }
+
+  /**
+   * List all stored keys
+   * @returns {string[]} Stored keys
+   */
+  keys() {
+    return Array.from(this.store.keys());
+  }
+}
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @template T
+ * @param {IDBRequest<T>} request - IndexedDB request
+ * @returns {Promise<T>} Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Asynchronous storage adapter backed by IndexedDB.
+ * Works in windows, web workers and service workers, and is not subject to the
+ * small quotas of localStorage.
+ */
+export class IndexedDBStorageAdapter {
+  /**
+   * Create an IndexedDBStorageAdapter
+   * @param {Object} [options={}] - Adapter options
+   * @param {string} [options.databaseName="licenseseat"] - IndexedDB database name
+   * @param {string} [options.storeName="cache"] - Object store name
+   * @param {IDBFactory} [options.indexedDB=globalThis.indexedDB] - IndexedDB factory (for testing)
+   */
+  constructor(options = {}) {
+    /** @type {true} */
+    this.async = true;
+    /** @type {string} */
+    this.databaseName = options.databaseName || "licenseseat";
+    /** @type {string} */
+    this.storeName = options.storeName || "cache";
+    /**
+     * @type {IDBFactory}
+     * @private
+     */
+    this.factory = options.indexedDB || globalThis.indexedDB;
+    /**
+     * @type {Promise<IDBDatabase>|null}
+     * @private
+     */
+    this.db = null;
+  }
+
+  /**
+   * Open (and create if needed) the database
+   * @returns {Promise<IDBDatabase>}
+   * @private
+   */
+  open() {
+    if (!this.db) {
+      if (!this.factory) {
+        return Promise.reject(new Error("IndexedDB is not available in this environment"));
+      }
+      const request = this.factory.open(this.databaseName, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.storeName)) {
+          request.result.createObjectStore(this.storeName);
+        }
+      };
+      this.db = promisifyRequest(request).catch((e) => {
+        this.db = null;
+        throw e;
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Run a single request against the object store
+   * @template T
+   * @param {IDBTransactionMode} mode - Transaction mode
+   * @param {function(IDBObjectStore): IDBRequest<T>} operation - Builds the request
+   * @returns {Promise<T>} Request result
+   * @private
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+    const transaction = db.transaction(this.storeName, mode);
+    const result = await promisifyRequest(operation(transaction.objectStore(this.storeName)));
+    if (mode === "readwrite") {
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve(undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {Promise<string|null>} Stored value or null if not found
+   */
+  async get(key) {
+    const value = await this.run("readonly", (store) => store.get(key));
+    return typeof value === "string" ? value : null;
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {string} value - Value to store
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    await this.run("readwrite", (store) => store.put(String(value), key));
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this.run("readwrite", (store) => store.delete(key));
+  }
+
+  /**
+   * List all stored keys
+   * @returns {Promise<string[]>} Stored keys
+   */
+  async keys() {
+    const keys = await this.run("readonly", (store) => store.getAllKeys());
+    return keys.map((key) => String(key));
+  }
+
+  /**
+   * Close the underlying database connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db) {
+      const db = await this.db.catch(() => null);
+      if (db) db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Check whether an adapter declares an asynchronous interface
+ * @param {import('./types.js').StorageAdapter} adapter - Storage adapter
+ * @returns {boolean} True if the adapter's methods return Promises
+ */
+export function isAsyncStorage(adapter) {
+  return !!adapter && adapter.async === true;
+}
+
+/**
+ * Create the default storage adapter for the current environment.
+ * Uses localStorage when available, otherwise falls back to in-memory storage.
+ * @returns {import('./types.js').StorageAdapter} Storage adapter
+ */
+export function createDefaultStorage() {
+  try {
+    if (typeof globalThis.localStorage !== "undefined" && globalThis.localStorage) {
+      return new LocalStorageAdapter(globalThis.localStorage);
+    }
+  } catch (e) {
+    // Accessing localStorage can throw (e.g. disabled cookies, sandboxed iframes)
+  }
+  return new MemoryStorageAdapter();
+}
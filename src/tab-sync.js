@@ -0,0 +1,168 @@
+/**
+ * LicenseSeat SDK Cross-Tab Sync
+ * Relays license lifecycle messages between SDK instances in other tabs.
+ * @module tab-sync
+ */
+
+/**
+ * Generate an identifier for this tab's sync endpoint
+ * @returns {string} Random identifier
+ */
+function generateTabId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Cross-tab message channel.
+ *
+ * Uses a `BroadcastChannel` when available. Otherwise falls back to `storage`
+ * events: each message is written to a localStorage key and removed again,
+ * which fires a `storage` event in every other tab of the same origin.
+ * Messages are never delivered back to the tab that posted them.
+ */
+export class TabSync {
+  /**
+   * Create a TabSync instance
+   * @param {Object} options - Sync options
+   * @param {string} options.name - Channel name (also the fallback storage key)
+   * @param {function(import('./types.js').TabSyncMessage): void} options.onMessage - Receives messages from other tabs
+   * @param {typeof BroadcastChannel|null} [options.BroadcastChannel] - BroadcastChannel implementation (defaults to the global)
+   * @param {Storage|null} [options.storage] - Storage used by the fallback (defaults to localStorage)
+   * @param {EventTarget|null} [options.target] - Receives `storage` events in the fallback (defaults to window)
+   */
+  constructor(options) {
+    /** @type {string} */
+    this.name = options.name;
+    /** @type {string} */
+    this.tabId = generateTabId();
+
+    /**
+     * @type {function(import('./types.js').TabSyncMessage): void}
+     * @private
+     */
+    this.onMessage = options.onMessage;
+
+    /**
+     * @type {BroadcastChannel|null}
+     * @private
+     */
+    this.channel = null;
+
+    /**
+     * @type {Storage|null}
+     * @private
+     */
+    this.storage = null;
+
+    /**
+     * @type {EventTarget|null}
+     * @private
+     */
+    this.target = null;
+
+    /**
+     * @type {function(StorageEvent): void}
+     * @private
+     */
+    this.handleStorageEvent = (event) => {
+      if (event.key !== this.name || !event.newValue) return;
+      try {
+        this.receive(JSON.parse(event.newValue));
+      } catch (e) {
+        // Ignore malformed messages
+      }
+    };
+
+    const BroadcastChannelImpl =
+      options.BroadcastChannel !== undefined
+        ? options.BroadcastChannel
+        : typeof BroadcastChannel !== "undefined"
+          ? BroadcastChannel
+          : null;
+
+    if (BroadcastChannelImpl) {
+      this.channel = new BroadcastChannelImpl(this.name);
+      this.channel.onmessage = (event) => this.receive(event.data);
+      return;
+    }
+
+    const storage =
+      options.storage !== undefined
+        ? options.storage
+        : typeof localStorage !== "undefined"
+          ? localStorage
+          : null;
+    const target =
+      options.target !== undefined
+        ? options.target
+        : typeof window !== "undefined"
+          ? window
+          : null;
+
+    if (storage && target) {
+      this.storage = storage;
+      this.target = target;
+      this.target.addEventListener("storage", this.handleStorageEvent);
+    }
+  }
+
+  /**
+   * Whether messages can be exchanged with other tabs
+   * @returns {boolean} False when neither BroadcastChannel nor storage events are available
+   */
+  isAvailable() {
+    return !!(this.channel || this.storage);
+  }
+
+  /**
+   * Post a message to every other tab
+   * @param {string} type - Message type
+   * @param {*} [data] - JSON-serializable payload
+   * @returns {void}
+   */
+  post(type, data) {
+    /** @type {import('./types.js').TabSyncMessage} */
+    const message = { type, data, source: this.tabId, sentAt: Date.now() };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else if (this.storage) {
+        this.storage.setItem(this.name, JSON.stringify(message));
+        this.storage.removeItem(this.name);
+      }
+    } catch (e) {
+      console.error("Failed to post cross-tab message:", e);
+    }
+  }
+
+  /**
+   * Deliver a message received from another tab
+   * @param {import('./types.js').TabSyncMessage} message - Received message
+   * @returns {void}
+   * @private
+   */
+  receive(message) {
+    if (!message || typeof message.type !== "string" || message.source === this.tabId) {
+      return;
+    }
+    this.onMessage(message);
+  }
+
+  /**
+   * Stop listening and release the channel
+   * @returns {void}
+   */
+  close() {
+    if (this.channel) {
+      this.channel.onmessage = null;
+      this.channel.close();
+      this.channel = null;
+    }
+    if (this.target) {
+      this.target.removeEventListener("storage", this.handleStorageEvent);
+      this.target = null;
+    }
+    this.storage = null;
+  }
+}
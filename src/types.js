@@ -8,16 +8,27 @@
  * SDK Configuration options
  * @typedef {Object} LicenseSeatConfig
  * @property {string} [apiBaseUrl="https://licenseseat.com/api/v1"] - Base URL for the LicenseSeat API
+ * @property {Transport} [fetch] - HTTP transport used for every network call (defaults to the global fetch)
  * @property {string} [productSlug] - Product slug (required for API calls, e.g., "my-app")
  * @property {string} [apiKey] - API key for authentication (required for most operations)
- * @property {string} [storagePrefix="licenseseat_"] - Prefix for localStorage keys
+ * @property {string} [storagePrefix="licenseseat_"] - Prefix for storage keys
+ * @property {StorageAdapter} [storage] - Storage adapter for the license cache (defaults to localStorage, or in-memory when unavailable)
+ * @property {string} [encryptionSecret] - Secret used to encrypt cached records at rest (AES-GCM, key derived from the secret and a per-install salt)
+ * @property {boolean} [crossTabSync=false] - Relay activation, deactivation and validation results between browser tabs (BroadcastChannel, or storage events as a fallback)
+ * @property {boolean} [leaderElection=false] - Elect one tab (Web Locks API, or a localStorage lease as a fallback) to run auto-validation, heartbeat and offline refresh
  * @property {number} [autoValidateInterval=3600000] - Interval in ms for automatic license validation (default: 1 hour)
- * @property {number} [networkRecheckInterval=30000] - Interval in ms to check network connectivity when offline (default: 30s)
+ * @property {number} [networkRecheckInterval=30000] - Delay in ms before the first connectivity probe when offline, doubled after each failed probe (default: 30s)
+ * @property {number} [networkRecheckMaxInterval=300000] - Maximum delay in ms between connectivity probes (default: 5 minutes)
  * @property {number} [maxRetries=3] - Maximum number of retry attempts for failed API calls
  * @property {number} [retryDelay=1000] - Initial delay in ms between retries (exponential backoff applied)
+ * @property {RetryPolicy} [retryPolicy] - Retry policy (fields not set fall back to maxRetries and retryDelay)
+ * @property {Interceptor[]} [interceptors] - Request/response interceptors, run in order before those added with useInterceptor()
+ * @property {CircuitBreakerOptions|false} [circuitBreaker] - Circuit breaker settings, or false to disable it
+ * @property {number} [timeoutMs=30000] - Timeout in ms for each request attempt (0 = no timeout)
  * @property {boolean} [debug=false] - Enable debug logging to console
  * @property {number} [offlineLicenseRefreshInterval=259200000] - Interval in ms to refresh offline token (default: 72 hours)
  * @property {boolean} [offlineFallbackEnabled=false] - Enable offline validation fallback on network errors
+ * @property {boolean} [outboxEnabled=true] - Queue heartbeats and deactivations made while offline and send them once the API is reachable
  * @property {number} [maxOfflineDays=0] - Maximum days a license can be used offline (0 = disabled)
  * @property {number} [maxClockSkewMs=300000] - Maximum allowed clock skew in ms for offline validation (default: 5 minutes)
  * @property {boolean} [autoInitialize=true] - Automatically initialize and validate cached license on construction
@@ -25,6 +36,216 @@
  * @property {number} [heartbeatInterval=300000] - Interval in ms between automatic heartbeats (default: 5 minutes, set 0 to disable)
  * @property {string} [appVersion] - User-provided app version string, sent as app_version in telemetry
  * @property {string} [appBuild] - User-provided app build identifier, sent as app_build in telemetry
+ * @property {string} [locale="en"] - Locale of getStatus() messages and describe() (falls back to its language, then English)
+ * @property {Object<string, MessageCatalogEntries>} [messages] - Extra or overriding messages by locale
+ * @property {number} [diagnosticsLimit=50] - Number of recent events and API calls kept for getDiagnostics() (0 disables recording)
+ */
+
+/**
+ * HTTP transport used for every network call. Any `fetch`-compatible function
+ * works (e.g. undici's fetch with a proxy agent, or Electron's `net.fetch`).
+ * Rejecting means the request could not be sent (the SDK treats it as a
+ * network failure); HTTP error statuses must resolve with `ok: false`.
+ * @typedef {function(string, TransportRequest): Promise<TransportResponse>} Transport
+ */
+
+/**
+ * Request passed to a {@link Transport}
+ * @typedef {Object} TransportRequest
+ * @property {string} method - HTTP method ("GET" or "POST")
+ * @property {Object<string, string>} headers - Request headers
+ * @property {string} [body] - JSON-encoded request body
+ * @property {RequestCredentials} [credentials] - Always "omit"
+ * @property {AbortSignal} [signal] - Aborted on timeout, cancellation or destroy()
+ */
+
+/**
+ * Response returned by a {@link Transport} (a subset of the Fetch API Response)
+ * @typedef {Object} TransportResponse
+ * @property {boolean} ok - True for 2xx statuses
+ * @property {number} status - HTTP status code
+ * @property {function(): Promise<*>} json - Parse the body as JSON (only used when text() is missing)
+ * @property {function(): Promise<string>} [text] - Read the body as text (preferred, so non-JSON bodies can be reported)
+ * @property {{get: function(string): (string|null)}} [headers] - Response headers (read for Content-Type, Retry-After and rate-limit hints)
+ */
+
+/**
+ * Retry policy for failed API requests
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts] - Total attempts including the first one (default: maxRetries + 1)
+ * @property {number} [baseDelayMs] - Delay before the first retry, doubled for each further retry (default: retryDelay)
+ * @property {number} [maxDelayMs=30000] - Upper bound for a retry delay; a longer Retry-After stops retrying
+ * @property {"full"|"none"} [jitter="full"] - "full" waits a random delay between 0 and the backoff delay
+ * @property {function(number, Error): boolean} [retryOn] - Whether to retry a failure with the given HTTP status (0 for network failures and timeouts)
+ */
+
+/**
+ * Outgoing API request as seen by interceptors. Interceptors may modify it in
+ * place or return a replacement; `body` is JSON-encoded after all of them ran.
+ * @typedef {Object} InterceptedRequest
+ * @property {string} endpoint - API endpoint (relative to apiBaseUrl)
+ * @property {string} url - Full request URL
+ * @property {string} method - HTTP method
+ * @property {Object<string, string>} headers - Request headers (including Authorization)
+ * @property {Object} [body] - Request body (including telemetry)
+ * @property {number} attempt - Attempt number (1 for the first attempt, higher for retries)
+ */
+
+/**
+ * API response as seen by interceptors
+ * @typedef {Object} InterceptedResponse
+ * @property {number} status - HTTP status code
+ * @property {boolean} ok - True for 2xx statuses (an interceptor may flip it to turn a response into an error or vice versa)
+ * @property {{get: function(string): (string|null)}} [headers] - Response headers
+ * @property {*} data - Parsed JSON body
+ * @property {TransportResponse} raw - Response returned by the transport
+ */
+
+/**
+ * Request/response interceptor. Every hook is optional and may be async.
+ * @typedef {Object} Interceptor
+ * @property {function(InterceptedRequest): (InterceptedRequest|void|Promise<InterceptedRequest|void>)} [onRequest] - Modify the outgoing request (return a replacement, or nothing to keep it)
+ * @property {function(InterceptedResponse, InterceptedRequest): (InterceptedResponse|void|Promise<InterceptedResponse|void>)} [onResponse] - Inspect or replace the response before the SDK handles it
+ * @property {function(Error, InterceptedRequest): *} [onError] - Called before retry logic for failed attempts (except cancellations); return a value to use it as the response data, throw to replace the error without retrying, or return undefined to continue
+ */
+
+/**
+ * A request queued in the outbox while the API was unreachable
+ * @typedef {Object} OutboxEntry
+ * @property {string} id - Entry ID
+ * @property {string} type - Operation ("heartbeat" or "deactivate")
+ * @property {string} licenseKey - License key the request belongs to
+ * @property {string} method - HTTP method
+ * @property {string} endpoint - API endpoint
+ * @property {Object} body - Request body
+ * @property {string} [idempotencyKey] - Idempotency key of the original attempt, reused by replays
+ * @property {string} coalesceKey - Entries with the same key are redundant; only the latest is kept
+ * @property {number} queuedAt - When the request was queued (ms timestamp)
+ * @property {number} attempts - Failed replay attempts so far
+ */
+
+/**
+ * Result of a heartbeat or deactivation that was queued instead of sent
+ * @typedef {Object} QueuedRequest
+ * @property {true} queued - Always true
+ * @property {string} id - Outbox entry ID
+ * @property {string} type - Operation ("heartbeat" or "deactivate")
+ * @property {string} licenseKey - License key the request belongs to
+ */
+
+/**
+ * Summary of an outbox replay (also the "outbox:replayed" event payload)
+ * @typedef {Object} OutboxReplayResult
+ * @property {number} sent - Requests delivered
+ * @property {number} dropped - Requests rejected by the API and discarded
+ * @property {number} remaining - Requests still queued
+ */
+
+/**
+ * An API request shared by identical concurrent calls
+ * @typedef {Object} InflightRequest
+ * @property {string} key - Method, endpoint, body and headers identifying the request
+ * @property {AbortController} controller - Aborts the request once every caller cancelled
+ * @property {number} callers - Number of callers waiting for the result
+ * @property {Promise<Object>} promise - Resolves with the API response data
+ */
+
+/**
+ * Circuit breaker state
+ * @typedef {"closed"|"open"|"half-open"} CircuitState
+ */
+
+/**
+ * Circuit breaker settings
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {number} [failureThreshold=5] - Consecutive failed attempts (network errors or 5xx) that open the circuit
+ * @property {number} [resetTimeoutMs=30000] - Time in ms the circuit stays open before a trial request is allowed
+ */
+
+/**
+ * License lifecycle state (see LicenseLifecycle)
+ * @typedef {"inactive"|"activating"|"pending"|"active"|"offline-valid"|"grace"|"invalid"|"revoked"|"deactivating"} LicenseState
+ */
+
+/**
+ * Payload of the "state:changed" event
+ * @typedef {Object} StateChangedEvent
+ * @property {LicenseState} previous - State before the transition
+ * @property {LicenseState} next - State after the transition
+ * @property {string} reason - What caused the transition (usually the SDK event, e.g. "validation:failed")
+ */
+
+/**
+ * What detected a connectivity change: a failed or successful API call, the
+ * /health probe, or the platform's online/offline events
+ * @typedef {"request"|"probe"|"platform"} ConnectivitySource
+ */
+
+/**
+ * Payload of the "network:offline" event
+ * @typedef {Object} NetworkOfflineEvent
+ * @property {Error|null} error - Failure that revealed the outage (null when reported by the platform)
+ * @property {ConnectivitySource} source - What detected the outage
+ */
+
+/**
+ * Payload of the "request:retry" event
+ * @typedef {Object} RequestRetryEvent
+ * @property {string} endpoint - API endpoint being retried
+ * @property {number} attempt - Number of the retry about to be made (1 for the first retry)
+ * @property {number} maxAttempts - Total attempts allowed by the retry policy
+ * @property {number} delayMs - Delay before the retry in ms
+ * @property {number|null} retryAfterMs - Delay requested by the server, if any
+ * @property {Error} error - Error that caused the retry
+ */
+
+/**
+ * Storage adapter contract used by the license cache.
+ * Values are always strings (the cache handles JSON serialization). Adapters may be
+ * synchronous, or asynchronous by setting `async: true` and returning Promises from
+ * every method — async adapters are read through an in-memory snapshot warmed by
+ * `LicenseCache#ready()`.
+ * @typedef {Object} StorageAdapter
+ * @property {boolean} [async] - Set to true when the methods below return Promises
+ * @property {function(string): (string|null|Promise<string|null>)} get - Read a value by key (null if missing)
+ * @property {function(string, string): (void|Promise<void>)} set - Write a value
+ * @property {function(string): (void|Promise<void>)} remove - Delete a value
+ * @property {function(): (string[]|Promise<string[]>)} keys - List all keys held by the adapter
+ * @property {function(string, function((string|null)): (string|null)): void} [update] - Read, change and write back a value as one step, for synchronous adapters shared between processes (the updater returns null to remove the value)
+ */
+
+/**
+ * Storage failure reported by the "storage:error" event
+ * @typedef {Object} StorageErrorEvent
+ * @property {string} operation - Failed operation ("read", "write", "remove", "list", "clear" or "load")
+ * @property {string} key - Storage key involved (the storage prefix for whole-cache operations)
+ * @property {*} cause - Error thrown by the storage adapter
+ */
+
+/**
+ * Message exchanged between tabs when crossTabSync is enabled
+ * @typedef {Object} TabSyncMessage
+ * @property {string} type - Event to re-emit ("activation:success", "deactivation:success" or "license:loaded")
+ * @property {*} [data] - Event data
+ * @property {string} source - Identifier of the posting tab
+ * @property {number} sentAt - Timestamp (ms) when the message was posted
+ */
+
+/**
+ * Prefix-relative view of the cache storage passed to migrations
+ * @typedef {Object} CacheMigrationStore
+ * @property {function(string): (string|null)} get - Read a value by name (without prefix)
+ * @property {function(string, string): void} set - Write a value
+ * @property {function(string): void} remove - Delete a value
+ * @property {function(CachedLicense): string} sealValidation - Compute the seal of a cached license's validation
+ */
+
+/**
+ * Cache schema migration
+ * @typedef {Object} CacheMigration
+ * @property {number} version - Schema version this migration upgrades the cache to
+ * @property {string} description - What the migration changes
+ * @property {function(CacheMigrationStore): void} migrate - Idempotent upgrade step
  */
 
 /**
@@ -33,12 +254,24 @@
  * @property {string} [deviceId] - Custom device ID (auto-generated if not provided)
  * @property {string} [deviceName] - Human-readable device name (e.g., "John's MacBook Pro")
  * @property {Object} [metadata] - Additional metadata to include with the activation
+ * @property {string} [idempotencyKey] - Idempotency key for this activation (generated if not provided). Reuse it to retry an activation safely, e.g. after a restart
+ * @property {AbortSignal} [signal] - Cancels the request
+ * @property {number} [timeoutMs] - Per-attempt timeout in ms (defaults to config.timeoutMs)
  */
 
 /**
  * License validation options
  * @typedef {Object} ValidationOptions
  * @property {string} [deviceId] - Device ID to validate against (required for hardware_locked mode)
+ * @property {AbortSignal} [signal] - Cancels the request
+ * @property {number} [timeoutMs] - Per-attempt timeout in ms (defaults to config.timeoutMs)
+ */
+
+/**
+ * Options accepted by network methods such as deactivate() and heartbeat()
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Cancels the request and any pending retry
+ * @property {number} [timeoutMs] - Per-attempt timeout in ms (defaults to config.timeoutMs)
  */
 
 /**
@@ -96,6 +329,7 @@
  * @property {string} activated_at - ISO8601 timestamp of activation
  * @property {string} last_validated - ISO8601 timestamp of last validation
  * @property {ValidationResult} [validation] - Latest validation result
+ * @property {string} [validation_seal] - HMAC over the license identity and validation result (tamper detection)
  */
 
 /**
@@ -104,6 +338,7 @@
  * @property {string} key - Unique entitlement key
  * @property {string|null} expires_at - ISO8601 expiration timestamp (null for perpetual)
  * @property {Object|null} metadata - Additional metadata
+ * @property {string} [source] - License key granting the entitlement (in merged results from the SDK)
  */
 
 /**
@@ -131,7 +366,7 @@
  * Entitlement check result
  * @typedef {Object} EntitlementCheckResult
  * @property {boolean} active - Whether the entitlement is active
- * @property {string} [reason] - Reason if not active ("no_license" | "not_found" | "expired")
+ * @property {string} [reason] - Reason if not active ("no_license" | "not_found" | "expired" | "cache_loading")
  * @property {string} [expires_at] - ISO8601 expiration timestamp if expired
  * @property {Entitlement} [entitlement] - Full entitlement object if active
  */
@@ -140,12 +375,64 @@
  * License status object
  * @typedef {Object} LicenseStatus
  * @property {string} status - Status string ("inactive" | "pending" | "invalid" | "offline-invalid" | "offline-valid" | "active")
- * @property {string} [message] - Human-readable status message
+ * @property {LicenseState} state - Lifecycle state of the license
+ * @property {string} [code] - Code explaining an inactive, pending or invalid status (e.g. "no_license", "grace_period_expired")
+ * @property {string} [message] - User-facing status message in the configured locale
  * @property {string} [license] - License key (if active)
  * @property {string} [device] - Device ID (if active)
  * @property {string} [activated_at] - ISO8601 activation timestamp
  * @property {string} [last_validated] - ISO8601 last validation timestamp
- * @property {Entitlement[]} [entitlements] - List of active entitlements
+ * @property {Entitlement[]} [entitlements] - List of active entitlements (merged across licenses, each with its `source`)
+ * @property {string[]} [licenses] - All cached license keys, primary first (when no license key was requested)
+ * @property {boolean} [storage_fallback] - True when storage failed and the cache is only kept in memory (lost on reload)
+ */
+
+/**
+ * User-facing messages, by code
+ * @typedef {Object<string, string>} MessageCatalogEntries
+ */
+
+/**
+ * Anything `sdk.describe()` can describe: a code, an error (its `code`), a
+ * validation result (its `code`), an entitlement check (its `reason`) or a
+ * license status (its `code`, else its `status`)
+ * @typedef {string|Error|ValidationResult|EntitlementCheckResult|LicenseStatus} DescribeSubject
+ */
+
+/**
+ * Event kept for diagnostics
+ * @typedef {Object} DiagnosticsEvent
+ * @property {string} at - ISO8601 timestamp
+ * @property {string} event - Event name
+ * @property {*} data - Event data (errors reduced to name, message, code and status)
+ */
+
+/**
+ * API call attempt kept for diagnostics
+ * @typedef {Object} DiagnosticsRequest
+ * @property {string} at - ISO8601 timestamp of the start of the attempt
+ * @property {string} method - HTTP method
+ * @property {string} endpoint - API endpoint
+ * @property {number} attempt - Attempt number (1-based)
+ * @property {number|null} status - HTTP status (0 for network failures, null when no response)
+ * @property {number} duration_ms - Time the attempt took
+ * @property {{name: string, message: string, code?: string, status?: number}} [error] - Error of a failed attempt
+ */
+
+/**
+ * Redacted snapshot of the SDK for support tickets (see `sdk.getDiagnostics()`).
+ * License keys are masked and secrets removed.
+ * @typedef {Object} Diagnostics
+ * @property {string} generated_at - ISO8601 timestamp
+ * @property {{version: string, environment: Object}} sdk - SDK version and platform (as sent in telemetry)
+ * @property {Object} config - Configuration without the API key and encryption secret
+ * @property {{license: LicenseState, status: string, online: boolean, platform_online: boolean|null, probing: boolean, circuit: CircuitState|null, leader: boolean, destroyed: boolean}} state - Lifecycle state and connectivity
+ * @property {{now: string, timezone: string|null, utc_offset_minutes: number, last_seen: string|null, since_last_seen_ms: number|null, max_clock_skew_ms: number}} clock - Clock readings (a negative `since_last_seen_ms` means the clock went back)
+ * @property {Object<string, Object>} timers - Auto-validation, heartbeat, offline refresh, connectivity probe and outbox retry schedules
+ * @property {{ready: boolean, storage_fallback: boolean, storage_error: Object|null, licenses: Object[], outbox: OutboxEntry[]}} cache - Cache contents
+ * @property {Object[]} offline_tokens - Claims of the cached offline tokens
+ * @property {DiagnosticsEvent[]} events - Recent events, oldest first
+ * @property {DiagnosticsRequest[]} requests - Recent API call attempts, oldest first
  */
 
 /**
@@ -220,10 +507,85 @@
  */
 
 /**
- * Event callback function
+ * Events emitted by the SDK, with the payload each listener receives
+ * @typedef {{
+ *   "license:loaded": CachedLicense,
+ *   "sdk:reset": undefined,
+ *   "sdk:destroyed": undefined,
+ *   "sdk:error": {message: string, error?: Error},
+ *   "cache:decryption-failed": {keys: string[], error: Error},
+ *   "cache:tampered": {licenseKey: string, reason: "seal_missing"|"seal_mismatch"},
+ *   "storage:error": StorageErrorEvent,
+ *   "request:retry": RequestRetryEvent,
+ *   "circuit:open": {failures: number, retryInMs: number},
+ *   "circuit:closed": {},
+ *   "leader:changed": {leader: boolean},
+ *   "state:changed": StateChangedEvent,
+ *   "auth_test:start": undefined,
+ *   "auth_test:success": {authenticated: boolean, healthy: boolean, api_version: string},
+ *   "auth_test:error": {error: Error},
+ *   "activation:start": {licenseKey: string, deviceId: string},
+ *   "activation:success": CachedLicense,
+ *   "activation:error": {licenseKey: string, error: Error},
+ *   "deactivation:start": CachedLicense,
+ *   "deactivation:success": DeactivationResponse|QueuedRequest,
+ *   "deactivation:error": {error: Error, license: CachedLicense},
+ *   "validation:start": {licenseKey: string},
+ *   "validation:success": ValidationResult,
+ *   "validation:failed": ValidationResult,
+ *   "validation:error": {licenseKey: string, error: Error},
+ *   "validation:offline-success": ValidationResult,
+ *   "validation:offline-failed": ValidationResult,
+ *   "validation:auth-failed": {licenseKey: string, error: Error, cached: boolean},
+ *   "validation:auto-failed": {licenseKey: string, error: Error},
+ *   "autovalidation:cycle": {nextRunAt: Date},
+ *   "autovalidation:stopped": undefined,
+ *   "heartbeat:success": HeartbeatResponse,
+ *   "heartbeat:cycle": {nextRunAt: Date},
+ *   "network:online": {source: ConnectivitySource},
+ *   "network:offline": NetworkOfflineEvent,
+ *   "outbox:queued": OutboxEntry,
+ *   "outbox:replaying": {pending: number},
+ *   "outbox:sent": {entry: OutboxEntry, response: Object},
+ *   "outbox:dropped": {entry: OutboxEntry, error: Error},
+ *   "outbox:failed": {entry: OutboxEntry, error: Error, retryInMs: number},
+ *   "outbox:replayed": OutboxReplayResult,
+ *   "offlineToken:fetching": {licenseKey: string},
+ *   "offlineToken:fetched": {licenseKey: string, data: OfflineToken},
+ *   "offlineToken:fetchError": {licenseKey: string, error: Error},
+ *   "offlineToken:ready": {licenseKey: string, kid: string, exp: number},
+ *   "offlineToken:verified": {token: OfflineTokenPayload},
+ *   "offlineToken:verificationFailed": {token: OfflineTokenPayload},
+ * }} LicenseSeatEventMap
+ */
+
+/**
+ * Name of an event emitted by the SDK
+ * @typedef {keyof LicenseSeatEventMap} LicenseSeatEventName
+ */
+
+/**
+ * Event callback function. May be async; a rejected promise is logged like a thrown error.
+ * @template [T=*]
  * @callback EventCallback
+ * @param {T} data - Event data
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * Callback for every event (see onAny)
+ * @callback AnyEventCallback
+ * @param {LicenseSeatEventName} event - Event name
  * @param {*} data - Event data
- * @returns {void}
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * Options for waitFor()
+ * @typedef {Object} WaitForOptions
+ * @property {number} [timeout] - Reject with a TimeoutError after this many ms (default: wait indefinitely)
+ * @property {AbortSignal} [signal] - Stop waiting (rejects with the abort reason)
+ * @property {function(*): boolean} [filter] - Only resolve for events whose data matches
  */
 
 /**
@@ -232,6 +594,19 @@
  * @returns {void}
  */
 
+/**
+ * Object type of a successful API response, used to check its shape
+ * @typedef {"activation"|"validation_result"|"offline_token"|"signing_key"|"heartbeat"} ResponseType
+ */
+
+/**
+ * A response body read by the SDK
+ * @typedef {Object} ParsedResponseBody
+ * @property {*} data - Parsed JSON (an empty object for empty bodies, undefined when the body is not JSON)
+ * @property {string|null} text - Raw body text (null when the transport only implements json())
+ * @property {string|null} contentType - Content-Type header of the response
+ */
+
 /**
  * API Error data (new format)
  * @typedef {Object} APIErrorData
@@ -97,6 +97,29 @@ export function base64UrlDecode(base64UrlString) {
   return outputArray;
 }
 
+/**
+ * Encode bytes as an unpadded Base64URL string
+ * Works in both browser and Node.js environments.
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64URL encoded string
+ */
+export function base64UrlEncode(bytes) {
+  /** @type {string} */
+  let base64;
+  if (typeof btoa === "function") {
+    let raw = "";
+    for (let i = 0; i < bytes.length; i++) {
+      raw += String.fromCharCode(bytes[i]);
+    }
+    base64 = btoa(raw);
+  } else if (typeof Buffer !== "undefined") {
+    base64 = Buffer.from(bytes).toString("base64");
+  } else {
+    throw new Error("No base64 encoder available (neither btoa nor Buffer found)");
+  }
+  return base64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
 /**
  * Simple hash function for generating device fingerprints
  * @param {string} str - String to hash
@@ -135,6 +158,22 @@ export function getCanvasFingerprint() {
  * @returns {string} Stable device identifier
  */
 export function generateDeviceId() {
+  // Web/service workers have a navigator but no window, screen or canvas
+  if (
+    typeof window === "undefined" &&
+    typeof navigator !== "undefined" &&
+    // @ts-ignore - WorkerGlobalScope only exists inside workers
+    typeof WorkerGlobalScope !== "undefined"
+  ) {
+    const data = [
+      navigator.userAgent,
+      navigator.language,
+      new Date().getTimezoneOffset(),
+      navigator.hardwareConcurrency,
+    ].join("|");
+    return `web-${hashCode(data)}`;
+  }
+
   // Check if we're in a browser environment
   if (typeof window === "undefined" || typeof navigator === "undefined") {
     // Node.js or non-browser environment - use a fallback
@@ -159,13 +198,103 @@ export function generateDeviceId() {
   return `web-${hashCode(data)}`;
 }
 
+/**
+ * Generate random bytes, from `crypto.getRandomValues` where available
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
+ */
+export function randomBytes(length) {
+  const bytes = new Uint8Array(length);
+  if (typeof crypto !== "undefined" && typeof crypto.getRandomValues === "function") {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return bytes;
+}
+
+/**
+ * Generate a random key identifying one logical API operation, sent as the
+ * `Idempotency-Key` header so the server processes retries of it only once
+ * @returns {string} Random UUID (v4 format)
+ */
+export function generateIdempotencyKey() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  const bytes = randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
 /**
  * Sleep for a specified duration
  * @param {number} ms - Duration in milliseconds
- * @returns {Promise<void>} Resolves after the specified duration
+ * @param {AbortSignal} [signal] - Cancels the sleep
+ * @returns {Promise<void>} Resolves after the specified duration, rejects with the abort reason if cancelled
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(getAbortReason(signal));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(getAbortReason(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Get the error an aborted signal should reject with
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {*} The signal's reason, or an AbortError
+ */
+export function getAbortReason(signal) {
+  return signal.reason !== undefined
+    ? signal.reason
+    : new DOMException("The operation was aborted.", "AbortError");
+}
+
+/**
+ * Check whether an error comes from an aborted operation
+ * @param {*} error - Error to check
+ * @returns {boolean} True for AbortError exceptions
+ */
+export function isAbortError(error) {
+  return !!error && error.name === "AbortError";
+}
+
+/**
+ * Create an AbortController that aborts as soon as any of the given signals does
+ * @param {...(AbortSignal|null|undefined)} signals - Signals to follow (missing ones are ignored)
+ * @returns {{controller: AbortController, dispose: function(): void}} The linked controller, and a function that stops following the signals
  */
-export function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+export function linkAbortSignals(...signals) {
+  const controller = new AbortController();
+  const sources = signals.filter(Boolean);
+  const onAbort = (event) => controller.abort(getAbortReason(event.target));
+
+  for (const source of sources) {
+    if (source.aborted) {
+      controller.abort(getAbortReason(source));
+      break;
+    }
+    source.addEventListener("abort", onAbort, { once: true });
+  }
+
+  return {
+    controller,
+    dispose: () => sources.forEach((source) => source.removeEventListener("abort", onAbort)),
+  };
 }
 
 /**
@@ -17,20 +17,6 @@
  */
 
 // ── Node.js polyfills ──────────────────────────────────────────────
-const storage = {};
-globalThis.localStorage = {
-  getItem(key) { return Object.prototype.hasOwnProperty.call(storage, key) ? storage[key] : null; },
-  setItem(key, value) { storage[key] = String(value); },
-  removeItem(key) { delete storage[key]; },
-  clear() { for (const key in storage) delete storage[key]; },
-  get length() { return Object.keys(storage).length; },
-  key(i) { return Object.keys(storage)[i] ?? null; }
-};
-const originalKeys = Object.keys;
-Object.keys = function(obj) {
-  if (obj === globalThis.localStorage) return originalKeys(storage);
-  return originalKeys(obj);
-};
 globalThis.document = { createElement: () => ({ getContext: () => null }), querySelector: () => null };
 globalThis.window = { navigator: {}, screen: {} };
 globalThis.navigator = { userAgent: "Node.js", language: "en", hardwareConcurrency: 4 };
@@ -197,6 +197,213 @@ describe("LicenseSeatSDK", () => {
     });
   });
 
+  describe("Cache Tamper Detection", () => {
+    /**
+     * Edit the stored license record the way a user could from devtools
+     * @param {function(Object): void} edit - Mutates the parsed record
+     */
+    function editStoredLicense(edit) {
+      const record = JSON.parse(localStorage.getItem("licenseseat_license"));
+      edit(record);
+      localStorage.setItem("licenseseat_license", JSON.stringify(record));
+    }
+
+    beforeEach(async () => {
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.validateLicense(mockData.validLicenseKey);
+    });
+
+    it("should seal cached validation results", () => {
+      const cached = sdk.cache.getLicense();
+
+      expect(cached.validation_seal).toMatch(/^[0-9a-f]{64}$/);
+      expect(sdk.cache.checkValidationSeal(cached)).toBe("ok");
+    });
+
+    it("should not flag an untouched cache", () => {
+      const handler = vi.fn();
+      sdk.on("cache:tampered", handler);
+
+      expect(sdk.hasEntitlement("pro")).toBe(true);
+      expect(sdk.getStatus().status).toBe("active");
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it("should detect hand-edited entitlements", () => {
+      const handler = vi.fn();
+      sdk.on("cache:tampered", handler);
+      editStoredLicense((record) => {
+        record.validation.active_entitlements.push({ key: "enterprise", expires_at: null, metadata: null });
+      });
+
+      expect(sdk.hasEntitlement("enterprise")).toBe(false);
+      expect(sdk.hasEntitlement("pro")).toBe(false);
+      expect(handler).toHaveBeenCalledOnce();
+      expect(handler).toHaveBeenCalledWith({
+        licenseKey: mockData.validLicenseKey,
+        reason: "seal_mismatch",
+      });
+    });
+
+    it("should fall back to pending status after tampering", () => {
+      editStoredLicense((record) => {
+        record.validation.valid = true;
+        record.validation.code = undefined;
+        record.device_id = "someone-elses-device";
+      });
+
+      expect(sdk.getStatus().status).toBe("pending");
+      expect(sdk.cache.getLicense().validation).toBeUndefined();
+    });
+
+    it("should treat a removed seal as tampering", () => {
+      const handler = vi.fn();
+      sdk.on("cache:tampered", handler);
+      editStoredLicense((record) => {
+        delete record.validation_seal;
+      });
+
+      expect(sdk.getStatus().status).toBe("pending");
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ reason: "seal_missing" })
+      );
+    });
+
+    it("should not trust an unsealed validation marked as coming from an older version", () => {
+      const handler = vi.fn();
+      sdk.on("cache:tampered", handler);
+      editStoredLicense((record) => {
+        delete record.validation_seal;
+        record.validation_unverified = true;
+        record.validation.valid = true;
+        record.validation.active_entitlements.push({ key: "enterprise", expires_at: null, metadata: null });
+      });
+
+      expect(sdk.hasEntitlement("enterprise")).toBe(false);
+      expect(sdk.getStatus().status).toBe("pending");
+      expect(handler).toHaveBeenCalledWith({
+        licenseKey: mockData.validLicenseKey,
+        reason: "seal_missing",
+      });
+    });
+
+    it("should re-validate with the server after tampering", async () => {
+      editStoredLicense((record) => {
+        record.validation.active_entitlements = [];
+      });
+      const revalidated = new Promise((resolve) => sdk.on("validation:success", resolve));
+
+      expect(sdk.getStatus().status).toBe("pending");
+      await revalidated;
+
+      expect(sdk.getStatus().status).toBe("active");
+      expect(sdk.hasEntitlement("pro")).toBe(true);
+    });
+  });
+
+  describe("Upgrading a v0.4.3 cache", () => {
+    /**
+     * Store a license as SDK v0.4.3 cached it after activation and validation:
+     * no schema version marker, no validation seal
+     */
+    function seedV043Cache() {
+      localStorage.clear();
+      const license = {
+        key: mockData.validLicenseKey,
+        status: "active",
+        expires_at: null,
+        mode: "hardware_locked",
+        plan_key: "pro",
+        seat_limit: 3,
+        active_seats: 1,
+        active_entitlements: [{ key: "pro", expires_at: null, metadata: null }],
+        metadata: {},
+        product: { slug: mockData.productSlug, name: "Test Product" },
+      };
+      localStorage.setItem(
+        "licenseseat_license",
+        JSON.stringify({
+          license_key: mockData.validLicenseKey,
+          device_id: "web-1a2b3c",
+          activation: {
+            object: "activation",
+            id: 123,
+            device_id: "web-1a2b3c",
+            license_key: mockData.validLicenseKey,
+            activated_at: "2026-03-01T10:00:00.000Z",
+            license,
+          },
+          activated_at: "2026-03-01T10:00:00.000Z",
+          last_validated: "2026-03-02T10:00:00.000Z",
+          validation: {
+            valid: true,
+            license,
+            activation: null,
+            active_entitlements: license.active_entitlements,
+          },
+        })
+      );
+      localStorage.setItem("licenseseat_last_seen_ts", "1772445600000");
+    }
+
+    it("should keep the cached validation without reporting tampering", () => {
+      seedV043Cache();
+      const tampered = vi.fn();
+      const upgraded = new LicenseSeatSDK({
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+      upgraded.on("cache:tampered", tampered);
+
+      expect(upgraded.cache.checkValidationSeal(upgraded.cache.getLicense())).toBe("ok");
+      expect(upgraded.getStatus().status).toBe("active");
+      expect(upgraded.hasEntitlement("pro")).toBe(true);
+      expect(tampered).not.toHaveBeenCalled();
+      upgraded.destroy();
+    });
+
+    it("should seal the validation once the server confirms it", async () => {
+      seedV043Cache();
+      const upgraded = new LicenseSeatSDK({
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+
+      await upgraded.validateLicense(mockData.validLicenseKey);
+
+      const cached = upgraded.cache.getLicense();
+      expect(cached.validation.license.key).toBe(mockData.validLicenseKey);
+      expect(upgraded.cache.checkValidationSeal(cached)).toBe("ok");
+      upgraded.destroy();
+    });
+
+    it("should keep seals valid after the device fingerprint changes", async () => {
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.validateLicense(mockData.validLicenseKey);
+
+      // Daylight saving time changes the time zone offset in the fingerprint
+      const offset = new Date().getTimezoneOffset();
+      const spy = vi.spyOn(Date.prototype, "getTimezoneOffset").mockReturnValue(offset - 60);
+      const tampered = vi.fn();
+      const reopened = new LicenseSeatSDK({
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+      reopened.on("cache:tampered", tampered);
+
+      expect(reopened.hasEntitlement("pro")).toBe(true);
+      expect(tampered).not.toHaveBeenCalled();
+      spy.mockRestore();
+      reopened.destroy();
+    });
+  });
+
   describe("Deactivation", () => {
     beforeEach(async () => {
       await sdk.activate(mockData.validLicenseKey);
@@ -313,6 +520,109 @@ describe("LicenseSeatSDK", () => {
       expect(handler1).toHaveBeenCalledOnce();
       expect(handler2).toHaveBeenCalledOnce();
     });
+
+    it("should call once() handlers a single time", () => {
+      const handler = vi.fn();
+      const other = vi.fn();
+      sdk.once("test:event", handler);
+      sdk.on("test:event", other);
+
+      sdk.emit("test:event", 1);
+      sdk.emit("test:event", 2);
+
+      expect(handler).toHaveBeenCalledOnce();
+      expect(handler).toHaveBeenCalledWith(1);
+      expect(other).toHaveBeenCalledTimes(2);
+    });
+
+    it("should remove once() handlers with off()", () => {
+      const handler = vi.fn();
+      sdk.once("test:event", handler);
+      sdk.off("test:event", handler);
+
+      sdk.emit("test:event", 1);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it("should pass every event to onAny() handlers", () => {
+      const handler = vi.fn();
+      const unsubscribe = sdk.onAny(handler);
+
+      sdk.emit("test:event", { foo: "bar" });
+      sdk.emit("sdk:reset");
+      unsubscribe();
+      sdk.emit("test:event", { foo: "baz" });
+
+      expect(handler.mock.calls).toEqual([
+        ["test:event", { foo: "bar" }],
+        ["sdk:reset", undefined],
+      ]);
+    });
+
+    it("should log rejected promises from async handlers", async () => {
+      const consoleError = vi.spyOn(console, "error").mockImplementation(() => {});
+      const failure = new Error("listener failed");
+      const next = vi.fn();
+      sdk.on("test:event", async () => {
+        throw failure;
+      });
+      sdk.on("test:event", next);
+
+      sdk.emit("test:event", {});
+      await Promise.resolve();
+
+      expect(next).toHaveBeenCalled();
+      expect(consoleError).toHaveBeenCalledWith("Error in event listener for test:event:", failure);
+      consoleError.mockRestore();
+    });
+
+    describe("waitFor()", () => {
+      it("should resolve with the next event's data", async () => {
+        const waiting = sdk.waitFor("test:event");
+
+        sdk.emit("test:event", { foo: "bar" });
+
+        await expect(waiting).resolves.toEqual({ foo: "bar" });
+        expect(sdk.eventListeners["test:event"]).toEqual([]);
+      });
+
+      it("should skip events the filter rejects", async () => {
+        const waiting = sdk.waitFor("test:event", { filter: (data) => data.key === "B" });
+
+        sdk.emit("test:event", { key: "A" });
+        sdk.emit("test:event", { key: "B" });
+
+        await expect(waiting).resolves.toEqual({ key: "B" });
+      });
+
+      it("should reject after the timeout", async () => {
+        vi.useFakeTimers();
+        try {
+          const waiting = sdk.waitFor("test:event", { timeout: 1000 });
+          const assertion = expect(waiting).rejects.toMatchObject({ name: "TimeoutError" });
+
+          await vi.advanceTimersByTimeAsync(1000);
+
+          await assertion;
+          expect(sdk.eventListeners["test:event"]).toEqual([]);
+        } finally {
+          vi.useRealTimers();
+        }
+      });
+
+      it("should reject when aborted or when the SDK is destroyed", async () => {
+        const controller = new AbortController();
+        const aborted = sdk.waitFor("test:event", { signal: controller.signal });
+        const destroyed = sdk.waitFor("test:event");
+
+        controller.abort();
+        sdk.destroy();
+
+        await expect(aborted).rejects.toMatchObject({ name: "AbortError" });
+        await expect(destroyed).rejects.toMatchObject({ name: "AbortError" });
+      });
+    });
   });
 
   describe("Reset", () => {
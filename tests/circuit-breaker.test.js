@@ -0,0 +1,246 @@
+/**
+ * Circuit Breaker Tests
+ *
+ * Tests for the closed / open / half-open breaker and how the SDK uses it to
+ * stop calling the API while it is down.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { CircuitBreaker } from "../src/circuit-breaker.js";
+import { APIError } from "../src/errors.js";
+import { mockData } from "./mocks/handlers.js";
+import { respond } from "./mocks/transport.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+const HEALTHY = { status: "healthy", api_version: "1.0.0" };
+const UNAVAILABLE = { error: { code: "unavailable", message: "Service unavailable" } };
+const NOT_FOUND = { error: { code: "not_found", message: "Not found" } };
+
+describe("Circuit Breaker", () => {
+  describe("CircuitBreaker", () => {
+    /**
+     * Create a breaker with a controllable clock
+     * @param {Object} [options={}] - Breaker options
+     * @returns {{breaker: CircuitBreaker, clock: {time: number}, changes: Array<string[]>}}
+     */
+    function createBreaker(options = {}) {
+      const clock = { time: 0 };
+      const changes = [];
+      const breaker = new CircuitBreaker({
+        failureThreshold: 2,
+        resetTimeoutMs: 1000,
+        now: () => clock.time,
+        onStateChange: (next, previous) => changes.push([previous, next]),
+        ...options,
+      });
+      return { breaker, clock, changes };
+    }
+
+    it("should open after consecutive failures", () => {
+      const { breaker, changes } = createBreaker();
+
+      breaker.recordFailure();
+      expect(breaker.state).toBe("closed");
+      breaker.recordFailure();
+
+      expect(breaker.state).toBe("open");
+      expect(breaker.allowRequest()).toBe(false);
+      expect(changes).toEqual([["closed", "open"]]);
+    });
+
+    it("should reset the failure count on success", () => {
+      const { breaker } = createBreaker();
+
+      breaker.recordFailure();
+      breaker.recordSuccess();
+      breaker.recordFailure();
+
+      expect(breaker.state).toBe("closed");
+      expect(breaker.failures).toBe(1);
+    });
+
+    it("should allow a single trial request once the reset timeout elapses", () => {
+      const { breaker, clock, changes } = createBreaker();
+      breaker.recordFailure();
+      breaker.recordFailure();
+
+      clock.time = 400;
+      expect(breaker.remainingOpenMs()).toBe(600);
+      clock.time = 1000;
+
+      expect(breaker.allowRequest()).toBe(true);
+      expect(breaker.state).toBe("half-open");
+      expect(breaker.allowRequest()).toBe(false);
+      expect(changes.at(-1)).toEqual(["open", "half-open"]);
+    });
+
+    it("should close when the trial succeeds", () => {
+      const { breaker, clock, changes } = createBreaker();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      clock.time = 1000;
+      breaker.allowRequest();
+
+      breaker.recordSuccess();
+
+      expect(breaker.state).toBe("closed");
+      expect(breaker.failures).toBe(0);
+      expect(breaker.allowRequest()).toBe(true);
+      expect(changes.at(-1)).toEqual(["half-open", "closed"]);
+    });
+
+    it("should reopen when the trial fails", () => {
+      const { breaker, clock } = createBreaker();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      clock.time = 1000;
+      breaker.allowRequest();
+
+      breaker.recordFailure();
+
+      expect(breaker.state).toBe("open");
+      expect(breaker.openedAt).toBe(1000);
+      expect(breaker.allowRequest()).toBe(false);
+    });
+
+    it("should free the trial slot when a trial ends without an outcome", () => {
+      const { breaker, clock } = createBreaker();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      clock.time = 1000;
+      breaker.allowRequest();
+
+      breaker.release();
+
+      expect(breaker.state).toBe("half-open");
+      expect(breaker.allowRequest()).toBe(true);
+    });
+  });
+
+  describe("SDK", () => {
+    let sdk;
+
+    /** Breaker that opens after two failures and stays open for the rest of the test */
+    const BREAKER = {
+      networkRecheckInterval: 60000,
+      circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 60000 },
+    };
+
+    afterEach(() => {
+      if (sdk) sdk.destroy();
+      sdk = null;
+      vi.restoreAllMocks();
+    });
+
+    it("should open on repeated server errors and stop calling the API", async () => {
+      const transport = vi.fn(async () => respond(503, UNAVAILABLE));
+      sdk = createTestSDK({ fetch: transport, ...BREAKER });
+      const opened = vi.fn();
+      sdk.on("circuit:open", opened);
+
+      await expect(sdk.testAuth()).rejects.toThrow("Service unavailable");
+      await expect(sdk.testAuth()).rejects.toThrow("Service unavailable");
+      const error = await sdk.testAuth().catch((e) => e);
+
+      expect(transport).toHaveBeenCalledTimes(2);
+      expect(opened).toHaveBeenCalledWith({ failures: 2, retryInMs: 60000 });
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.status).toBe(0);
+      expect(error.message).toContain("circuit open");
+    });
+
+    it("should count every failed attempt, including retries", async () => {
+      const transport = vi.fn(async () => respond(503, UNAVAILABLE));
+      sdk = createTestSDK({ fetch: transport, ...BREAKER, retryPolicy: { maxAttempts: 5, baseDelayMs: 1 } });
+
+      await expect(sdk.testAuth()).rejects.toThrow("circuit open");
+
+      expect(transport).toHaveBeenCalledTimes(2);
+      expect(sdk.circuit.state).toBe("open");
+    });
+
+    it("should not count client errors as failures", async () => {
+      const transport = vi.fn(async () => respond(404, NOT_FOUND));
+      sdk = createTestSDK({ fetch: transport, ...BREAKER });
+
+      for (let i = 0; i < 3; i++) {
+        await expect(sdk.getSigningKey("missing")).rejects.toThrow("Not found");
+      }
+
+      expect(transport).toHaveBeenCalledTimes(3);
+      expect(sdk.circuit.state).toBe("closed");
+    });
+
+    it("should short-circuit validation to the offline fallback", async () => {
+      const transport = vi.fn(async () => respond(503, UNAVAILABLE));
+      sdk = createTestSDK({ fetch: transport, ...BREAKER, offlineFallbackEnabled: true });
+      sdk.circuit.recordFailure();
+      sdk.circuit.recordFailure();
+      const offlineResult = { valid: true, offline: true };
+      vi.spyOn(sdk, "verifyCachedOffline").mockResolvedValue(offlineResult);
+      const offlineSuccess = vi.fn();
+      sdk.on("validation:offline-success", offlineSuccess);
+
+      const result = await sdk.validateLicense(mockData.validLicenseKey);
+
+      expect(result).toBe(offlineResult);
+      expect(offlineSuccess).toHaveBeenCalled();
+      expect(transport).not.toHaveBeenCalled();
+    });
+
+    it("should close again after a successful trial request", async () => {
+      let now = 0;
+      vi.spyOn(Date, "now").mockImplementation(() => now);
+      const transport = vi
+        .fn()
+        .mockResolvedValueOnce(respond(503, UNAVAILABLE))
+        .mockResolvedValueOnce(respond(503, UNAVAILABLE))
+        .mockResolvedValueOnce(respond(200, HEALTHY));
+      sdk = createTestSDK({ fetch: transport, ...BREAKER });
+      const closed = vi.fn();
+      sdk.on("circuit:closed", closed);
+
+      await sdk.testAuth().catch(() => {});
+      await sdk.testAuth().catch(() => {});
+      now = 60000;
+      const result = await sdk.testAuth();
+
+      expect(result.healthy).toBe(true);
+      expect(closed).toHaveBeenCalledTimes(1);
+      expect(sdk.circuit.state).toBe("closed");
+    });
+
+    it("should close when the connectivity probe reaches the API", async () => {
+      vi.useFakeTimers();
+      try {
+        const transport = vi.fn(async () => respond(200, HEALTHY));
+        sdk = createTestSDK({ fetch: transport, ...BREAKER, networkRecheckInterval: 1000 });
+        sdk.circuit.recordFailure();
+        sdk.circuit.recordFailure();
+        const closed = vi.fn();
+        sdk.on("circuit:closed", closed);
+        sdk.online = false;
+
+        sdk.startConnectivityPolling();
+        await vi.advanceTimersByTimeAsync(1000);
+
+        expect(closed).toHaveBeenCalled();
+        expect(sdk.circuit.allowRequest()).toBe(true);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it("should be disabled with circuitBreaker: false", async () => {
+      const transport = vi.fn(async () => respond(503, UNAVAILABLE));
+      sdk = createTestSDK({ fetch: transport, ...BREAKER, circuitBreaker: false });
+
+      for (let i = 0; i < 3; i++) {
+        await sdk.testAuth().catch(() => {});
+      }
+
+      expect(sdk.circuit).toBeNull();
+      expect(transport).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Connectivity Tests
+ *
+ * Tests for detecting network loss and recovery from platform events and
+ * /health probes with backoff, and for classifying connection errors.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { ConnectivityMonitor, isConnectionError } from "../src/connectivity.js";
+import { LicenseSeatSDK } from "../src/LicenseSeat.js";
+import { APIError } from "../src/errors.js";
+import { mockData } from "./mocks/handlers.js";
+import { respond } from "./mocks/transport.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+/**
+ * Create a fake document whose visibility the test controls
+ * @returns {EventTarget & {visibilityState: string, setVisibility: function(string): void}}
+ */
+function createDocument() {
+  const doc = /** @type {any} */ (new EventTarget());
+  doc.visibilityState = "visible";
+  doc.setVisibility = (state) => {
+    doc.visibilityState = state;
+    doc.dispatchEvent(new Event("visibilitychange"));
+  };
+  return doc;
+}
+
+/**
+ * Create a Node.js style DNS error
+ * @param {string} code - Error code
+ * @returns {Error}
+ */
+function nodeError(code) {
+  return Object.assign(new Error(`getaddrinfo ${code} licenseseat.com`), { code });
+}
+
+describe("Connectivity", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe("isConnectionError", () => {
+    it("should recognize fetch network failures across platforms", () => {
+      expect(isConnectionError(new TypeError("Failed to fetch"))).toBe(true);
+      expect(isConnectionError(new TypeError("fetch failed"))).toBe(true);
+      expect(isConnectionError(new TypeError("NetworkError when attempting to fetch resource."))).toBe(true);
+      expect(isConnectionError(new TypeError("Load failed"))).toBe(true);
+    });
+
+    it("should recognize Node.js DNS and socket errors, also when wrapped", () => {
+      expect(isConnectionError(nodeError("ENOTFOUND"))).toBe(true);
+      expect(isConnectionError(new TypeError("fetch failed", { cause: nodeError("ECONNREFUSED") }))).toBe(true);
+
+      const wrapped = new APIError("Network request failed", 0);
+      wrapped.cause = nodeError("EAI_AGAIN");
+      expect(isConnectionError(wrapped)).toBe(true);
+    });
+
+    it("should not match other errors", () => {
+      expect(isConnectionError(new APIError("Not found", 404))).toBe(false);
+      expect(isConnectionError(new TypeError("x is not a function"))).toBe(false);
+      expect(isConnectionError(nodeError("EACCES"))).toBe(false);
+      expect(isConnectionError(null)).toBe(false);
+    });
+  });
+
+  describe("ConnectivityMonitor", () => {
+    let monitor;
+
+    /**
+     * Create a monitor with fake platform targets
+     * @param {function(): Promise<boolean>} probe - Probe implementation
+     * @param {Object} [options={}] - Extra options
+     * @returns {{target: EventTarget, doc: ReturnType<typeof createDocument>, changes: boolean[]}}
+     */
+    function createMonitor(probe, options = {}) {
+      const target = new EventTarget();
+      const doc = createDocument();
+      const changes = [];
+      monitor = new ConnectivityMonitor({
+        probe,
+        onPlatformChange: (online) => changes.push(online),
+        baseDelayMs: 1000,
+        maxDelayMs: 4000,
+        target,
+        document: /** @type {any} */ (doc),
+        ...options,
+      });
+      return { target, doc, changes };
+    }
+
+    afterEach(() => {
+      if (monitor) monitor.close();
+      monitor = null;
+    });
+
+    it("should probe with exponential backoff up to the maximum delay", async () => {
+      vi.useFakeTimers();
+      const probeTimes = [];
+      createMonitor(async () => {
+        probeTimes.push(Date.now());
+        return false;
+      });
+      const start = Date.now();
+
+      monitor.start();
+      await vi.advanceTimersByTimeAsync(1000 + 2000 + 4000 + 4000);
+
+      expect(probeTimes.map((t) => t - start)).toEqual([1000, 3000, 7000, 11000]);
+    });
+
+    it("should stop probing once the probe succeeds", async () => {
+      vi.useFakeTimers();
+      const probe = vi.fn().mockResolvedValueOnce(false).mockResolvedValue(true);
+      createMonitor(probe);
+
+      monitor.start();
+      await vi.advanceTimersByTimeAsync(1000 + 2000);
+      await vi.advanceTimersByTimeAsync(10000);
+
+      expect(probe).toHaveBeenCalledTimes(2);
+      expect(monitor.active).toBe(false);
+    });
+
+    it("should treat a throwing probe as a failed one", async () => {
+      createMonitor(vi.fn().mockRejectedValue(new Error("boom")));
+
+      await expect(monitor.probeNow()).resolves.toBe(false);
+    });
+
+    it("should suspend probing while the platform is offline and probe as soon as it is back", async () => {
+      vi.useFakeTimers();
+      const probe = vi.fn(async () => true);
+      const { target, changes } = createMonitor(probe);
+      monitor.start();
+
+      target.dispatchEvent(new Event("offline"));
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(probe).not.toHaveBeenCalled();
+
+      target.dispatchEvent(new Event("online"));
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(probe).toHaveBeenCalledTimes(1);
+      expect(changes).toEqual([false, true]);
+    });
+
+    it("should pause probing in hidden pages and probe when visible again", async () => {
+      vi.useFakeTimers();
+      const probe = vi.fn(async () => false);
+      const { doc } = createMonitor(probe);
+      monitor.start();
+
+      doc.setVisibility("hidden");
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(probe).not.toHaveBeenCalled();
+      expect(monitor.isPaused()).toBe(true);
+
+      doc.setVisibility("visible");
+      await vi.advanceTimersByTimeAsync(0);
+      expect(probe).toHaveBeenCalledTimes(1);
+    });
+
+    it("should ignore visibility changes while not probing", async () => {
+      const probe = vi.fn(async () => true);
+      const { doc } = createMonitor(probe);
+
+      doc.setVisibility("hidden");
+      doc.setVisibility("visible");
+
+      expect(probe).not.toHaveBeenCalled();
+    });
+
+    it("should remove its listeners on close", () => {
+      const { target, changes } = createMonitor(vi.fn(async () => true));
+
+      monitor.close();
+      target.dispatchEvent(new Event("offline"));
+
+      expect(changes).toEqual([]);
+    });
+  });
+
+  describe("SDK", () => {
+    let sdk;
+
+    /**
+     * Create an SDK instance with a cached license
+     * @param {import('vitest').Mock} transport - Stub transport
+     * @param {Object} [config={}] - Extra configuration
+     * @returns {LicenseSeatSDK}
+     */
+    function createSDK(transport, config = {}) {
+      sdk = createTestSDK({
+        fetch: transport,
+        circuitBreaker: false,
+        networkRecheckInterval: 1000,
+        ...config,
+      });
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+      return sdk;
+    }
+
+    afterEach(() => {
+      if (sdk) sdk.destroy();
+      sdk = null;
+    });
+
+    it("should go offline when the browser reports it", () => {
+      createSDK(vi.fn());
+      const offline = vi.fn();
+      sdk.on("network:offline", offline);
+
+      window.dispatchEvent(new Event("offline"));
+
+      expect(sdk.online).toBe(false);
+      expect(offline).toHaveBeenCalledWith({ error: null, source: "platform" });
+      window.dispatchEvent(new Event("online"));
+    });
+
+    it("should revalidate and resync right away when the browser is back online", async () => {
+      const transport = vi.fn(async (url) =>
+        url.endsWith("/health")
+          ? respond(200, { status: "healthy", api_version: "1.0.0" })
+          : respond(200, { object: "validation_result", valid: true, license: {} })
+      );
+      createSDK(transport, { networkRecheckInterval: 60000 });
+      const sync = vi.spyOn(sdk, "syncOfflineAssets").mockResolvedValue(undefined);
+      const online = vi.fn();
+      sdk.on("network:online", online);
+      window.dispatchEvent(new Event("offline"));
+
+      window.dispatchEvent(new Event("online"));
+
+      await vi.waitFor(() => expect(online).toHaveBeenCalledWith({ source: "probe" }));
+      await vi.waitFor(() =>
+        expect(transport.mock.calls.some(([url]) => url.endsWith("/validate"))).toBe(true)
+      );
+      expect(sync).toHaveBeenCalled();
+    });
+
+    it("should report connection errors from Node.js transports as network failures", async () => {
+      const transport = vi.fn(async () => {
+        throw nodeError("ENOTFOUND");
+      });
+      createSDK(transport, { networkRecheckInterval: 60000 });
+      const offline = vi.fn();
+      sdk.on("network:offline", offline);
+
+      const error = await sdk.testAuth().catch((e) => e);
+
+      expect(error.cause.code).toBe("ENOTFOUND");
+      expect(offline).toHaveBeenCalledWith({ error, source: "request" });
+      expect(sdk.connectivity.active).toBe(true);
+    });
+
+    it("should back off between failed probes", async () => {
+      vi.useFakeTimers();
+      const transport = vi.fn(async () => {
+        throw new TypeError("Failed to fetch");
+      });
+      createSDK(transport);
+
+      await sdk.testAuth().catch(() => {});
+      transport.mockClear();
+      await vi.advanceTimersByTimeAsync(1000 + 2000 + 4000);
+
+      expect(transport).toHaveBeenCalledTimes(3);
+      expect(sdk.connectivity.nextDelayMs()).toBe(8000);
+    });
+  });
+});
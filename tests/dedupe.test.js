@@ -0,0 +1,188 @@
+/**
+ * Request Deduplication Tests
+ *
+ * Tests for sharing identical in-flight API calls and applying validation
+ * results to the cache in request order.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { mockData } from "./mocks/handlers.js";
+import { respond } from "./mocks/transport.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+/**
+ * Build a validation response body
+ * @param {boolean} valid - Whether the license is valid
+ * @param {string} [code] - Validation code
+ * @returns {Object}
+ */
+function validation(valid, code) {
+  return {
+    object: "validation_result",
+    valid,
+    code,
+    license: { key: mockData.validLicenseKey, status: valid ? "active" : "suspended" },
+  };
+}
+
+/**
+ * Create a stub transport whose responses are released by the test, and
+ * that rejects once its request is aborted
+ * @returns {{transport: import('vitest').Mock, pending: Array<{url: string, body: Object, signal: AbortSignal, resolve: function(Object): void}>}}
+ */
+function createDeferredTransport() {
+  const pending = [];
+  const transport = vi.fn(
+    (url, request) =>
+      new Promise((resolve, reject) => {
+        request.signal.addEventListener("abort", () => reject(request.signal.reason));
+        pending.push({ url, body: JSON.parse(request.body || "null"), signal: request.signal, resolve });
+      })
+  );
+  return { transport, pending };
+}
+
+describe("Request Deduplication", () => {
+  let sdk;
+
+  afterEach(() => {
+    if (sdk) sdk.destroy();
+    sdk = null;
+  });
+
+  it("should share one request between identical concurrent validations", async () => {
+    const { transport, pending } = createDeferredTransport();
+    sdk = createTestSDK({ fetch: transport });
+
+    const first = sdk.validateLicense(mockData.validLicenseKey, { deviceId: "dev" });
+    const second = sdk.validateLicense(mockData.validLicenseKey, { deviceId: "dev" });
+    await vi.waitFor(() => expect(pending).toHaveLength(1));
+    pending[0].resolve(respond(200, validation(true)));
+
+    const results = await Promise.all([first, second]);
+
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(results.map((r) => r.valid)).toEqual([true, true]);
+    expect(sdk.inflightRequests.size).toBe(0);
+  });
+
+  it("should share failures as well", async () => {
+    const transport = vi.fn(async () =>
+      respond(404, { error: { code: "license_not_found", message: "License not found" } })
+    );
+    sdk = createTestSDK({ fetch: transport });
+
+    const results = await Promise.allSettled([
+      sdk.getSigningKey("kid-1"),
+      sdk.getSigningKey("kid-1"),
+    ]);
+
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(results.map((r) => r.status)).toEqual(["rejected", "rejected"]);
+  });
+
+  it("should send separate requests for different devices", async () => {
+    const { transport, pending } = createDeferredTransport();
+    sdk = createTestSDK({ fetch: transport });
+
+    const calls = [
+      sdk.validateLicense(mockData.validLicenseKey, { deviceId: "dev-a" }),
+      sdk.validateLicense(mockData.validLicenseKey, { deviceId: "dev-b" }),
+    ];
+    await vi.waitFor(() => expect(pending).toHaveLength(2));
+    pending.forEach((p) => p.resolve(respond(200, validation(true))));
+    await Promise.all(calls);
+
+    expect(pending.map((p) => p.body.device_id)).toEqual(["dev-a", "dev-b"]);
+  });
+
+  it("should send a new request once the previous one settled", async () => {
+    const transport = vi.fn(async () => respond(200, { status: "healthy", api_version: "1.0.0" }));
+    sdk = createTestSDK({ fetch: transport });
+
+    await sdk.testAuth();
+    await sdk.testAuth();
+
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  it("should keep the shared request alive while another caller waits", async () => {
+    const { transport, pending } = createDeferredTransport();
+    sdk = createTestSDK({ fetch: transport });
+    const controller = new AbortController();
+
+    const cancelled = sdk.validateLicense(mockData.validLicenseKey, {
+      deviceId: "dev",
+      signal: controller.signal,
+    });
+    const waiting = sdk.validateLicense(mockData.validLicenseKey, { deviceId: "dev" });
+    await vi.waitFor(() => expect(pending).toHaveLength(1));
+    controller.abort();
+
+    await expect(cancelled).rejects.toMatchObject({ name: "AbortError" });
+    expect(pending[0].signal.aborted).toBe(false);
+    pending[0].resolve(respond(200, validation(true)));
+    await expect(waiting).resolves.toMatchObject({ valid: true });
+  });
+
+  it("should abort the shared request once every caller cancelled", async () => {
+    const { transport, pending } = createDeferredTransport();
+    sdk = createTestSDK({ fetch: transport });
+    const controllers = [new AbortController(), new AbortController()];
+
+    const calls = controllers.map((controller) =>
+      sdk.validateLicense(mockData.validLicenseKey, { deviceId: "dev", signal: controller.signal })
+    );
+    await vi.waitFor(() => expect(pending).toHaveLength(1));
+    controllers.forEach((controller) => controller.abort());
+
+    const results = await Promise.allSettled(calls);
+
+    expect(results.map((r) => r.status)).toEqual(["rejected", "rejected"]);
+    expect(pending[0].signal.aborted).toBe(true);
+    expect(sdk.inflightRequests.size).toBe(0);
+  });
+
+  it("should not let a slower stale validation overwrite a newer one", async () => {
+    const { transport, pending } = createDeferredTransport();
+    sdk = createTestSDK({ fetch: transport });
+    sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+
+    const older = sdk.validateLicense(mockData.validLicenseKey, { deviceId: "dev-old" });
+    const newer = sdk.validateLicense(mockData.validLicenseKey, { deviceId: "dev" });
+    await vi.waitFor(() => expect(pending).toHaveLength(2));
+
+    pending[1].resolve(respond(200, validation(true)));
+    await newer;
+    pending[0].resolve(respond(200, validation(false, "suspended")));
+    await expect(older).resolves.toMatchObject({ valid: false });
+
+    const cached = sdk.cache.getLicense(mockData.validLicenseKey);
+    expect(cached.validation.valid).toBe(true);
+  });
+
+  it("should not emit events or change the license state for a stale validation", async () => {
+    const { transport, pending } = createDeferredTransport();
+    sdk = createTestSDK({ fetch: transport });
+    sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+
+    const older = sdk.validateLicense(mockData.validLicenseKey, { deviceId: "dev-old" });
+    const newer = sdk.validateLicense(mockData.validLicenseKey, { deviceId: "dev" });
+    await vi.waitFor(() => expect(pending).toHaveLength(2));
+    pending[1].resolve(respond(200, validation(true)));
+    await newer;
+
+    const failed = vi.fn();
+    const stateChanged = vi.fn();
+    sdk.on("validation:failed", failed);
+    sdk.on("state:changed", stateChanged);
+    const state = sdk.lifecycle.state;
+
+    pending[0].resolve(respond(200, validation(false, "suspended")));
+    await expect(older).resolves.toMatchObject({ valid: false });
+
+    expect(failed).not.toHaveBeenCalled();
+    expect(stateChanged).not.toHaveBeenCalled();
+    expect(sdk.lifecycle.state).toBe(state);
+  });
+});
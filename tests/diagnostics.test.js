@@ -0,0 +1,271 @@
+/**
+ * Diagnostics Tests
+ *
+ * Tests for the redacted diagnostics bundle: recording of events and API
+ * calls, license key masking and secret removal, and serialization.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  DiagnosticsRecorder,
+  maskLicenseKey,
+  redactDiagnostics,
+  formatDiagnostics,
+} from "../src/diagnostics.js";
+import { LicenseSeatSDK } from "../src/LicenseSeat.js";
+import { APIError } from "../src/errors.js";
+import { MemoryStorageAdapter } from "../src/storage.js";
+import { mockData } from "./mocks/handlers.js";
+import { respond } from "./mocks/transport.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+describe("Diagnostics", () => {
+  describe("maskLicenseKey", () => {
+    it("should keep only the first and last four characters", () => {
+      expect(maskLicenseKey(mockData.validLicenseKey)).toBe("LS-T****-KEY");
+      expect(maskLicenseKey("SHORT")).toBe("****");
+      expect(maskLicenseKey(null)).toBeNull();
+    });
+  });
+
+  describe("redactDiagnostics", () => {
+    it("should mask license keys wherever they appear and remove secrets", () => {
+      const key = "KEY/WITH SPACES-1234";
+      const redacted = redactDiagnostics({
+        license_key: key,
+        activation: { license: { key, status: "active" } },
+        endpoint: `/products/app/licenses/${encodeURIComponent(key)}/validate`,
+        message: `License ${key} not found`,
+        apiKey: "secret",
+        offline: { canonical: `{"license_key":"${key}"}` },
+      });
+
+      expect(JSON.stringify(redacted)).not.toContain("WITH SPACES");
+      expect(JSON.stringify(redacted)).not.toContain("WITH%20SPACES");
+      expect(redacted).toEqual({
+        license_key: "KEY/****1234",
+        activation: { license: { key: "KEY/****1234", status: "active" } },
+        endpoint: "/products/app/licenses/KEY%****1234/validate",
+        message: "License KEY/****1234 not found",
+        apiKey: "[redacted]",
+        offline: { canonical: "[redacted]" },
+      });
+    });
+
+    it("should mask extra license keys that appear in no license key field", () => {
+      expect(redactDiagnostics({ note: "LS-OTHER-LICENSE" }, ["LS-OTHER-LICENSE"])).toEqual({
+        note: "LS-O****ENSE",
+      });
+    });
+
+    it("should mask unknown license keys in license paths", () => {
+      expect(
+        redactDiagnostics({ endpoint: "/products/app/licenses/LS-GONE-LICENSE-KEY/heartbeat?x=1" })
+      ).toEqual({ endpoint: "/products/app/licenses/LS-G****-KEY/heartbeat?x=1" });
+    });
+  });
+
+  describe("DiagnosticsRecorder", () => {
+    it("should keep the latest entries up to the limit", () => {
+      const recorder = new DiagnosticsRecorder({ limit: 2 });
+
+      recordEvents(recorder, ["a", "b", "c"]);
+      recordEvents(recorder, ["a"]);
+
+      expect(recorder.events.map((e) => e.event)).toEqual(["c", "a"]);
+      expect(recorder.latest("b").event).toBe("b");
+      expect(recorder.latest("missing")).toBeNull();
+    });
+
+    it("should reduce errors to their name, message, code and status", () => {
+      let now = 1000;
+      const recorder = new DiagnosticsRecorder({ now: () => now });
+      const error = new APIError("Not found", 404, { error: { code: "license_not_found", message: "Not found" } });
+
+      recorder.recordEvent("activation:error", { licenseKey: "K", error });
+      now = 1250;
+      recorder.recordRequest({ method: "POST", endpoint: "/activate", attempt: 1 }, 1000, 404, error);
+
+      const plain = { name: "APIError", message: "Not found", code: "license_not_found", status: 404 };
+      expect(recorder.events[0].data.error).toEqual(plain);
+      expect(recorder.requests[0]).toEqual({
+        at: new Date(1000).toISOString(),
+        method: "POST",
+        endpoint: "/activate",
+        attempt: 1,
+        status: 404,
+        duration_ms: 250,
+        error: plain,
+      });
+    });
+
+    it("should record nothing with a limit of 0", () => {
+      const recorder = new DiagnosticsRecorder({ limit: 0 });
+
+      recordEvents(recorder, ["a"]);
+
+      expect(recorder.events).toEqual([]);
+    });
+  });
+
+  describe("SDK", () => {
+    let sdk;
+
+    /**
+     * Create an SDK instance with a stub transport
+     * @param {Object} [config={}] - Extra configuration
+     * @returns {LicenseSeatSDK}
+     */
+    function createSDK(config = {}) {
+      const transport = vi.fn(async (url) => {
+        if (url.endsWith("/activate")) return respond(201, { object: "activation", id: "act-1" });
+        if (url.endsWith("/deactivate")) return respond(200, { object: "deactivation", activation_id: "act-1" });
+        if (url.endsWith("/validate")) {
+          return respond(422, { error: { code: "license_expired", message: "License expired" } });
+        }
+        return respond(404, { error: { code: "not_found", message: "Not found" } });
+      });
+      sdk = createTestSDK({ fetch: transport, ...config });
+      vi.spyOn(sdk, "syncOfflineAssets").mockResolvedValue(undefined);
+      return sdk;
+    }
+
+    afterEach(() => {
+      if (sdk) sdk.destroy();
+      sdk = null;
+    });
+
+    it("should never contain the API key or an unmasked license key", async () => {
+      createSDK();
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.validateLicense(mockData.validLicenseKey).catch(() => {});
+
+      const serialized = sdk.exportDiagnostics({ format: "json" });
+
+      expect(serialized).not.toContain(mockData.apiKey);
+      expect(serialized).not.toContain(mockData.validLicenseKey);
+      const { config } = JSON.parse(serialized);
+      expect(config).toMatchObject({
+        productSlug: mockData.productSlug,
+        fetch: "custom",
+        storage: "MemoryStorageAdapter",
+      });
+      expect(config).not.toHaveProperty("apiKey");
+      expect(config).not.toHaveProperty("encryptionSecret");
+    });
+
+    it("should leave the SDK untouched when taking a snapshot", async () => {
+      createSDK();
+      await sdk.activate(mockData.validLicenseKey);
+      const license = sdk.cache.getLicense();
+      license.validation = { ...license.validation, valid: false };
+      sdk.cache.setLicense(license);
+      const emit = vi.spyOn(sdk, "emit");
+      const validate = vi.spyOn(sdk, "validateLicense");
+      const state = sdk.lifecycle.state;
+
+      const { cache } = sdk.getDiagnostics();
+
+      expect(emit).not.toHaveBeenCalled();
+      expect(validate).not.toHaveBeenCalled();
+      expect(sdk.lifecycle.state).toBe(state);
+      expect(sdk.cache.getLicense().validation).toMatchObject({ valid: false });
+      expect(cache.licenses[0].state).toBe(state);
+    });
+
+    it("should mask the key of a deactivated license in recorded endpoints", async () => {
+      createSDK({ diagnosticsLimit: 2 });
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.deactivate();
+      // Push the deactivation events, which name the license, out of the window
+      sdk.reset();
+      sdk.reset();
+
+      const serialized = sdk.exportDiagnostics({ format: "json" });
+
+      expect(sdk.cache.getLicense()).toBeNull();
+      expect(serialized).not.toContain(mockData.validLicenseKey);
+      expect(serialized).not.toContain(encodeURIComponent(mockData.validLicenseKey));
+      expect(JSON.parse(serialized).requests.map((r) => r.endpoint)).toEqual([
+        `/products/${mockData.productSlug}/licenses/LS-T****-KEY/activate`,
+        `/products/${mockData.productSlug}/licenses/LS-T****-KEY/deactivate`,
+      ]);
+    });
+
+    it("should include the recent API calls and events", async () => {
+      createSDK();
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.validateLicense(mockData.validLicenseKey).catch(() => {});
+
+      const { requests, events, state, cache } = sdk.getDiagnostics();
+
+      expect(requests.map((r) => [r.method, r.endpoint, r.status])).toEqual([
+        ["POST", `/products/${mockData.productSlug}/licenses/LS-T****-KEY/activate`, 201],
+        ["POST", `/products/${mockData.productSlug}/licenses/LS-T****-KEY/validate`, 422],
+      ]);
+      expect(requests[1].error).toMatchObject({ name: "LicenseExpiredError", code: "license_expired" });
+      expect(requests.every((r) => r.duration_ms >= 0)).toBe(true);
+      expect(events.map((e) => e.event)).toContain("activation:success");
+      expect(events.find((e) => e.event === "activation:start").data.licenseKey).toBe("LS-T****-KEY");
+      expect(state).toMatchObject({ license: "invalid", status: "invalid", online: true });
+      expect(cache.licenses).toHaveLength(1);
+      expect(cache.licenses[0]).toMatchObject({
+        license_key: "LS-T****-KEY",
+        state: "invalid",
+        validation: { valid: false, code: "license_expired" },
+      });
+    });
+
+    it("should report offline token claims, clock readings and timers", async () => {
+      createSDK({ heartbeatInterval: 60000 });
+      await sdk.activate(mockData.validLicenseKey);
+      sdk.cache.setOfflineToken({
+        object: "offline_token",
+        token: { schema_version: 1, license_key: mockData.validLicenseKey, kid: mockData.keyId, iat: 1700000000, exp: 2000000000 },
+        signature: { algorithm: "Ed25519", key_id: mockData.keyId, value: "c2ln" },
+        canonical: `{"license_key":"${mockData.validLicenseKey}"}`,
+      });
+      sdk.cache.setLastSeenTimestamp(Date.now() - 1000);
+
+      const { offline_tokens: tokens, clock, timers } = sdk.getDiagnostics();
+
+      expect(tokens).toHaveLength(1);
+      expect(tokens[0]).toMatchObject({
+        license_key: "LS-T****-KEY",
+        kid: mockData.keyId,
+        expires_at: new Date(2000000000 * 1000).toISOString(),
+        claims: { license_key: "LS-T****-KEY", exp: 2000000000 },
+      });
+      expect(clock.since_last_seen_ms).toBeGreaterThanOrEqual(1000);
+      expect(timers.auto_validation).toMatchObject({ running: true, license_key: "LS-T****-KEY" });
+      expect(Date.parse(timers.heartbeat.next_run_at)).toBeGreaterThan(Date.now());
+      expect(timers.connectivity_probe.running).toBe(false);
+    });
+
+    it("should export a readable summary followed by the snapshot", async () => {
+      createSDK();
+      await sdk.activate(mockData.validLicenseKey);
+
+      const text = sdk.exportDiagnostics();
+      const json = text.slice(text.indexOf("\n{"));
+
+      expect(text).toMatch(/^LicenseSeat diagnostics\n/);
+      expect(text).toContain("Licenses: LS-T****-KEY (active)");
+      expect(text).toContain(
+        `Last API call: POST /products/${mockData.productSlug}/licenses/LS-T****-KEY/activate -> 201`
+      );
+      expect(JSON.parse(json).sdk.version).toBe(LicenseSeatSDK.VERSION);
+      expect(formatDiagnostics(sdk.getDiagnostics(), "json")).not.toContain("LicenseSeat diagnostics");
+    });
+  });
+});
+
+/**
+ * Record events without data
+ * @param {DiagnosticsRecorder} recorder - Recorder
+ * @param {string[]} names - Event names
+ * @returns {void}
+ */
+function recordEvents(recorder, names) {
+  names.forEach((name) => recorder.recordEvent(name, undefined));
+}
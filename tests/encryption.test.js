@@ -0,0 +1,297 @@
+/**
+ * Cache Encryption Tests
+ *
+ * Tests for AES-GCM encryption of cached records.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { CacheCipher } from "../src/encryption.js";
+import { LicenseCache } from "../src/cache.js";
+import { MemoryStorageAdapter } from "../src/storage.js";
+import { LicenseSeatSDK } from "../src/LicenseSeat.js";
+import { CryptoError } from "../src/errors.js";
+import { generateDeviceId } from "../src/utils.js";
+import { mockData } from "./mocks/handlers.js";
+
+describe("Cache Encryption", () => {
+  describe("CacheCipher", () => {
+    it("should round-trip a value", async () => {
+      const cipher = new CacheCipher("secret", "device-1");
+
+      const encrypted = await cipher.encrypt("hello", "licenseseat_license");
+
+      expect(CacheCipher.isEncrypted(encrypted)).toBe(true);
+      expect(encrypted).not.toContain("hello");
+      expect(await cipher.decrypt(encrypted, "licenseseat_license")).toBe("hello");
+    });
+
+    it("should use a fresh IV for every encryption", async () => {
+      const cipher = new CacheCipher("secret", "device-1");
+
+      const a = await cipher.encrypt("hello", "key");
+      const b = await cipher.encrypt("hello", "key");
+
+      expect(a).not.toBe(b);
+    });
+
+    it("should reject a value encrypted with another secret", async () => {
+      const encrypted = await new CacheCipher("secret", "device-1").encrypt("hello", "key");
+
+      await expect(
+        new CacheCipher("other-secret", "device-1").decrypt(encrypted, "key")
+      ).rejects.toThrow(CryptoError);
+    });
+
+    it("should reject a value encrypted with another salt", async () => {
+      const encrypted = await new CacheCipher("secret", "salt-1").encrypt("hello", "key");
+      const cipher = new CacheCipher("secret", "salt-1");
+      cipher.setSalt("salt-2");
+
+      await expect(cipher.decrypt(encrypted, "key")).rejects.toThrow(CryptoError);
+    });
+
+    it("should reject a value moved to another storage key", async () => {
+      const cipher = new CacheCipher("secret", "device-1");
+      const encrypted = await cipher.encrypt("hello", "licenseseat_license");
+
+      await expect(cipher.decrypt(encrypted, "licenseseat_offline_token")).rejects.toThrow(
+        CryptoError
+      );
+    });
+
+    it("should reject corrupt ciphertext", async () => {
+      const cipher = new CacheCipher("secret", "device-1");
+      const encrypted = await cipher.encrypt("hello", "key");
+      const corrupt = encrypted.slice(0, -4) + "AAAA";
+
+      await expect(cipher.decrypt(corrupt, "key")).rejects.toThrow(CryptoError);
+      await expect(cipher.decrypt("lse1:garbage", "key")).rejects.toThrow(CryptoError);
+    });
+
+    it("should require a secret", () => {
+      expect(() => new CacheCipher("", "device-1")).toThrow(CryptoError);
+    });
+  });
+
+  describe("LicenseCache with a cipher", () => {
+    it("should store only ciphertext", async () => {
+      const storage = new MemoryStorageAdapter();
+      const cache = new LicenseCache("licenseseat_", {
+        storage,
+        cipher: new CacheCipher("secret", "device-1"),
+      });
+      await cache.ready();
+
+      cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+      cache.setOfflineToken(/** @type {any} */ ({ token: { license_key: mockData.validLicenseKey } }));
+      await cache.flush();
+
+      for (const key of storage.keys().filter((k) => k !== "licenseseat_install_salt")) {
+        expect(storage.get(key)).not.toContain(mockData.validLicenseKey);
+        expect(CacheCipher.isEncrypted(storage.get(key))).toBe(true);
+      }
+      expect(cache.getLicense().license_key).toBe(mockData.validLicenseKey);
+    });
+
+    it("should decrypt existing records on load", async () => {
+      const storage = new MemoryStorageAdapter();
+      const writer = new LicenseCache("licenseseat_", {
+        storage,
+        cipher: new CacheCipher("secret", "device-1"),
+      });
+      await writer.ready();
+      writer.setLicense({ license_key: "KEY", device_id: "dev" });
+      await writer.flush();
+
+      const reader = new LicenseCache("licenseseat_", {
+        storage,
+        cipher: new CacheCipher("secret", "device-1"),
+      });
+      await reader.ready();
+
+      expect(reader.getLicense().license_key).toBe("KEY");
+    });
+
+    it("should encrypt plaintext records left from before encryption was enabled", async () => {
+      const storage = new MemoryStorageAdapter();
+      storage.set("licenseseat_license", JSON.stringify({ license_key: "KEY" }));
+      const cache = new LicenseCache("licenseseat_", {
+        storage,
+        cipher: new CacheCipher("secret", "device-1"),
+      });
+
+      await cache.ready();
+      await cache.flush();
+
+      expect(cache.getLicense().license_key).toBe("KEY");
+      expect(CacheCipher.isEncrypted(storage.get("licenseseat_license"))).toBe(true);
+    });
+
+    it("should keep a random install salt in plaintext across clear()", async () => {
+      const storage = new MemoryStorageAdapter();
+      const cache = new LicenseCache("licenseseat_", {
+        storage,
+        cipher: new CacheCipher("secret"),
+      });
+      await cache.ready();
+      cache.setLicense({ license_key: "KEY", device_id: "dev" });
+      await cache.flush();
+      const salt = storage.get("licenseseat_install_salt");
+
+      cache.clear();
+      await cache.flush();
+
+      expect(salt).toMatch(/^[A-Za-z0-9_-]{22}$/);
+      expect(storage.keys()).toEqual(["licenseseat_install_salt"]);
+      expect(storage.get("licenseseat_install_salt")).toBe(salt);
+    });
+
+    it("should treat the cache as empty and emit an event on the wrong key", async () => {
+      const storage = new MemoryStorageAdapter();
+      const writer = new LicenseCache("licenseseat_", {
+        storage,
+        cipher: new CacheCipher("secret", "device-1"),
+      });
+      await writer.ready();
+      writer.setLicense({ license_key: "KEY", device_id: "dev" });
+      writer.setLastSeenTimestamp(123);
+      await writer.flush();
+
+      const emit = vi.fn();
+      const reader = new LicenseCache("licenseseat_", {
+        storage,
+        cipher: new CacheCipher("wrong-secret", "device-1"),
+        emit,
+      });
+      await reader.ready();
+
+      expect(reader.getLicense()).toBeNull();
+      expect(reader.getLastSeenTimestamp()).toBeNull();
+      expect(emit).toHaveBeenCalledWith(
+        "cache:decryption-failed",
+        expect.objectContaining({
+          keys: expect.arrayContaining(["licenseseat_license", "licenseseat_last_seen_ts"]),
+        })
+      );
+
+      await reader.flush();
+      expect(storage.keys().sort()).toEqual(["licenseseat_install_salt", "licenseseat_schema_version"]);
+    });
+  });
+
+  describe("SDK encryptionSecret", () => {
+    let sdk;
+
+    afterEach(() => {
+      if (sdk) sdk.destroy();
+      vi.restoreAllMocks();
+    });
+
+    it("should encrypt the activated license at rest", async () => {
+      const storage = new MemoryStorageAdapter();
+      sdk = new LicenseSeatSDK({
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        storage,
+        encryptionSecret: "app-secret",
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.cache.flush();
+
+      expect(storage.get("licenseseat_license")).not.toContain(mockData.validLicenseKey);
+      expect(sdk.cache.getLicense().license_key).toBe(mockData.validLicenseKey);
+    });
+
+    it("should still decrypt the cache after the device fingerprint changes", async () => {
+      const storage = new MemoryStorageAdapter();
+      const config = {
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        storage,
+        encryptionSecret: "app-secret",
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      };
+      sdk = new LicenseSeatSDK(config);
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.cache.flush();
+      const fingerprint = generateDeviceId();
+
+      // Daylight saving time changes the time zone offset in the fingerprint
+      const offset = new Date().getTimezoneOffset();
+      vi.spyOn(Date.prototype, "getTimezoneOffset").mockReturnValue(offset - 60);
+      const failed = vi.fn();
+      const reopened = new LicenseSeatSDK(config);
+      reopened.on("cache:decryption-failed", failed);
+      await reopened.ready();
+
+      expect(generateDeviceId()).not.toBe(fingerprint);
+      expect(failed).not.toHaveBeenCalled();
+      expect(reopened.cache.getLicense().license_key).toBe(mockData.validLicenseKey);
+      reopened.destroy();
+    });
+
+    it("should keep a license activated after the secret changed across restarts", async () => {
+      const storage = new MemoryStorageAdapter();
+      const old = new LicenseCache("licenseseat_", { storage, cipher: new CacheCipher("old-secret") });
+      await old.ready();
+      old.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+      old.setLicense({ license_key: "ADDON-KEY", device_id: "dev" });
+      old.enqueueOutbox(/** @type {any} */ ({ id: "1", coalesceKey: "heartbeat:ADDON-KEY", type: "heartbeat" }));
+      await old.flush();
+      const config = {
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        storage,
+        encryptionSecret: "new-secret",
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      };
+
+      sdk = new LicenseSeatSDK(config);
+      const failed = vi.fn();
+      sdk.on("cache:decryption-failed", failed);
+      await sdk.ready();
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.cache.flush();
+      expect(failed).toHaveBeenCalledOnce();
+
+      // Restart twice: the entries encrypted with the old secret must be gone
+      for (let restart = 0; restart < 2; restart++) {
+        const restarted = new LicenseSeatSDK(config);
+        const failedAgain = vi.fn();
+        restarted.on("cache:decryption-failed", failedAgain);
+        await restarted.ready();
+
+        expect(failedAgain).not.toHaveBeenCalled();
+        expect(restarted.cache.getLicense().license_key).toBe(mockData.validLicenseKey);
+        expect(restarted.cache.getLicense("ADDON-KEY")).toBeNull();
+        expect(restarted.cache.getOutbox()).toEqual([]);
+        restarted.stopAutoValidation();
+        restarted.stopConnectivityPolling();
+      }
+    });
+
+    it("should emit cache:decryption-failed and report inactive on a corrupt cache", async () => {
+      const storage = new MemoryStorageAdapter();
+      storage.set("licenseseat_license", "lse1:AAAAAAAAAAAAAAAA.AAAAAAAAAAAAAAAAAAAAAAAAAA");
+      const failed = vi.fn();
+      sdk = new LicenseSeatSDK({
+        productSlug: mockData.productSlug,
+        storage,
+        encryptionSecret: "app-secret",
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+      sdk.on("cache:decryption-failed", failed);
+
+      await sdk.initialize();
+
+      expect(failed).toHaveBeenCalledOnce();
+      expect(sdk.getStatus().status).toBe("inactive");
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Error Class Tests
+ *
+ * Tests for the APIError subclasses and how API error codes map to them.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  APIError,
+  AuthenticationError,
+  LicenseNotFoundError,
+  LicenseExpiredError,
+  LicenseRevokedError,
+  LicenseSuspendedError,
+  SeatLimitExceededError,
+  RateLimitedError,
+  createAPIError,
+} from "../src/errors.js";
+import { mockData } from "./mocks/handlers.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+/**
+ * Build an API error response body
+ * @param {string} code - Error code
+ * @param {Object} [details] - Error details
+ * @returns {import('../src/types.js').APIErrorData}
+ */
+function errorBody(code, details) {
+  return { error: { code, message: `Error: ${code}`, details } };
+}
+
+describe("Errors", () => {
+  describe("createAPIError", () => {
+    it.each([
+      ["unauthorized", 401, AuthenticationError],
+      ["license_not_found", 404, LicenseNotFoundError],
+      ["license_expired", 422, LicenseExpiredError],
+      ["license_revoked", 422, LicenseRevokedError],
+      ["license_suspended", 422, LicenseSuspendedError],
+      ["seat_limit_reached", 422, SeatLimitExceededError],
+      ["rate_limited", 429, RateLimitedError],
+    ])("should map %s to its subclass", (code, status, ErrorClass) => {
+      const error = createAPIError("Failed", status, errorBody(code));
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.name).toBe(ErrorClass.name);
+      expect(error.code).toBe(code);
+      expect(error.status).toBe(status);
+    });
+
+    it("should fall back to APIError for unknown codes", () => {
+      const error = createAPIError("Nope", 422, errorBody("device_already_activated"));
+
+      expect(error.constructor).toBe(APIError);
+      expect(error.code).toBe("device_already_activated");
+    });
+
+    it("should map 401 and 429 responses without a known code by status", () => {
+      const auth = createAPIError("Unauthorized", 401, {});
+      const limited = createAPIError("Slow down", 429, errorBody("quota_exceeded"));
+
+      expect(auth).toBeInstanceOf(AuthenticationError);
+      expect(auth.code).toBe("unauthorized");
+      expect(limited).toBeInstanceOf(RateLimitedError);
+      expect(limited.code).toBe("quota_exceeded");
+    });
+
+    it("should expose the error details", () => {
+      const error = createAPIError("Seats", 422, errorBody("seat_limit_reached", { max_seats: 3 }));
+
+      expect(error.details).toEqual({ max_seats: 3 });
+      expect(createAPIError("x", 404, { code: "license_not_found" }).details).toBeNull();
+    });
+
+    it("should flag which errors are worth retrying", () => {
+      expect(createAPIError("x", 429, errorBody("rate_limited")).retryable).toBe(true);
+      expect(createAPIError("x", 503, errorBody("unavailable")).retryable).toBe(true);
+      expect(new APIError("Network request failed", 0).retryable).toBe(true);
+      expect(createAPIError("x", 422, errorBody("seat_limit_reached")).retryable).toBe(false);
+      expect(createAPIError("x", 404, errorBody("license_not_found")).retryable).toBe(false);
+      expect(createAPIError("x", 401, errorBody("unauthorized")).retryable).toBe(false);
+    });
+  });
+
+  describe("SDK", () => {
+    let sdk;
+
+    afterEach(() => {
+      if (sdk) sdk.destroy();
+      sdk = null;
+    });
+
+    it("should reject with typed errors for known API error codes", async () => {
+      sdk = createTestSDK();
+
+      await expect(sdk.activate(mockData.invalidLicenseKey)).rejects.toBeInstanceOf(LicenseNotFoundError);
+      await expect(sdk.activate(mockData.expiredLicenseKey)).rejects.toBeInstanceOf(LicenseExpiredError);
+    });
+
+    it("should reject with AuthenticationError for a bad API key", async () => {
+      sdk = createTestSDK({ apiKey: null });
+
+      const error = await sdk.activate(mockData.validLicenseKey).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AuthenticationError);
+      expect(error.retryable).toBe(false);
+    });
+
+    it("should report a seat limit with its details", async () => {
+      const transport = vi.fn(async () => ({
+        ok: false,
+        status: 422,
+        headers: new Headers({ "Content-Type": "application/json" }),
+        text: async () => JSON.stringify(errorBody("seat_limit_reached", { max_seats: 1 })),
+      }));
+      sdk = createTestSDK({ fetch: transport });
+
+      const error = await sdk.activate(mockData.validLicenseKey).catch((e) => e);
+
+      expect(error).toBeInstanceOf(SeatLimitExceededError);
+      expect(error.details).toEqual({ max_seats: 1 });
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * File Storage Adapter Tests
+ *
+ * Tests for the Node.js file-system storage adapter.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import * as fs from "node:fs";
+import * as os from "node:os";
+import * as path from "node:path";
+import { FileStorageAdapter } from "../src/file-storage.js";
+import { LicenseCache } from "../src/cache.js";
+import { ConfigurationError } from "../src/errors.js";
+
+describe("FileStorageAdapter", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "licenseseat-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("should require a directory", () => {
+    expect(() => new FileStorageAdapter(/** @type {any} */ ({}))).toThrow(
+      ConfigurationError
+    );
+  });
+
+  it("should create the directory on first write", () => {
+    const nested = path.join(directory, "a", "b");
+    const adapter = new FileStorageAdapter({ directory: nested });
+
+    expect(adapter.keys()).toEqual([]);
+    adapter.set("licenseseat_license", "{}");
+
+    expect(fs.existsSync(nested)).toBe(true);
+    expect(adapter.get("licenseseat_license")).toBe("{}");
+  });
+
+  it("should store each key in its own file and list keys", () => {
+    const adapter = new FileStorageAdapter({ directory });
+
+    adapter.set("licenseseat_license", '{"license_key":"KEY"}');
+    adapter.set("licenseseat_last_seen_ts", "123");
+
+    expect(adapter.keys().sort()).toEqual([
+      "licenseseat_last_seen_ts",
+      "licenseseat_license",
+    ]);
+    expect(fs.readdirSync(directory)).toHaveLength(2);
+
+    adapter.remove("licenseseat_license");
+    expect(adapter.get("licenseseat_license")).toBeNull();
+    expect(adapter.keys()).toEqual(["licenseseat_last_seen_ts"]);
+  });
+
+  it("should leave no temporary or lock files behind", () => {
+    const adapter = new FileStorageAdapter({ directory });
+
+    adapter.set("key", "one");
+    adapter.set("key", "two");
+
+    expect(fs.readdirSync(directory)).toEqual(["key"]);
+    expect(adapter.get("key")).toBe("two");
+  });
+
+  it("should ignore temporary and lock files when listing keys", () => {
+    const adapter = new FileStorageAdapter({ directory });
+    fs.writeFileSync(path.join(directory, "key.123.abc.tmp"), "partial");
+    fs.writeFileSync(path.join(directory, "key.lock"), "123");
+    fs.writeFileSync(path.join(directory, "key"), "value");
+
+    expect(adapter.keys()).toEqual(["key"]);
+  });
+
+  it("should wait for a held lock and time out", () => {
+    const adapter = new FileStorageAdapter({ directory, lockTimeoutMs: 50 });
+    fs.writeFileSync(path.join(directory, "key.lock"), "99999");
+
+    expect(() => adapter.set("key", "value")).toThrow(
+      /Timed out after 50ms waiting for cache lock .* \(held by process 99999\)/
+    );
+    expect(adapter.get("key")).toBeNull();
+  });
+
+  it("should wait for a held lock no longer than a quarter second by default", () => {
+    const adapter = new FileStorageAdapter({ directory });
+    fs.writeFileSync(path.join(directory, "key.lock"), "99999");
+
+    const startedAt = Date.now();
+    expect(() => adapter.set("key", "value")).toThrow(/Timed out after 250ms/);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  it("should break a stale lock left by a crashed process", () => {
+    const adapter = new FileStorageAdapter({ directory, staleLockMs: 1000 });
+    const lockPath = path.join(directory, "key.lock");
+    fs.writeFileSync(lockPath, "99999");
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, past, past);
+
+    adapter.set("key", "value");
+
+    expect(adapter.get("key")).toBe("value");
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  it("should not remove a fresh lock taken after the stale one was broken", () => {
+    const adapter = new FileStorageAdapter({ directory, staleLockMs: 1000 });
+    const lockPath = path.join(directory, "key.lock");
+    fs.writeFileSync(lockPath, "99999");
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, past, past);
+    const stale = fs.statSync(lockPath);
+
+    // Another process breaks the stale lock and takes a fresh one before this
+    // process gets to claim the lock it found stale
+    fs.rmSync(lockPath);
+    fs.writeFileSync(lockPath, "12345");
+    adapter.claimStaleLock(lockPath, stale);
+
+    expect(fs.readFileSync(lockPath, "utf8")).toBe("12345");
+    expect(fs.readdirSync(directory)).toEqual(["key.lock"]);
+  });
+
+  it("should hold the lock while updating a value", () => {
+    const adapter = new FileStorageAdapter({ directory });
+    const lockPath = path.join(directory, "key.lock");
+    adapter.set("key", "1");
+
+    adapter.update("key", (value) => {
+      expect(fs.existsSync(lockPath)).toBe(true);
+      return String(Number(value) + 1);
+    });
+    expect(adapter.get("key")).toBe("2");
+
+    adapter.update("key", () => null);
+    expect(adapter.get("key")).toBeNull();
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  it("should not update a value while another process holds its lock", () => {
+    const adapter = new FileStorageAdapter({ directory, lockTimeoutMs: 20 });
+    adapter.set("key", "1");
+    fs.writeFileSync(path.join(directory, "key.lock"), "99999");
+
+    expect(() => adapter.update("key", () => "2")).toThrow(/Timed out/);
+    expect(adapter.get("key")).toBe("1");
+  });
+
+  it("should change the outbox and public keys under the lock", () => {
+    const storage = new FileStorageAdapter({ directory });
+    const update = vi.spyOn(storage, "update");
+    const first = new LicenseCache("licenseseat_", { storage });
+    const second = new LicenseCache("licenseseat_", {
+      storage: new FileStorageAdapter({ directory }),
+    });
+    const entry = (id) => /** @type {any} */ ({ id, coalesceKey: id, type: "heartbeat" });
+
+    first.enqueueOutbox(entry("a"));
+    second.enqueueOutbox(entry("b"));
+    first.removeOutboxEntry("a");
+    second.enqueueOutbox(entry("c"));
+
+    first.setPublicKey("kid", "pub");
+
+    expect(first.getOutbox().map((e) => e.id)).toEqual(["b", "c"]);
+    expect(update.mock.calls.map(([key]) => key)).toEqual([
+      "licenseseat_outbox",
+      "licenseseat_outbox",
+      "licenseseat_public_keys",
+    ]);
+  });
+
+  it("should share a data directory between cache instances", () => {
+    const first = new LicenseCache("licenseseat_", {
+      storage: new FileStorageAdapter({ directory }),
+    });
+    const second = new LicenseCache("licenseseat_", {
+      storage: new FileStorageAdapter({ directory }),
+    });
+
+    first.setLicense({
+      license_key: "KEY",
+      device_id: "dev",
+      activated_at: "2026-01-01T00:00:00Z",
+      last_validated: "2026-01-01T00:00:00Z",
+    });
+    first.setOfflineToken(/** @type {any} */ ({ token: { license_key: "KEY" } }));
+    first.setPublicKey("kid", "pub");
+    first.setLastSeenTimestamp(42);
+
+    expect(second.getLicense().license_key).toBe("KEY");
+    expect(second.getOfflineToken().token.license_key).toBe("KEY");
+    expect(second.getPublicKey("kid")).toBe("pub");
+    expect(second.getLastSeenTimestamp()).toBe(42);
+
+    second.clear();
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+});
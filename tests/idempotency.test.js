@@ -0,0 +1,160 @@
+/**
+ * Idempotency Key Tests
+ *
+ * Tests for the Idempotency-Key header sent with activation and deactivation,
+ * reused across retries and queued replays. The MSW handlers answer requests
+ * with a known key from their idempotency store.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { mockData, mockIdempotency } from "./mocks/handlers.js";
+import { respond } from "./mocks/transport.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+const ACTIVATION = {
+  object: "activation",
+  id: 1,
+  license: { key: mockData.validLicenseKey, status: "active" },
+};
+const UNAVAILABLE = { error: { code: "unavailable", message: "Service unavailable" } };
+
+describe("Idempotency Keys", () => {
+  let sdk;
+
+  /** Retry quickly so replays under the same key happen within the test */
+  const RETRYING = { retryPolicy: { maxAttempts: 3, baseDelayMs: 1 } };
+
+  /**
+   * Idempotency-Key headers sent through a stub transport
+   * @param {import('vitest').Mock} transport - Stub transport
+   * @returns {string[]}
+   */
+  function sentKeys(transport) {
+    return transport.mock.calls.map(([, request]) => request.headers["Idempotency-Key"]);
+  }
+
+  afterEach(() => {
+    if (sdk) sdk.destroy();
+    sdk = null;
+  });
+
+  it("should reuse one key across the retries of an activation", async () => {
+    const transport = vi
+      .fn()
+      .mockResolvedValueOnce(respond(503, UNAVAILABLE))
+      .mockResolvedValueOnce(respond(201, ACTIVATION));
+    sdk = createTestSDK({ fetch: transport, ...RETRYING });
+
+    await sdk.activate(mockData.validLicenseKey);
+
+    const keys = sentKeys(transport);
+    expect(keys).toHaveLength(2);
+    expect(keys[0]).toMatch(/^[0-9a-f-]{36}$/);
+    expect(keys[1]).toBe(keys[0]);
+  });
+
+  it("should use a new key for each activation", async () => {
+    const transport = vi.fn(async () => respond(201, ACTIVATION));
+    sdk = createTestSDK({ fetch: transport, ...RETRYING });
+
+    await sdk.activate(mockData.validLicenseKey);
+    await sdk.activate(mockData.validLicenseKey);
+
+    const keys = sentKeys(transport);
+    expect(keys[1]).not.toBe(keys[0]);
+  });
+
+  it("should use the caller's key when given", async () => {
+    const transport = vi.fn(async () => respond(201, ACTIVATION));
+    sdk = createTestSDK({ fetch: transport, ...RETRYING });
+
+    await sdk.activate(mockData.validLicenseKey, { idempotencyKey: "activation-42" });
+
+    expect(sentKeys(transport)).toEqual(["activation-42"]);
+  });
+
+  it("should not send a key with validation requests", async () => {
+    const transport = vi.fn(async () => respond(200, { valid: true }));
+    sdk = createTestSDK({ fetch: transport, ...RETRYING });
+
+    await sdk.validateLicense(mockData.validLicenseKey);
+
+    expect(sentKeys(transport)).toEqual([undefined]);
+  });
+
+  it("should keep the key of a queued deactivation for its replay", async () => {
+    let online = false;
+    const transport = vi.fn(async () => {
+      if (!online) throw new TypeError("Failed to fetch");
+      return respond(200, { object: "deactivation" });
+    });
+    sdk = createTestSDK({
+      fetch: transport,
+      ...RETRYING,
+      circuitBreaker: false,
+      networkRecheckInterval: 60000,
+    });
+    sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+
+    await sdk.deactivate();
+    online = true;
+    await sdk.flushOutbox();
+
+    const keys = sentKeys(transport);
+    expect(keys.length).toBeGreaterThan(1);
+    expect(new Set(keys).size).toBe(1);
+    expect(sdk.cache.getOutbox()).toEqual([]);
+  });
+
+  describe("with the mock API", () => {
+    it("should consume one seat when the response to the first attempt is lost", async () => {
+      sdk = createTestSDK(RETRYING);
+      // The server processes the first attempt, but its response never arrives
+      sdk.useInterceptor({
+        onResponse: (response, request) =>
+          request.attempt === 1
+            ? {
+                ...response,
+                ok: false,
+                status: 504,
+                data: { error: { code: "timeout", message: "Gateway Timeout" } },
+              }
+            : response,
+      });
+
+      const license = await sdk.activate(mockData.validLicenseKey, { deviceId: mockData.deviceId });
+
+      expect(license.license_key).toBe(mockData.validLicenseKey);
+      expect(mockIdempotency.seatsConsumed).toBe(1);
+      expect(mockIdempotency.replays).toBe(1);
+    });
+
+    it("should replay the stored response with Idempotent-Replayed", async () => {
+      sdk = createTestSDK(RETRYING);
+      const replayed = [];
+      sdk.useInterceptor({
+        onResponse: (response, request) => {
+          if (request.endpoint.endsWith("/activate")) {
+            replayed.push(response.headers.get("Idempotent-Replayed"));
+          }
+        },
+      });
+
+      await sdk.activate(mockData.validLicenseKey, { idempotencyKey: "same-key" });
+      await sdk.activate(mockData.validLicenseKey, { idempotencyKey: "same-key" });
+
+      expect(replayed).toEqual([null, "true"]);
+      expect(mockIdempotency.seatsConsumed).toBe(1);
+    });
+
+    it("should process activations with different keys separately", async () => {
+      sdk = createTestSDK(RETRYING);
+
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.activate(mockData.validLicenseKey);
+
+      expect(mockIdempotency.seatsConsumed).toBe(2);
+      expect(mockIdempotency.replays).toBe(0);
+    });
+  });
+});
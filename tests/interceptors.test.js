@@ -0,0 +1,143 @@
+/**
+ * Interceptor Tests
+ *
+ * Tests for the onRequest / onResponse / onError pipeline around API calls.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { APIError } from "../src/errors.js";
+import { mockData } from "./mocks/handlers.js";
+import { respond } from "./mocks/transport.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+const HEALTHY = { status: "healthy", api_version: "1.0.0" };
+const UNAVAILABLE = { error: { code: "unavailable", message: "Service unavailable" } };
+
+describe("Interceptors", () => {
+  let sdk;
+
+  afterEach(() => {
+    if (sdk) sdk.destroy();
+    sdk = null;
+  });
+
+  it("should let onRequest add headers, rewrite the URL and edit the body", async () => {
+    const transport = vi.fn(async () => respond(200, { valid: true, license: {} }));
+    sdk = createTestSDK({
+      fetch: transport,
+      telemetryEnabled: false,
+      interceptors: [
+        {
+          onRequest: (request) => {
+            request.headers["X-Tenant-Id"] = "tenant-42";
+          },
+        },
+      ],
+    });
+    sdk.useInterceptor({
+      onRequest: (request) => ({
+        ...request,
+        url: request.url.replace("https://licenseseat.com", "https://staging-gateway.internal"),
+        body: { ...request.body, channel: "beta" },
+      }),
+    });
+
+    await sdk.validateLicense(mockData.validLicenseKey, { deviceId: "dev" });
+
+    const [url, init] = transport.mock.calls[0];
+    expect(url).toBe(
+      `https://staging-gateway.internal/api/v1/products/${mockData.productSlug}/licenses/${mockData.validLicenseKey}/validate`
+    );
+    expect(init.headers["X-Tenant-Id"]).toBe("tenant-42");
+    expect(init.headers.Authorization).toBe(`Bearer ${mockData.apiKey}`);
+    expect(JSON.parse(init.body)).toEqual({ device_id: "dev", channel: "beta" });
+  });
+
+  it("should run interceptors in order on every attempt", async () => {
+    const transport = vi
+      .fn()
+      .mockResolvedValueOnce(respond(503, UNAVAILABLE))
+      .mockResolvedValueOnce(respond(200, HEALTHY));
+    const calls = [];
+    sdk = createTestSDK({
+      fetch: transport,
+      retryPolicy: { maxAttempts: 2, baseDelayMs: 1 },
+      interceptors: [{ onRequest: (request) => void calls.push(`config:${request.attempt}`) }],
+    });
+    sdk.useInterceptor({ onRequest: (request) => void calls.push(`added:${request.attempt}`) });
+
+    await sdk.testAuth();
+
+    expect(calls).toEqual(["config:1", "added:1", "config:2", "added:2"]);
+  });
+
+  it("should expose the raw response to onResponse and accept a replacement", async () => {
+    const transport = vi.fn(async () => respond(200, HEALTHY, { "X-Request-Id": "req-1" }));
+    const seen = [];
+    sdk = createTestSDK({ fetch: transport });
+    sdk.useInterceptor({
+      onResponse: (response, request) => {
+        seen.push([request.endpoint, response.status, response.raw.headers.get("X-Request-Id")]);
+        return { ...response, data: { ...response.data, status: "degraded" } };
+      },
+    });
+
+    const result = await sdk.testAuth();
+
+    expect(seen).toEqual([["/health", 200, "req-1"]]);
+    expect(result.healthy).toBe(false);
+  });
+
+  it("should let onResponse turn a success into an error", async () => {
+    sdk = createTestSDK({ fetch: vi.fn(async () => respond(200, HEALTHY)) });
+    sdk.useInterceptor({
+      onResponse: (response) => ({
+        ...response,
+        ok: false,
+        status: 403,
+        data: { error: { code: "blocked", message: "Blocked by gateway" } },
+      }),
+    });
+
+    const error = await sdk.testAuth().catch((e) => e);
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.status).toBe(403);
+  });
+
+  it("should recover from errors in onError before retries run", async () => {
+    const transport = vi.fn(async () => respond(503, UNAVAILABLE));
+    sdk = createTestSDK({ fetch: transport, retryPolicy: { maxAttempts: 3, baseDelayMs: 1 } });
+    const onError = vi.fn((error) => (error.status === 503 ? HEALTHY : undefined));
+    sdk.useInterceptor({ onError });
+
+    const result = await sdk.testAuth();
+
+    expect(result.healthy).toBe(true);
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith(expect.any(APIError), expect.objectContaining({ attempt: 1 }));
+  });
+
+  it("should continue with retries when onError returns nothing", async () => {
+    const transport = vi.fn(async () => respond(503, UNAVAILABLE));
+    sdk = createTestSDK({ fetch: transport, retryPolicy: { maxAttempts: 2, baseDelayMs: 1 } });
+    const onError = vi.fn();
+    sdk.useInterceptor({ onError });
+
+    await expect(sdk.testAuth()).rejects.toThrow("Service unavailable");
+
+    expect(onError).toHaveBeenCalledTimes(2);
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  it("should stop running an interceptor once removed", async () => {
+    sdk = createTestSDK({ fetch: vi.fn(async () => respond(200, HEALTHY)) });
+    const onRequest = vi.fn();
+    const remove = sdk.useInterceptor({ onRequest });
+
+    remove();
+    await sdk.testAuth();
+
+    expect(onRequest).not.toHaveBeenCalled();
+  });
+});
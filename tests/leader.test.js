@@ -0,0 +1,351 @@
+/**
+ * Leader Election Tests
+ *
+ * Tests for electing one tab to run the SDK's periodic network cycles.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { LeaderElector } from "../src/leader.js";
+import { LicenseSeatSDK } from "../src/LicenseSeat.js";
+import { mockData } from "./mocks/handlers.js";
+
+/**
+ * Minimal in-process stand-in for the Web Locks API (exclusive locks only)
+ */
+class FakeLockManager {
+  constructor() {
+    /** @type {Map<string, {held: boolean, queue: Array<Object>}>} */
+    this.locks = new Map();
+  }
+
+  request(name, options, callback) {
+    if (!this.locks.has(name)) this.locks.set(name, { held: false, queue: [] });
+    const lock = this.locks.get(name);
+
+    return new Promise((resolve, reject) => {
+      const entry = { callback, resolve, reject };
+      lock.queue.push(entry);
+      if (options.signal) {
+        options.signal.addEventListener("abort", () => {
+          const index = lock.queue.indexOf(entry);
+          if (index !== -1) {
+            lock.queue.splice(index, 1);
+            reject(new DOMException("Aborted", "AbortError"));
+          }
+        });
+      }
+      this.grant(name);
+    });
+  }
+
+  grant(name) {
+    const lock = this.locks.get(name);
+    if (lock.held || !lock.queue.length) return;
+    const entry = lock.queue.shift();
+    lock.held = true;
+    Promise.resolve()
+      .then(() => entry.callback({ name, mode: "exclusive" }))
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        lock.held = false;
+        this.grant(name);
+      });
+  }
+}
+
+/**
+ * Create a Storage-like object backed by a Map
+ * @returns {Storage}
+ */
+function createStorage() {
+  const data = new Map();
+  return /** @type {any} */ ({
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  });
+}
+
+describe("Leader Election", () => {
+  /** @type {LeaderElector[]} */
+  let electors = [];
+
+  /**
+   * Create an elector that is closed after the test
+   * @param {Object} options - Elector options (name defaults to "test_leader")
+   * @returns {LeaderElector}
+   */
+  function elect(options) {
+    const elector = new LeaderElector({ name: "test_leader", onChange: vi.fn(), ...options });
+    electors.push(elector);
+    return elector;
+  }
+
+  afterEach(() => {
+    electors.forEach((elector) => elector.close());
+    electors = [];
+  });
+
+  describe("with Web Locks", () => {
+    it("should elect the first tab and hand over when it closes", async () => {
+      const locks = /** @type {any} */ (new FakeLockManager());
+      const first = elect({ locks });
+      const second = elect({ locks });
+
+      await vi.waitFor(() => expect(first.isLeader).toBe(true));
+      expect(first.onChange).toHaveBeenCalledWith(true);
+      expect(second.isLeader).toBe(false);
+
+      first.close();
+
+      await vi.waitFor(() => expect(second.isLeader).toBe(true));
+      expect(first.isLeader).toBe(false);
+      expect(second.onChange).toHaveBeenCalledWith(true);
+    });
+
+    it("should withdraw a pending request on close", async () => {
+      const locks = /** @type {any} */ (new FakeLockManager());
+      const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+      const first = elect({ locks });
+      const second = elect({ locks });
+      await vi.waitFor(() => expect(first.isLeader).toBe(true));
+
+      second.close();
+      first.close();
+      const third = elect({ locks });
+
+      await vi.waitFor(() => expect(third.isLeader).toBe(true));
+      expect(second.onChange).not.toHaveBeenCalled();
+      expect(errorSpy).not.toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    it("should release the lock on pagehide and campaign again on pageshow", async () => {
+      const locks = /** @type {any} */ (new FakeLockManager());
+      const target = new EventTarget();
+      const first = elect({ locks, target });
+      await vi.waitFor(() => expect(first.isLeader).toBe(true));
+
+      target.dispatchEvent(new Event("pagehide"));
+      expect(first.isLeader).toBe(false);
+      const second = elect({ locks, target: null });
+      await vi.waitFor(() => expect(second.isLeader).toBe(true));
+
+      target.dispatchEvent(new Event("pageshow"));
+      second.close();
+
+      await vi.waitFor(() => expect(first.isLeader).toBe(true));
+    });
+  });
+
+  describe("with a localStorage lease", () => {
+    it("should elect the first tab immediately", () => {
+      const storage = createStorage();
+      const first = elect({ locks: null, storage, target: null });
+      const second = elect({ locks: null, storage, target: null });
+
+      expect(first.isLeader).toBe(true);
+      expect(second.isLeader).toBe(false);
+      expect(JSON.parse(storage.getItem("test_leader")).owner).toBe(first.id);
+    });
+
+    it("should release the lease on close so another tab takes over", () => {
+      const storage = createStorage();
+      const first = elect({ locks: null, storage, target: null });
+      const second = elect({ locks: null, storage, target: null });
+
+      first.close();
+      expect(storage.getItem("test_leader")).toBeNull();
+
+      second.renewLease();
+      expect(second.isLeader).toBe(true);
+      expect(second.onChange).toHaveBeenCalledWith(true);
+    });
+
+    it("should take over an expired lease from a crashed tab", () => {
+      const storage = createStorage();
+      storage.setItem("test_leader", JSON.stringify({ owner: "crashed", expiresAt: Date.now() - 1 }));
+
+      const elector = elect({ locks: null, storage, target: null });
+
+      expect(elector.isLeader).toBe(true);
+    });
+
+    it("should renew its lease before it expires", () => {
+      vi.useFakeTimers();
+      try {
+        const storage = createStorage();
+        const first = elect({ locks: null, storage, target: null, leaseMs: 300 });
+        const second = elect({ locks: null, storage, target: null, leaseMs: 300 });
+
+        vi.advanceTimersByTime(1000);
+
+        expect(first.isLeader).toBe(true);
+        expect(second.isLeader).toBe(false);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it("should step down on pagehide", () => {
+      const storage = createStorage();
+      const target = new EventTarget();
+      const elector = elect({ locks: null, storage, target });
+
+      target.dispatchEvent(new Event("pagehide"));
+
+      expect(elector.isLeader).toBe(false);
+      expect(storage.getItem("test_leader")).toBeNull();
+    });
+
+    it("should campaign again when restored from the back/forward cache", () => {
+      const storage = createStorage();
+      const target = new EventTarget();
+      const elector = elect({ locks: null, storage, target });
+
+      target.dispatchEvent(new Event("pagehide"));
+      expect(elector.onChange).toHaveBeenCalledWith(false);
+
+      const restored = new Event("pageshow");
+      Object.defineProperty(restored, "persisted", { value: true });
+      target.dispatchEvent(restored);
+
+      expect(elector.isLeader).toBe(true);
+      expect(elector.onChange).toHaveBeenLastCalledWith(true);
+      expect(JSON.parse(storage.getItem("test_leader")).owner).toBe(elector.id);
+    });
+
+    it("should not campaign again after close", () => {
+      const storage = createStorage();
+      const target = new EventTarget();
+      const elector = elect({ locks: null, storage, target });
+
+      elector.close();
+      target.dispatchEvent(new Event("pageshow"));
+
+      expect(elector.isLeader).toBe(false);
+      expect(storage.getItem("test_leader")).toBeNull();
+    });
+
+    it("should lead alone when there is no storage", () => {
+      const elector = elect({ locks: null, storage: null });
+      expect(elector.isLeader).toBe(true);
+    });
+  });
+
+  describe("SDK leaderElection", () => {
+    /** @type {LicenseSeatSDK[]} */
+    let tabs = [];
+
+    /**
+     * Create an SDK instance standing in for one browser tab
+     * @param {Object} [config] - Extra configuration
+     * @returns {LicenseSeatSDK}
+     */
+    function openTab(config = {}) {
+      const sdk = new LicenseSeatSDK({
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        autoInitialize: false,
+        leaderElection: true,
+        ...config,
+      });
+      tabs.push(sdk);
+      return sdk;
+    }
+
+    afterEach(() => {
+      tabs.forEach((sdk) => sdk.destroy());
+      tabs = [];
+    });
+
+    it("should always lead when disabled", () => {
+      const sdk = new LicenseSeatSDK({ autoInitialize: false });
+      expect(sdk.isLeader()).toBe(true);
+      sdk.destroy();
+    });
+
+    it("should run timers in the leader tab only", async () => {
+      const leader = openTab();
+      const follower = openTab();
+      expect(leader.isLeader()).toBe(true);
+      expect(follower.isLeader()).toBe(false);
+
+      await follower.activate(mockData.validLicenseKey);
+
+      expect(follower.validationTimer).toBeNull();
+      expect(follower.heartbeatTimer).toBeNull();
+      expect(follower.offlineRefreshTimer).toBeNull();
+      expect(follower.currentAutoLicenseKey).toBe(mockData.validLicenseKey);
+    });
+
+    it("should start timers in the leader when a follower activates", async () => {
+      const leader = openTab({ crossTabSync: true });
+      const follower = openTab({ crossTabSync: true });
+      const remoteActivation = new Promise((resolve) => leader.on("activation:success", resolve));
+
+      await follower.activate(mockData.validLicenseKey);
+      await remoteActivation;
+
+      expect(leader.validationTimer).not.toBeNull();
+      expect(leader.heartbeatTimer).not.toBeNull();
+      expect(follower.validationTimer).toBeNull();
+    });
+
+    it("should hand the timers over when the leader tab closes", async () => {
+      const leader = openTab();
+      const follower = openTab();
+      await leader.activate(mockData.validLicenseKey);
+      expect(leader.validationTimer).not.toBeNull();
+      const changed = vi.fn();
+      follower.on("leader:changed", changed);
+
+      // Keep the shared cache: destroy() would clear it, as a closing tab does not
+      leader.leader.close();
+      follower.leader.renewLease();
+
+      expect(follower.isLeader()).toBe(true);
+      expect(changed).toHaveBeenCalledWith({ leader: true });
+      expect(follower.validationTimer).not.toBeNull();
+      expect(follower.heartbeatTimer).not.toBeNull();
+      expect(follower.offlineRefreshTimer).not.toBeNull();
+    });
+
+    it("should elect one leader when the cache is encrypted", async () => {
+      const first = openTab({ encryptionSecret: "app-secret" });
+      const second = openTab({ encryptionSecret: "app-secret" });
+      await Promise.all([first.ready(), second.ready()]);
+      await first.activate(mockData.validLicenseKey);
+      await first.cache.flush();
+
+      const lease = JSON.parse(localStorage.getItem("licenseseat:leader:licenseseat_"));
+      expect(lease.owner).toBe(first.leader.id);
+      second.leader.renewLease();
+      expect(first.isLeader()).toBe(true);
+      expect(second.isLeader()).toBe(false);
+
+      second.reset();
+      await second.cache.flush();
+      expect(localStorage.getItem("licenseseat:leader:licenseseat_")).not.toBeNull();
+    });
+
+    it("should stop timers when leadership is lost", async () => {
+      const sdk = openTab();
+      await sdk.activate(mockData.validLicenseKey);
+      const changed = vi.fn();
+      sdk.on("leader:changed", changed);
+
+      localStorage.setItem(
+        "licenseseat:leader:licenseseat_",
+        JSON.stringify({ owner: "other-tab", expiresAt: Date.now() + 60000 })
+      );
+      sdk.leader.renewLease();
+
+      expect(sdk.isLeader()).toBe(false);
+      expect(changed).toHaveBeenCalledWith({ leader: false });
+      expect(sdk.validationTimer).toBeNull();
+      expect(sdk.heartbeatTimer).toBeNull();
+      expect(sdk.offlineRefreshTimer).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Multiple License Tests
+ *
+ * Tests for caching, validating and deactivating several license keys at once.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { http, HttpResponse } from "msw";
+import { LicenseCache } from "../src/cache.js";
+import { MemoryStorageAdapter } from "../src/storage.js";
+import { LicenseSeatSDK } from "../src/LicenseSeat.js";
+import { server } from "./mocks/server.js";
+import { mockData } from "./mocks/handlers.js";
+
+const API_BASE = "https://licenseseat.com/api/v1";
+const PLUGIN_KEY = "LS-TEST-PLUGIN-KEY";
+
+/**
+ * Serve a validation result granting only the given entitlement for a key
+ * @param {string} licenseKey - License key
+ * @param {string} entitlementKey - Entitlement granted by the license
+ * @returns {void}
+ */
+function useValidationFor(licenseKey, entitlementKey) {
+  server.use(
+    http.post(`${API_BASE}/products/:slug/licenses/${licenseKey}/validate`, () =>
+      HttpResponse.json({
+        object: "validation_result",
+        valid: true,
+        license: {
+          key: licenseKey,
+          status: "active",
+          active_entitlements: [{ key: entitlementKey, expires_at: null, metadata: null }],
+        },
+        activation: null,
+      })
+    )
+  );
+}
+
+describe("Multiple Licenses", () => {
+  describe("LicenseCache", () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = new LicenseCache("multi_", { storage: new MemoryStorageAdapter() });
+    });
+
+    it("should keep the first license as the primary record", () => {
+      cache.setLicense({ license_key: "BASE", device_id: "dev", activated_at: "2026-01-01T00:00:00Z" });
+      cache.setLicense({ license_key: "PLUGIN", device_id: "dev", activated_at: "2026-01-02T00:00:00Z" });
+
+      expect(cache.getLicense().license_key).toBe("BASE");
+      expect(cache.getLicense("PLUGIN").license_key).toBe("PLUGIN");
+      expect(cache.getLicenses().map((l) => l.license_key)).toEqual(["BASE", "PLUGIN"]);
+      expect(cache.storage.get("multi_license:PLUGIN")).toContain("PLUGIN");
+    });
+
+    it("should return null for unknown license keys", () => {
+      cache.setLicense({ license_key: "BASE", device_id: "dev" });
+
+      expect(cache.getLicense("OTHER")).toBeNull();
+      expect(cache.getOfflineToken("OTHER")).toBeNull();
+    });
+
+    it("should keep validation and offline tokens per license", () => {
+      cache.setLicense({ license_key: "BASE", device_id: "dev" });
+      cache.setLicense({ license_key: "PLUGIN", device_id: "dev" });
+
+      cache.updateValidation({ valid: true }, "PLUGIN");
+      cache.setOfflineToken(/** @type {any} */ ({ token: { license_key: "BASE" } }), "BASE");
+      cache.setOfflineToken(/** @type {any} */ ({ token: { license_key: "PLUGIN" } }), "PLUGIN");
+
+      expect(cache.getLicense().validation).toBeUndefined();
+      expect(cache.getLicense("PLUGIN").validation).toEqual({ valid: true });
+      expect(cache.checkValidationSeal(cache.getLicense("PLUGIN"))).toBe("ok");
+      expect(cache.getOfflineToken().token.license_key).toBe("BASE");
+      expect(cache.getOfflineToken("PLUGIN").token.license_key).toBe("PLUGIN");
+    });
+
+    it("should clear an additional license without touching the primary", () => {
+      cache.setLicense({ license_key: "BASE", device_id: "dev" });
+      cache.setLicense({ license_key: "PLUGIN", device_id: "dev" });
+
+      cache.clearOfflineToken("PLUGIN");
+      cache.clearLicense("PLUGIN");
+
+      expect(cache.getLicenses().map((l) => l.license_key)).toEqual(["BASE"]);
+    });
+
+    it("should promote the next license when the primary is cleared", () => {
+      cache.setLicense({ license_key: "BASE", device_id: "dev", activated_at: "2026-01-01T00:00:00Z" });
+      cache.setLicense({ license_key: "PLUGIN", device_id: "dev", activated_at: "2026-01-02T00:00:00Z" });
+      cache.setOfflineToken(/** @type {any} */ ({ token: { license_key: "BASE" } }), "BASE");
+      cache.setOfflineToken(/** @type {any} */ ({ token: { license_key: "PLUGIN" } }), "PLUGIN");
+
+      cache.clearLicense("BASE");
+
+      expect(cache.getLicense().license_key).toBe("PLUGIN");
+      expect(cache.getOfflineToken().token.license_key).toBe("PLUGIN");
+      expect(cache.storage.keys().filter((k) => k.includes(":"))).toEqual([]);
+    });
+  });
+
+  describe("SDK", () => {
+    let sdk;
+
+    beforeEach(() => {
+      sdk = new LicenseSeatSDK({
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+    });
+
+    afterEach(() => {
+      sdk.destroy();
+    });
+
+    it("should keep earlier licenses when activating another key", async () => {
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.activate(PLUGIN_KEY);
+
+      expect(sdk.cache.getLicenses().map((l) => l.license_key)).toEqual([
+        mockData.validLicenseKey,
+        PLUGIN_KEY,
+      ]);
+      expect(sdk.getStatus().licenses).toEqual([mockData.validLicenseKey, PLUGIN_KEY]);
+    });
+
+    it("should merge entitlements across licenses with their source", async () => {
+      useValidationFor(mockData.validLicenseKey, "pro");
+      useValidationFor(PLUGIN_KEY, "plugin-export");
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.activate(PLUGIN_KEY);
+      // Let the background offline sync finish before validating
+      await vi.waitFor(() => expect(sdk.syncingOfflineAssets).toBe(false));
+
+      await sdk.validateLicense(mockData.validLicenseKey);
+      await sdk.validateLicense(PLUGIN_KEY);
+
+      expect(sdk.hasEntitlement("pro")).toBe(true);
+      expect(sdk.hasEntitlement("plugin-export")).toBe(true);
+      expect(sdk.checkEntitlement("plugin-export").entitlement.source).toBe(PLUGIN_KEY);
+      expect(sdk.getEntitlements()).toEqual([
+        { key: "pro", expires_at: null, metadata: null, source: mockData.validLicenseKey },
+        { key: "plugin-export", expires_at: null, metadata: null, source: PLUGIN_KEY },
+      ]);
+      expect(sdk.getStatus().entitlements).toHaveLength(2);
+      expect(sdk.getStatus(PLUGIN_KEY).entitlements).toEqual([
+        { key: "plugin-export", expires_at: null, metadata: null, source: PLUGIN_KEY },
+      ]);
+    });
+
+    it("should prefer an active grant over an expired one for the same entitlement", () => {
+      const past = new Date(Date.now() - 1000).toISOString();
+      sdk.cache.setLicense({ license_key: "BASE", device_id: "dev" });
+      sdk.cache.setLicense({ license_key: "PLUGIN", device_id: "dev" });
+      sdk.cache.updateValidation(
+        { valid: true, active_entitlements: [{ key: "export", expires_at: past, metadata: null }] },
+        "BASE"
+      );
+      sdk.cache.updateValidation(
+        { valid: true, active_entitlements: [{ key: "export", expires_at: null, metadata: null }] },
+        "PLUGIN"
+      );
+
+      const result = sdk.checkEntitlement("export");
+
+      expect(result.active).toBe(true);
+      expect(result.entitlement.source).toBe("PLUGIN");
+
+      sdk.cache.clearLicense("PLUGIN");
+      expect(sdk.checkEntitlement("export")).toEqual({
+        active: false,
+        reason: "expired",
+        expires_at: past,
+      });
+    });
+
+    it("should validate each license separately", async () => {
+      await sdk.activate(mockData.validLicenseKey);
+      sdk.cache.setLicense({ license_key: mockData.expiredLicenseKey, device_id: "dev" });
+
+      await expect(sdk.validateLicense(mockData.expiredLicenseKey)).rejects.toThrow();
+
+      expect(sdk.cache.getLicense(mockData.expiredLicenseKey).validation.code).toBe("license_expired");
+      expect(sdk.cache.getLicense().validation.code).not.toBe("license_expired");
+      // The other license still needs auto-validation
+      expect(sdk.validationTimer).not.toBeNull();
+    });
+
+    it("should deactivate a single license and keep the others", async () => {
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.activate(PLUGIN_KEY);
+      const requests = [];
+      server.events.on("request:start", ({ request }) => requests.push(request.url));
+
+      await sdk.deactivate(PLUGIN_KEY);
+      server.events.removeAllListeners();
+
+      expect(requests.some((url) => url.includes(`/licenses/${PLUGIN_KEY}/deactivate`))).toBe(true);
+      expect(sdk.cache.getLicenses().map((l) => l.license_key)).toEqual([mockData.validLicenseKey]);
+      expect(sdk.validationTimer).not.toBeNull();
+
+      await sdk.deactivate();
+      expect(sdk.cache.getLicenses()).toEqual([]);
+      expect(sdk.validationTimer).toBeNull();
+    });
+
+    it("should fetch and store an offline token per license", async () => {
+      await sdk.activate(mockData.validLicenseKey);
+      // Activated while the first license's offline sync is still running
+      await sdk.activate(PLUGIN_KEY);
+
+      await vi.waitFor(() => expect(sdk.syncingOfflineAssets).toBe(false));
+
+      expect(sdk.cache.getOfflineToken().token.license_key).toBe(mockData.validLicenseKey);
+      expect(sdk.cache.getOfflineToken(PLUGIN_KEY).token.license_key).toBe(PLUGIN_KEY);
+    });
+
+    it("should send heartbeats for the requested license", async () => {
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.activate(PLUGIN_KEY);
+      const requests = [];
+      server.events.on("request:start", ({ request }) => requests.push(request.url));
+
+      await sdk.heartbeat(PLUGIN_KEY);
+      server.events.removeAllListeners();
+
+      const heartbeats = requests.filter((url) => url.endsWith("/heartbeat"));
+      expect(heartbeats).toHaveLength(1);
+      expect(heartbeats[0]).toContain(`/licenses/${PLUGIN_KEY}/heartbeat`);
+    });
+
+    it("should emit license:loaded for every cached license on initialize", async () => {
+      sdk.cache.setLicense({ license_key: "BASE", device_id: "dev" });
+      sdk.cache.setLicense({ license_key: "PLUGIN", device_id: "dev" });
+      const offline = new LicenseSeatSDK({
+        productSlug: mockData.productSlug,
+        autoInitialize: false,
+      });
+      const loaded = [];
+      offline.on("license:loaded", (license) => loaded.push(license.license_key));
+
+      await offline.initialize();
+
+      expect(loaded).toEqual(["BASE", "PLUGIN"]);
+      offline.destroy();
+    });
+  });
+});
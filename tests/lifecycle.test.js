@@ -0,0 +1,186 @@
+/**
+ * License Lifecycle Tests
+ *
+ * Tests for the license state machine, its guarded transitions and the
+ * state:changed events the SDK emits.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { LicenseLifecycle, deriveLicenseState } from "../src/lifecycle.js";
+import { LicenseSeatSDK } from "../src/LicenseSeat.js";
+import { mockData } from "./mocks/handlers.js";
+import { respond } from "./mocks/transport.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+/**
+ * Stub transport answering activation, validation and deactivation
+ * @param {Object} [validation] - Body of validation responses
+ * @param {number} [validationStatus=200] - Status of validation responses
+ * @returns {import('vitest').Mock}
+ */
+function createTransport(validation = { object: "validation_result", valid: true, license: {} }, validationStatus = 200) {
+  return vi.fn(async (url) => {
+    if (url.endsWith("/activate")) return respond(201, { object: "activation", id: "act-1" });
+    if (url.endsWith("/validate")) return respond(validationStatus, validation);
+    if (url.endsWith("/deactivate")) return respond(200, { object: "deactivation" });
+    return respond(404, { error: { code: "not_found", message: "Not found" } });
+  });
+}
+
+describe("License Lifecycle", () => {
+  describe("deriveLicenseState", () => {
+    it("should derive the state of a cached license", () => {
+      expect(deriveLicenseState(null)).toBe("inactive");
+      expect(deriveLicenseState(null, { ready: false })).toBe("pending");
+      expect(deriveLicenseState({ license_key: "K" })).toBe("pending");
+      expect(deriveLicenseState({ license_key: "K", validation: { valid: true } })).toBe("active");
+      expect(deriveLicenseState({ license_key: "K", validation: { valid: true } }, { online: false })).toBe("grace");
+      expect(deriveLicenseState({ license_key: "K", validation: { valid: true, offline: true } })).toBe("offline-valid");
+      expect(deriveLicenseState({ license_key: "K", validation: { valid: false, code: "expired" } })).toBe("invalid");
+      expect(deriveLicenseState({ license_key: "K", validation: { valid: false, code: "license_revoked" } })).toBe(
+        "revoked"
+      );
+    });
+  });
+
+  describe("LicenseLifecycle", () => {
+    it("should notify transitions with the previous state and reason", () => {
+      const onStateChange = vi.fn();
+      const lifecycle = new LicenseLifecycle({ onStateChange });
+
+      expect(lifecycle.transition("activating", "activation:start")).toBe(true);
+      expect(lifecycle.transition("activating", "activation:start")).toBe(true);
+
+      expect(lifecycle.state).toBe("activating");
+      expect(onStateChange).toHaveBeenCalledOnce();
+      expect(onStateChange).toHaveBeenCalledWith("activating", "inactive", "activation:start");
+    });
+
+    it("should reject transitions the state machine does not allow", () => {
+      const onStateChange = vi.fn();
+      const lifecycle = new LicenseLifecycle({ state: "revoked", onStateChange });
+
+      expect(lifecycle.transition("offline-valid", "validation:offline-success")).toBe(false);
+      expect(lifecycle.transition("grace", "network:offline")).toBe(false);
+      expect(new LicenseLifecycle().can("deactivating")).toBe(false);
+      expect(new LicenseLifecycle({ state: "invalid" }).can("grace")).toBe(false);
+      expect(new LicenseLifecycle({ state: "deactivating" }).can("activating")).toBe(false);
+
+      expect(lifecycle.state).toBe("revoked");
+      expect(onStateChange).not.toHaveBeenCalled();
+    });
+
+    it("should report activation and deactivation as transient", () => {
+      expect(new LicenseLifecycle({ state: "activating" }).isTransient()).toBe(true);
+      expect(new LicenseLifecycle({ state: "deactivating" }).isTransient()).toBe(true);
+      expect(new LicenseLifecycle({ state: "active" }).isTransient()).toBe(false);
+    });
+  });
+
+  describe("SDK", () => {
+    let sdk;
+
+    /**
+     * Create an SDK instance recording its state changes
+     * @param {import('vitest').Mock} transport - Stub transport
+     * @param {Object} [config={}] - Extra configuration
+     * @returns {{sdk: LicenseSeatSDK, changes: import('../src/types.js').StateChangedEvent[]}}
+     */
+    function createSDK(transport, config = {}) {
+      sdk = createTestSDK({ fetch: transport, circuitBreaker: false, ...config });
+      vi.spyOn(sdk, "syncOfflineAssets").mockResolvedValue(undefined);
+      const changes = [];
+      sdk.on("state:changed", (change) => changes.push(change));
+      return { sdk, changes };
+    }
+
+    afterEach(() => {
+      if (sdk) sdk.destroy();
+      sdk = null;
+    });
+
+    it("should move through activation, validation and deactivation", async () => {
+      const { changes } = createSDK(createTransport());
+
+      expect(sdk.getStatus().state).toBe("inactive");
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.validateLicense(mockData.validLicenseKey);
+      await sdk.deactivate();
+
+      expect(changes).toEqual([
+        { previous: "inactive", next: "activating", reason: "activation:start" },
+        { previous: "activating", next: "active", reason: "activation:success" },
+        { previous: "active", next: "deactivating", reason: "deactivation:start" },
+        { previous: "deactivating", next: "inactive", reason: "deactivation:success" },
+      ]);
+      expect(sdk.getStatus()).toMatchObject({ status: "inactive", state: "inactive" });
+    });
+
+    it("should report the activation in flight and settle back when it fails", async () => {
+      const transport = vi.fn(async () => respond(404, { error: { code: "license_not_found", message: "Nope" } }));
+      const { changes } = createSDK(transport);
+      const states = [];
+      sdk.on("activation:start", () => states.push(sdk.getStatus()));
+
+      await sdk.activate(mockData.invalidLicenseKey).catch(() => {});
+
+      expect(states[0]).toMatchObject({ status: "pending", state: "activating" });
+      expect(changes.map((c) => c.next)).toEqual(["activating", "inactive"]);
+      expect(changes[1].reason).toBe("activation:error");
+    });
+
+    it("should not change state when activating an additional license", async () => {
+      const { changes } = createSDK(createTransport());
+      await sdk.activate(mockData.validLicenseKey);
+      changes.length = 0;
+
+      await sdk.activate("LS-PLUGIN-KEY");
+
+      expect(changes).toEqual([]);
+      expect(sdk.getStatus("LS-PLUGIN-KEY").state).toBe("active");
+    });
+
+    it("should enter grace while offline and become active again", async () => {
+      const { changes } = createSDK(createTransport());
+      await sdk.activate(mockData.validLicenseKey);
+      changes.length = 0;
+
+      sdk.markOffline(null, "platform");
+      expect(sdk.getStatus()).toMatchObject({ status: "active", state: "grace" });
+      sdk.markOnline("request");
+
+      expect(changes).toEqual([
+        { previous: "active", next: "grace", reason: "network:offline" },
+        { previous: "grace", next: "active", reason: "network:online" },
+      ]);
+    });
+
+    it("should keep a revoked license revoked when its offline token still verifies", async () => {
+      const transport = createTransport(
+        { error: { code: "license_revoked", message: "License revoked" } },
+        422
+      );
+      const { changes } = createSDK(transport);
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+      sdk.cache.updateValidation({ valid: true });
+      sdk.getStatus();
+
+      await sdk.validateLicense(mockData.validLicenseKey).catch(() => {});
+      sdk.cache.updateValidation({ valid: true, offline: true });
+
+      expect(changes.map((c) => c.next)).toEqual(["active", "revoked"]);
+      expect(changes[1].reason).toBe("validation:failed");
+      expect(sdk.getStatus()).toMatchObject({ status: "invalid", state: "revoked", code: "license_revoked" });
+    });
+
+    it("should pick up licenses cached outside the SDK", () => {
+      const { changes } = createSDK(createTransport());
+
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+      sdk.cache.updateValidation({ valid: false, offline: true, code: "clock_tamper" });
+
+      expect(sdk.getStatus()).toMatchObject({ status: "offline-invalid", state: "invalid", code: "clock_tamper" });
+      expect(changes).toEqual([{ previous: "inactive", next: "invalid", reason: "cache" }]);
+    });
+  });
+});
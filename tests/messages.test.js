@@ -0,0 +1,151 @@
+/**
+ * Message Catalog Tests
+ *
+ * Tests for user-facing messages of status and error codes, locale
+ * fallback, and sdk.describe().
+ */
+
+import { describe, it, expect, afterEach } from "vitest";
+import { MessageCatalog, DEFAULT_MESSAGES, resolveMessageCode } from "../src/messages.js";
+import { LicenseSeatSDK } from "../src/LicenseSeat.js";
+import { APIError, ConfigurationError, LicenseError, createAPIError } from "../src/errors.js";
+import { mockData } from "./mocks/handlers.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+/** Codes the SDK itself reports (offline verification, status, entitlements) */
+const SDK_CODES = [
+  "cache_loading",
+  "no_license",
+  "no_offline_token",
+  "no_public_key",
+  "signature_invalid",
+  "license_mismatch",
+  "expired",
+  "grace_period_expired",
+  "clock_tamper",
+  "verification_error",
+  "invalid_response",
+  "entitlement_not_found",
+  "entitlement_expired",
+  "status_active",
+  "status_offline-valid",
+  "status_pending",
+  "status_inactive",
+  "status_invalid",
+  "status_offline-invalid",
+];
+
+describe("Messages", () => {
+  describe("MessageCatalog", () => {
+    it("should have an English message for every code the SDK emits", () => {
+      const missing = SDK_CODES.filter((code) => !DEFAULT_MESSAGES[code]);
+
+      expect(missing).toEqual([]);
+    });
+
+    it("should fall back from region to language to English", () => {
+      const catalog = new MessageCatalog({
+        messages: {
+          de: { expired: "Ihre Lizenz ist abgelaufen." },
+          "de-AT": { clock_tamper: "Die Systemuhr geht falsch." },
+        },
+      });
+
+      expect(catalog.describe("clock_tamper", "de-AT")).toBe("Die Systemuhr geht falsch.");
+      expect(catalog.describe("expired", "de_AT")).toBe("Ihre Lizenz ist abgelaufen.");
+      expect(catalog.describe("license_revoked", "de-AT")).toBe(DEFAULT_MESSAGES.license_revoked);
+    });
+
+    it("should merge registered messages into a locale", () => {
+      const catalog = new MessageCatalog({ locale: "fr" });
+      catalog.register("fr", { expired: "Votre licence a expiré." });
+      catalog.register("en", { expired: "Your subscription ended." });
+
+      expect(catalog.describe("expired")).toBe("Votre licence a expiré.");
+      expect(catalog.describe("expired", "en")).toBe("Your subscription ended.");
+      expect(catalog.describe("seat_limit_reached", "en")).toBe(DEFAULT_MESSAGES.seat_limit_reached);
+    });
+
+    it("should describe errors by code, falling back to their message", () => {
+      const catalog = new MessageCatalog();
+
+      expect(catalog.describe(createAPIError("Seats", 422, { error: { code: "seat_limit_reached", message: "x" } }))).toBe(
+        DEFAULT_MESSAGES.seat_limit_reached
+      );
+      expect(catalog.describe(new APIError("Network request failed", 0))).toBe(DEFAULT_MESSAGES.network_error);
+      expect(catalog.describe(new LicenseError("No active license found", "no_license"))).toBe(
+        DEFAULT_MESSAGES.no_license
+      );
+      expect(catalog.describe(new APIError("Device blocked", 422, { error: { code: "device_blocked", message: "Device blocked" } }))).toBe(
+        "Device blocked"
+      );
+      expect(catalog.describe("something_new")).toBe(DEFAULT_MESSAGES.unknown_error);
+    });
+
+    it("should resolve codes of results and statuses", () => {
+      expect(resolveMessageCode({ active: false, reason: "expired" })).toBe("entitlement_expired");
+      expect(resolveMessageCode({ valid: false, offline: true, code: "clock_tamper" })).toBe("clock_tamper");
+      expect(resolveMessageCode({ status: "active" })).toBe("status_active");
+      expect(resolveMessageCode(new ConfigurationError("Missing productSlug"))).toBe("configuration_error");
+      expect(resolveMessageCode(new DOMException("Aborted", "AbortError"))).toBe("aborted");
+      expect(resolveMessageCode(null)).toBeNull();
+    });
+  });
+
+  describe("SDK", () => {
+    let sdk;
+
+    /**
+     * Create an SDK instance with a cached license
+     * @param {Object} [config={}] - Extra configuration
+     * @returns {LicenseSeatSDK}
+     */
+    function createSDK(config = {}) {
+      sdk = createTestSDK(config);
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+      return sdk;
+    }
+
+    afterEach(() => {
+      if (sdk) sdk.destroy();
+      sdk = null;
+    });
+
+    it("should report user-facing messages with the raw code in getStatus()", () => {
+      createSDK();
+      sdk.cache.updateValidation({ valid: false, offline: true, code: "grace_period_expired" });
+
+      expect(sdk.getStatus()).toMatchObject({
+        status: "offline-invalid",
+        code: "grace_period_expired",
+        message: DEFAULT_MESSAGES.grace_period_expired,
+      });
+    });
+
+    it("should keep the server's message for unknown validation codes", () => {
+      createSDK();
+      sdk.cache.updateValidation({ valid: false, code: "device_blocked", message: "Device blocked by admin" });
+
+      expect(sdk.getStatus().message).toBe("Device blocked by admin");
+    });
+
+    it("should use the configured locale and messages", () => {
+      createSDK({ locale: "de", messages: { de: { clock_tamper: "Die Systemuhr geht falsch." } } });
+      sdk.cache.updateValidation({ valid: false, offline: true, code: "clock_tamper" });
+
+      expect(sdk.getStatus().message).toBe("Die Systemuhr geht falsch.");
+      expect(sdk.describe("clock_tamper", "en")).toBe(DEFAULT_MESSAGES.clock_tamper);
+    });
+
+    it("should describe entitlement checks and errors", async () => {
+      createSDK({ maxRetries: 0 });
+      sdk.addMessages("en", { entitlement_not_found: "Upgrade to Pro to unlock this." });
+      sdk.cache.updateValidation({ valid: true });
+
+      const error = await sdk.activate(mockData.expiredLicenseKey).catch((e) => e);
+
+      expect(sdk.describe(sdk.checkEntitlement("missing"))).toBe("Upgrade to Pro to unlock this.");
+      expect(sdk.describe(error)).toBe(DEFAULT_MESSAGES.license_expired);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Cache Migration Tests
+ *
+ * Tests for the versioned cache schema and the migrations from earlier SDK versions.
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import {
+  CACHE_SCHEMA_VERSION,
+  migrations,
+  runMigrations,
+} from "../src/migrations.js";
+import { LicenseCache } from "../src/cache.js";
+import { MemoryStorageAdapter } from "../src/storage.js";
+import { CacheCipher } from "../src/encryption.js";
+
+/**
+ * Seed a storage adapter with a cache as written by SDK v0.2.x
+ * @param {MemoryStorageAdapter} storage - Adapter to seed
+ * @returns {MemoryStorageAdapter}
+ */
+function seedV02Cache(storage = new MemoryStorageAdapter()) {
+  storage.set(
+    "licenseseat_license",
+    JSON.stringify({
+      license_key: "LEGACY-KEY",
+      device_identifier: "web-legacy",
+      activation: { id: "act-1" },
+      activated_at: "2025-01-01T00:00:00Z",
+      last_validated: "2025-01-02T00:00:00Z",
+      validation: { valid: false, reason_code: "expired" },
+    })
+  );
+  storage.set(
+    "licenseseat_offline_license",
+    JSON.stringify({ payload: { lic_k: "LEGACY-KEY" }, signature_b64u: "sig", kid: "kid-1" })
+  );
+  storage.set("licenseseat_public_keys", JSON.stringify({ "kid-1": "pub" }));
+  storage.set("licenseseat_last_seen_ts", "1735689600000");
+  return storage;
+}
+
+/**
+ * Create an in-memory migration store
+ * @param {Object<string, string>} [entries={}] - Initial entries
+ * @returns {import('../src/types.js').CacheMigrationStore & { data: Map<string, string> }}
+ */
+function createStore(entries = {}) {
+  const data = new Map(Object.entries(entries));
+  return {
+    data,
+    get: (name) => data.get(name) ?? null,
+    set: (name, value) => data.set(name, value),
+    remove: (name) => data.delete(name),
+    sealValidation: (license) => `seal:${license.license_key}`,
+  };
+}
+
+describe("Cache Migrations", () => {
+  describe("runMigrations", () => {
+    it("should record the current version on an empty cache", () => {
+      const store = createStore();
+
+      expect(runMigrations(store)).toBe(CACHE_SCHEMA_VERSION);
+      expect(store.get("schema_version")).toBe(String(CACHE_SCHEMA_VERSION));
+    });
+
+    it("should skip migrations at or below the stored version", () => {
+      const store = createStore({ schema_version: "2" });
+      const migrate = vi.fn();
+
+      runMigrations(store, [{ version: 2, description: "", migrate }]);
+
+      expect(migrate).not.toHaveBeenCalled();
+    });
+
+    it("should apply newer migrations in order", () => {
+      const store = createStore({ schema_version: "1" });
+      const order = [];
+
+      const version = runMigrations(store, [
+        { version: 2, description: "", migrate: () => order.push(2) },
+        { version: 3, description: "", migrate: () => order.push(3) },
+      ]);
+
+      expect(order).toEqual([2, 3]);
+      expect(version).toBe(3);
+      expect(store.get("schema_version")).toBe("3");
+    });
+
+    it("should stop at a failing migration and keep the last good version", () => {
+      const store = createStore();
+      const later = vi.fn();
+      const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+      const version = runMigrations(store, [
+        { version: 2, description: "", migrate: () => {} },
+        {
+          version: 3,
+          description: "",
+          migrate: () => {
+            throw new Error("boom");
+          },
+        },
+        { version: 4, description: "", migrate: later },
+      ]);
+
+      expect(version).toBe(2);
+      expect(store.get("schema_version")).toBe("2");
+      expect(later).not.toHaveBeenCalled();
+      expect(errorSpy).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    it("should keep registered migrations in ascending order", () => {
+      const versions = migrations.map((m) => m.version);
+      expect(versions).toEqual([...versions].sort((a, b) => a - b));
+      expect(versions[versions.length - 1]).toBe(CACHE_SCHEMA_VERSION);
+    });
+  });
+
+  describe("v0.4.3 → current", () => {
+    it("should seal validations cached before sealing", () => {
+      const storage = new MemoryStorageAdapter();
+      storage.set("licenseseat_schema_version", "2");
+      storage.set(
+        "licenseseat_license",
+        JSON.stringify({ license_key: "KEY", device_id: "web-1", validation: { valid: true } })
+      );
+
+      const cache = new LicenseCache("licenseseat_", { storage });
+
+      expect(cache.getLicense().validation_seal).toEqual(expect.any(String));
+      expect(cache.checkValidationSeal(cache.getLicense())).toBe("ok");
+      expect(JSON.parse(storage.get("licenseseat_license")).validation_seal).toBe(
+        cache.getLicense().validation_seal
+      );
+    });
+
+    it("should leave sealed and unvalidated licenses alone", () => {
+      const store = createStore({
+        schema_version: "2",
+        license: JSON.stringify({ license_key: "KEY", validation: { valid: true }, validation_seal: "ab" }),
+      });
+      const before = store.get("license");
+
+      runMigrations(store);
+      expect(store.get("license")).toBe(before);
+
+      store.set("license", JSON.stringify({ license_key: "KEY" }));
+      store.set("schema_version", "2");
+      runMigrations(store);
+      expect(JSON.parse(store.get("license"))).toEqual({ license_key: "KEY" });
+    });
+  });
+
+  describe("v0.2.x → current", () => {
+    it("should upgrade a v0.2.x cache when the cache is created", () => {
+      const storage = seedV02Cache();
+
+      const cache = new LicenseCache("licenseseat_", { storage });
+
+      const license = cache.getLicense();
+      expect(cache.schemaVersion).toBe(CACHE_SCHEMA_VERSION);
+      expect(license.device_id).toBe("web-legacy");
+      expect(license).not.toHaveProperty("device_identifier");
+      expect(license.validation).toEqual({ valid: false, code: "expired" });
+      expect(license.activation).toEqual({ id: "act-1" });
+      expect(storage.get("licenseseat_offline_license")).toBeNull();
+      expect(cache.getPublicKey("kid-1")).toBe("pub");
+      expect(cache.getLastSeenTimestamp()).toBe(1735689600000);
+      expect(storage.get("licenseseat_schema_version")).toBe(String(CACHE_SCHEMA_VERSION));
+    });
+
+    it("should be idempotent", () => {
+      const storage = seedV02Cache();
+      new LicenseCache("licenseseat_", { storage });
+      const once = storage.get("licenseseat_license");
+
+      // Simulate the version marker being lost (e.g. cleared) and rerun
+      storage.remove("licenseseat_schema_version");
+      new LicenseCache("licenseseat_", { storage });
+
+      expect(storage.get("licenseseat_license")).toBe(once);
+    });
+
+    it("should not overwrite fields already in the current shape", () => {
+      const storage = new MemoryStorageAdapter();
+      storage.set(
+        "licenseseat_license",
+        JSON.stringify({ license_key: "KEY", device_id: "new", device_identifier: "old" })
+      );
+
+      const cache = new LicenseCache("licenseseat_", { storage });
+
+      expect(cache.getLicense().device_id).toBe("new");
+      expect(cache.getLicense()).not.toHaveProperty("device_identifier");
+    });
+
+    it("should leave other prefixes untouched", () => {
+      const storage = seedV02Cache();
+
+      new LicenseCache("other_", { storage });
+
+      expect(JSON.parse(storage.get("licenseseat_license")).device_identifier).toBe("web-legacy");
+      expect(storage.get("other_schema_version")).toBe(String(CACHE_SCHEMA_VERSION));
+    });
+
+    it("should upgrade buffered caches once the snapshot has loaded", async () => {
+      const storage = seedV02Cache();
+      const cache = new LicenseCache("licenseseat_", {
+        storage,
+        cipher: new CacheCipher("secret", "device-1"),
+      });
+
+      expect(cache.schemaVersion).toBeNull();
+      await cache.ready();
+      await cache.flush();
+
+      expect(cache.schemaVersion).toBe(CACHE_SCHEMA_VERSION);
+      expect(cache.getLicense().device_id).toBe("web-legacy");
+      expect(storage.get("licenseseat_offline_license")).toBeNull();
+      expect(CacheCipher.isEncrypted(storage.get("licenseseat_license"))).toBe(true);
+    });
+  });
+});
@@ -143,6 +143,47 @@ const mockHeartbeatResponse = {
   license: mockLicenseObject,
 };
 
+/**
+ * Idempotency store of the mock API. Like the real API, activation and
+ * deactivation requests carrying an `Idempotency-Key` that was already
+ * processed get the stored response again (with `Idempotent-Replayed: true`)
+ * instead of being processed twice. Reset after each test (see setup.js).
+ */
+export const mockIdempotency = {
+  /** @type {Map<string, {status: number, body: Object}>} */
+  responses: new Map(),
+  /** Seats consumed by processed (not replayed) activations */
+  seatsConsumed: 0,
+  /** Requests answered from the store */
+  replays: 0,
+  reset() {
+    this.responses.clear();
+    this.seatsConsumed = 0;
+    this.replays = 0;
+  },
+};
+
+/**
+ * Answer a request at most once per Idempotency-Key
+ * @param {Request} request - Incoming request
+ * @param {function(): {status: number, body: Object}} process - Processes the request
+ * @returns {Response}
+ */
+function idempotent(request, process) {
+  const key = request.headers.get("Idempotency-Key");
+  if (key && mockIdempotency.responses.has(key)) {
+    const { status, body } = mockIdempotency.responses.get(key);
+    mockIdempotency.replays++;
+    return HttpResponse.json(body, { status, headers: { "Idempotent-Replayed": "true" } });
+  }
+
+  const { status, body } = process();
+  if (key) {
+    mockIdempotency.responses.set(key, { status, body });
+  }
+  return HttpResponse.json(body, { status });
+}
+
 /**
  * Mock health response (new v1 format)
  */
@@ -205,29 +246,35 @@ export const handlers = [
     const body = await request.json();
     const { device_id } = body;
 
-    if (key === mockData.invalidLicenseKey) {
-      return HttpResponse.json(
-        { error: { code: "license_not_found", message: "License not found" } },
-        { status: 404 }
-      );
-    }
-
-    if (key === mockData.expiredLicenseKey) {
-      return HttpResponse.json(
-        { error: { code: "license_expired", message: "License has expired" } },
-        { status: 422 }
-      );
-    }
-
-    return HttpResponse.json({
-      ...mockActivationResponse,
-      license_key: key,
-      device_id: device_id || mockData.deviceId,
-      license: {
-        ...mockLicenseObject,
-        key: key,
-      },
-    }, { status: 201 });
+    return idempotent(request, () => {
+      if (key === mockData.invalidLicenseKey) {
+        return {
+          status: 404,
+          body: { error: { code: "license_not_found", message: "License not found" } },
+        };
+      }
+
+      if (key === mockData.expiredLicenseKey) {
+        return {
+          status: 422,
+          body: { error: { code: "license_expired", message: "License has expired" } },
+        };
+      }
+
+      mockIdempotency.seatsConsumed++;
+      return {
+        status: 201,
+        body: {
+          ...mockActivationResponse,
+          license_key: key,
+          device_id: device_id || mockData.deviceId,
+          license: {
+            ...mockLicenseObject,
+            key: key,
+          },
+        },
+      };
+    });
   }),
 
   // Deactivation endpoint - POST /products/{slug}/licenses/{key}/deactivate
@@ -240,7 +287,7 @@ export const handlers = [
       );
     }
 
-    return HttpResponse.json(mockDeactivationResponse);
+    return idempotent(request, () => ({ status: 200, body: mockDeactivationResponse }));
   }),
 
   // Validation endpoint - POST /products/{slug}/licenses/{key}/validate
@@ -0,0 +1,26 @@
+/**
+ * SDK factory for tests that drive a LicenseSeatSDK instance directly
+ */
+
+import { LicenseSeatSDK } from "../../src/LicenseSeat.js";
+import { MemoryStorageAdapter } from "../../src/storage.js";
+import { mockData } from "./handlers.js";
+
+/**
+ * Create an SDK without auto-initialization, telemetry, heartbeat or retries, backed by
+ * in-memory storage
+ * @param {import('../../src/types.js').LicenseSeatConfig} [config={}] - Options overriding the test defaults
+ * @returns {LicenseSeatSDK}
+ */
+export function createTestSDK(config = {}) {
+  return new LicenseSeatSDK({
+    apiKey: mockData.apiKey,
+    productSlug: mockData.productSlug,
+    autoInitialize: false,
+    telemetryEnabled: false,
+    heartbeatInterval: 0,
+    maxRetries: 0,
+    storage: new MemoryStorageAdapter(),
+    ...config,
+  });
+}
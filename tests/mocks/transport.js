@@ -0,0 +1,20 @@
+/**
+ * Stub transport helpers for tests that replace `fetch` with the `transport` option
+ */
+
+/**
+ * Build a minimal transport response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - JSON body
+ * @param {Object<string, string>} [headers={}] - Response headers
+ * @returns {import('../../src/types.js').TransportResponse}
+ */
+export function respond(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  };
+}
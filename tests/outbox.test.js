@@ -0,0 +1,347 @@
+/**
+ * Outbox Tests
+ *
+ * Tests for queueing heartbeats and deactivations made while offline, and
+ * replaying them once the API is reachable again.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { LicenseSeatSDK } from "../src/LicenseSeat.js";
+import { LicenseCache, MAX_OUTBOX_ENTRIES } from "../src/cache.js";
+import { MemoryStorageAdapter } from "../src/storage.js";
+import { mockData } from "./mocks/handlers.js";
+import { respond } from "./mocks/transport.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+/**
+ * Create a stub transport that fails like a disconnected network until
+ * `network.online` is set, then answers with `network.reply(url)`
+ * @returns {{transport: import('vitest').Mock, network: {online: boolean, reply: function(string): import('../src/types.js').TransportResponse}}}
+ */
+function createNetwork() {
+  const network = {
+    online: false,
+    reply: (url) => respond(200, { object: "ok", url }),
+  };
+  const transport = vi.fn(async (url) => {
+    if (!network.online) throw new TypeError("Failed to fetch");
+    return network.reply(url);
+  });
+  return { transport, network };
+}
+
+/**
+ * Build an outbox entry
+ * @param {string} type - Operation
+ * @param {string} licenseKey - License key
+ * @returns {import('../src/types.js').OutboxEntry}
+ */
+function entry(type, licenseKey) {
+  return {
+    id: `${type}-${licenseKey}-${Math.random()}`,
+    type,
+    licenseKey,
+    method: "POST",
+    endpoint: `/products/p/licenses/${licenseKey}/${type}`,
+    body: { device_id: "dev" },
+    coalesceKey: `${type}:${licenseKey}`,
+    queuedAt: Date.now(),
+    attempts: 0,
+  };
+}
+
+describe("Outbox", () => {
+  describe("LicenseCache", () => {
+    it("should persist queued requests in storage", () => {
+      const storage = new MemoryStorageAdapter();
+      new LicenseCache("test_", { storage }).enqueueOutbox(entry("heartbeat", "KEY-1"));
+
+      const outbox = new LicenseCache("test_", { storage }).getOutbox();
+
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].type).toBe("heartbeat");
+    });
+
+    it("should coalesce entries with the same coalesce key", () => {
+      const cache = new LicenseCache("test_", { storage: new MemoryStorageAdapter() });
+      cache.enqueueOutbox(entry("heartbeat", "KEY-1"));
+      cache.enqueueOutbox(entry("heartbeat", "KEY-2"));
+      const latest = entry("heartbeat", "KEY-1");
+      cache.enqueueOutbox(latest);
+
+      expect(cache.getOutbox().map((e) => e.id)).toEqual([
+        expect.stringContaining("KEY-2"),
+        latest.id,
+      ]);
+    });
+
+    it("should remove superseded entries", () => {
+      const cache = new LicenseCache("test_", { storage: new MemoryStorageAdapter() });
+      cache.enqueueOutbox(entry("heartbeat", "KEY-1"));
+      cache.enqueueOutbox(entry("deactivate", "KEY-1"), ["heartbeat:KEY-1"]);
+
+      expect(cache.getOutbox().map((e) => e.type)).toEqual(["deactivate"]);
+    });
+
+    it("should keep only the newest entries", () => {
+      const cache = new LicenseCache("test_", { storage: new MemoryStorageAdapter() });
+      for (let i = 0; i <= MAX_OUTBOX_ENTRIES; i++) {
+        cache.enqueueOutbox(entry("heartbeat", `KEY-${i}`));
+      }
+
+      const outbox = cache.getOutbox();
+      expect(outbox).toHaveLength(MAX_OUTBOX_ENTRIES);
+      expect(outbox[0].licenseKey).toBe("KEY-1");
+    });
+
+    it("should update and remove entries", () => {
+      const storage = new MemoryStorageAdapter();
+      const cache = new LicenseCache("test_", { storage });
+      const queued = entry("heartbeat", "KEY-1");
+      cache.enqueueOutbox(queued);
+
+      cache.updateOutboxEntry(queued.id, { attempts: 2 });
+      expect(cache.getOutbox()[0].attempts).toBe(2);
+
+      cache.removeOutboxEntry(queued.id);
+      expect(cache.getOutbox()).toEqual([]);
+      expect(storage.get("test_outbox")).toBeNull();
+    });
+  });
+
+  describe("SDK", () => {
+    let sdk;
+
+    /**
+     * Create an SDK instance with a cached license
+     * @param {import('vitest').Mock} transport - Stub transport
+     * @param {Object} [config={}] - Extra configuration
+     * @returns {LicenseSeatSDK}
+     */
+    function createSDK(transport, config = {}) {
+      sdk = createTestSDK({
+        fetch: transport,
+        circuitBreaker: false,
+        networkRecheckInterval: 60000,
+        ...config,
+      });
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+      return sdk;
+    }
+
+    afterEach(() => {
+      if (sdk) sdk.destroy();
+      sdk = null;
+      vi.useRealTimers();
+    });
+
+    it("should queue heartbeats while offline and coalesce them", async () => {
+      const { transport } = createNetwork();
+      createSDK(transport);
+      const queued = vi.fn();
+      sdk.on("outbox:queued", queued);
+
+      const first = await sdk.heartbeat();
+      await sdk.heartbeat();
+
+      expect(first).toMatchObject({
+        queued: true,
+        type: "heartbeat",
+        licenseKey: mockData.validLicenseKey,
+      });
+      expect(queued).toHaveBeenCalledTimes(2);
+      const outbox = sdk.cache.getOutbox();
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].body).toEqual({ device_id: "dev" });
+    });
+
+    it("should deactivate locally while offline and queue the deactivation", async () => {
+      const { transport } = createNetwork();
+      createSDK(transport);
+      const success = vi.fn();
+      sdk.on("deactivation:success", success);
+      await sdk.heartbeat();
+
+      const result = await sdk.deactivate();
+
+      expect(result).toMatchObject({ queued: true, type: "deactivate" });
+      expect(success).toHaveBeenCalledWith(result);
+      expect(sdk.cache.getLicense()).toBeNull();
+      expect(sdk.cache.getOutbox().map((e) => e.type)).toEqual(["deactivate"]);
+    });
+
+    it("should still fail when the outbox is disabled", async () => {
+      const { transport } = createNetwork();
+      createSDK(transport, { outboxEnabled: false });
+
+      await expect(sdk.heartbeat()).rejects.toThrow("Failed to fetch");
+      await expect(sdk.deactivate()).rejects.toThrow("Failed to fetch");
+
+      expect(sdk.cache.getLicense()).not.toBeNull();
+      expect(sdk.cache.getOutbox()).toEqual([]);
+    });
+
+    it("should replay queued requests in order and report progress", async () => {
+      const { transport, network } = createNetwork();
+      createSDK(transport);
+      await sdk.heartbeat();
+      await sdk.deactivate();
+      sdk.cache.setLicense({ license_key: "OTHER-KEY", device_id: "dev" });
+      await sdk.heartbeat("OTHER-KEY");
+      const events = [];
+      ["outbox:replaying", "outbox:sent", "outbox:replayed"].forEach((name) =>
+        sdk.on(name, (data) => events.push([name, data.entry ? data.entry.type : data]))
+      );
+      network.online = true;
+      transport.mockClear();
+
+      const result = await sdk.flushOutbox();
+
+      expect(result).toEqual({ sent: 2, dropped: 0, remaining: 0 });
+      expect(transport.mock.calls.map(([url]) => url.split("/").slice(-2).join("/"))).toEqual([
+        `${mockData.validLicenseKey}/deactivate`,
+        "OTHER-KEY/heartbeat",
+      ]);
+      expect(events).toEqual([
+        ["outbox:replaying", { pending: 2 }],
+        ["outbox:sent", "deactivate"],
+        ["outbox:sent", "heartbeat"],
+        ["outbox:replayed", { sent: 2, dropped: 0, remaining: 0 }],
+      ]);
+      expect(sdk.cache.getOutbox()).toEqual([]);
+    });
+
+    it("should drop requests the API rejects", async () => {
+      const { transport, network } = createNetwork();
+      createSDK(transport);
+      await sdk.deactivate();
+      network.online = true;
+      network.reply = () =>
+        respond(422, { error: { code: "already_deactivated", message: "Already deactivated" } });
+      const dropped = vi.fn();
+      sdk.on("outbox:dropped", dropped);
+
+      const result = await sdk.flushOutbox();
+
+      expect(result).toEqual({ sent: 0, dropped: 1, remaining: 0 });
+      expect(dropped).toHaveBeenCalledWith(
+        expect.objectContaining({ entry: expect.objectContaining({ type: "deactivate" }) })
+      );
+    });
+
+    it("should keep requests queued and retry with backoff while the API is unreachable", async () => {
+      vi.useFakeTimers();
+      const { transport, network } = createNetwork();
+      createSDK(transport, { retryPolicy: { baseDelayMs: 1000 } });
+      await sdk.heartbeat();
+      const failed = vi.fn();
+      sdk.on("outbox:failed", failed);
+
+      const result = await sdk.flushOutbox();
+
+      expect(result).toEqual({ sent: 0, dropped: 0, remaining: 1 });
+      expect(failed).toHaveBeenCalledWith(expect.objectContaining({ retryInMs: 1000 }));
+      expect(sdk.cache.getOutbox()[0].attempts).toBe(1);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(failed).toHaveBeenLastCalledWith(expect.objectContaining({ retryInMs: 2000 }));
+
+      network.online = true;
+      await vi.advanceTimersByTimeAsync(2000);
+      expect(sdk.cache.getOutbox()).toEqual([]);
+    });
+
+    it("should replay when the network comes back", async () => {
+      vi.useFakeTimers();
+      const { transport, network } = createNetwork();
+      createSDK(transport, { networkRecheckInterval: 1000, outboxEnabled: true });
+      await sdk.heartbeat();
+      expect(sdk.online).toBe(false);
+      const replayed = vi.fn();
+      sdk.on("outbox:replayed", replayed);
+
+      network.online = true;
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(replayed).toHaveBeenCalledWith({ sent: 1, dropped: 0, remaining: 0 });
+    });
+
+    it("should replay when a request succeeds after an outage", async () => {
+      const { transport, network } = createNetwork();
+      createSDK(transport);
+      await sdk.heartbeat();
+      expect(sdk.online).toBe(false);
+      const replayed = new Promise((resolve) => sdk.on("outbox:replayed", resolve));
+
+      network.online = true;
+      await sdk.testAuth();
+
+      await expect(replayed).resolves.toEqual({ sent: 1, dropped: 0, remaining: 0 });
+    });
+
+    it("should not replay a deactivation queued before the license was activated again", async () => {
+      const { transport, network } = createNetwork();
+      const sent = [];
+      network.reply = (url) => {
+        const action = url.split("/").pop();
+        sent.push(action);
+        if (action === "offline_token") {
+          return respond(200, { token: { license_key: mockData.validLicenseKey }, signature: {} });
+        }
+        return respond(200, { object: action === "activate" ? "activation" : action, id: 1 });
+      };
+      createSDK(transport);
+      const options = { deviceId: "dev" };
+      network.online = true;
+      await sdk.activate(mockData.validLicenseKey, options);
+      await sdk.getOfflineToken();
+
+      network.online = false;
+      await expect(sdk.deactivate()).resolves.toMatchObject({ queued: true });
+
+      network.online = true;
+      await sdk.activate(mockData.validLicenseKey, options);
+      await sdk.getOfflineToken();
+      expect(sdk.cache.getOutbox()).toEqual([]);
+      await sdk.deactivate();
+      await sdk.flushOutbox();
+
+      expect(sent.filter((action) => action.endsWith("activate"))).toEqual([
+        "activate",
+        "activate",
+        "deactivate",
+      ]);
+    });
+
+    it("should queue the withdrawn deactivation again when activation fails", async () => {
+      const { transport, network } = createNetwork();
+      createSDK(transport);
+      await sdk.deactivate();
+
+      network.online = true;
+      network.reply = () => respond(403, { error: { code: "seat_limit_exceeded", message: "No seats left" } });
+      await expect(sdk.activate(mockData.validLicenseKey, { deviceId: "dev" })).rejects.toThrow();
+
+      expect(sdk.cache.getOutbox().map((e) => e.type)).toEqual(["deactivate"]);
+    });
+
+    it("should replay requests queued in a previous session on initialize", async () => {
+      const storage = new MemoryStorageAdapter();
+      const { transport, network } = createNetwork();
+      createSDK(transport, { storage });
+      await sdk.deactivate();
+      // Simulate the app quitting: destroy() would also clear the cache
+      sdk.stopConnectivityPolling();
+      sdk = null;
+
+      network.online = true;
+      transport.mockClear();
+      createSDK(transport, { storage });
+      const replayed = new Promise((resolve) => sdk.on("outbox:replayed", resolve));
+      sdk.initialize();
+
+      await expect(replayed).resolves.toEqual({ sent: 1, dropped: 0, remaining: 0 });
+      expect(transport.mock.calls.some(([url]) => url.endsWith("/deactivate"))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Response Parsing Tests
+ *
+ * Tests for content-type-aware body parsing, per-endpoint response shape
+ * checks and the "invalid_response" APIError.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  readResponseBody,
+  checkResponseShape,
+  createInvalidResponseError,
+  isInvalidResponseError,
+  INVALID_RESPONSE,
+} from "../src/responses.js";
+import { APIError } from "../src/errors.js";
+import { mockData } from "./mocks/handlers.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+/**
+ * Build a transport response with a raw body
+ * @param {number} status - HTTP status code
+ * @param {string} text - Raw body
+ * @param {string|null} [contentType="application/json"] - Content-Type header
+ * @returns {import('../src/types.js').TransportResponse}
+ */
+function raw(status, text, contentType = "application/json") {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(contentType ? { "Content-Type": contentType } : {}),
+    json: async () => JSON.parse(text),
+    text: async () => text,
+  };
+}
+
+const BAD_GATEWAY_PAGE = "<html><head><title>502 Bad Gateway</title></head><body>nginx</body></html>";
+
+describe("Response Parsing", () => {
+  describe("readResponseBody", () => {
+    it("should parse JSON bodies", async () => {
+      const body = await readResponseBody(raw(200, '{"valid":true}', "application/json; charset=utf-8"));
+
+      expect(body).toEqual({
+        data: { valid: true },
+        text: '{"valid":true}',
+        contentType: "application/json; charset=utf-8",
+      });
+    });
+
+    it("should accept +json content types and a missing content type", async () => {
+      expect((await readResponseBody(raw(422, '{"code":"x"}', "application/problem+json"))).data).toEqual({
+        code: "x",
+      });
+      expect((await readResponseBody(raw(200, '{"ok":1}', null))).data).toEqual({ ok: 1 });
+    });
+
+    it("should read empty bodies as an empty object", async () => {
+      expect((await readResponseBody(raw(204, "", null))).data).toEqual({});
+    });
+
+    it("should not parse non-JSON content types", async () => {
+      const body = await readResponseBody(raw(502, BAD_GATEWAY_PAGE, "text/html"));
+
+      expect(body.data).toBeUndefined();
+      expect(body.text).toBe(BAD_GATEWAY_PAGE);
+    });
+
+    it("should leave malformed JSON unparsed", async () => {
+      expect((await readResponseBody(raw(200, '{"valid":tru'))).data).toBeUndefined();
+    });
+
+    it("should fall back to json() for transports without text()", async () => {
+      const body = await readResponseBody({ ok: true, status: 200, json: async () => ({ a: 1 }) });
+
+      expect(body).toEqual({ data: { a: 1 }, text: null, contentType: null });
+    });
+
+    it("should report unreadable bodies as network failures", async () => {
+      const response = raw(200, "");
+      response.text = async () => {
+        throw new Error("socket hang up");
+      };
+
+      const error = await readResponseBody(response).catch((e) => e);
+
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.status).toBe(0);
+    });
+  });
+
+  describe("checkResponseShape", () => {
+    it("should accept well-formed responses", () => {
+      expect(checkResponseShape("validation_result", { object: "validation_result", valid: false })).toBeNull();
+      expect(checkResponseShape("heartbeat", {})).toBeNull();
+      expect(checkResponseShape("heartbeat", { object: "heartbeat", received_at: "2026-01-01T00:00:00Z" })).toBeNull();
+      expect(checkResponseShape("activation", { object: "activation", license: {} })).toBeNull();
+      expect(checkResponseShape("activation", { id: 1 })).toBeNull();
+      expect(checkResponseShape("signing_key", { public_key: "abc" })).toBeNull();
+    });
+
+    it("should reject non-objects and other object types", () => {
+      expect(checkResponseShape("activation", [])).toBe("body is not a JSON object");
+      expect(checkResponseShape("activation", { object: "health" })).toBe(
+        'expected object "activation", got "health"'
+      );
+    });
+
+    it("should reject responses missing required fields", () => {
+      expect(checkResponseShape("validation_result", { license: {} })).toBe(
+        "malformed validation_result object"
+      );
+      expect(checkResponseShape("offline_token", { token: {} })).toBe("malformed offline_token object");
+      expect(checkResponseShape("signing_key", { public_key: "" })).toBe("malformed signing_key object");
+      expect(checkResponseShape("activation", {})).toBe("malformed activation object");
+      expect(checkResponseShape("activation", { id: 1, license: "active" })).toBe(
+        "malformed activation object"
+      );
+      expect(checkResponseShape("heartbeat", { license: [] })).toBe("malformed heartbeat object");
+      expect(checkResponseShape("heartbeat", { received_at: 1 })).toBe("malformed heartbeat object");
+    });
+  });
+
+  describe("createInvalidResponseError", () => {
+    it("should carry the status, content type and a body snippet", () => {
+      const error = createInvalidResponseError(502, "expected JSON, got text/html", {
+        data: undefined,
+        text: "x".repeat(500),
+        contentType: "text/html",
+      });
+
+      expect(error.status).toBe(502);
+      expect(error.code).toBe(INVALID_RESPONSE);
+      expect(error.data.error.details).toEqual({
+        status: 502,
+        content_type: "text/html",
+        body: "x".repeat(200),
+      });
+      expect(isInvalidResponseError(error)).toBe(true);
+      expect(isInvalidResponseError(new APIError("Not found", 404))).toBe(false);
+    });
+  });
+
+  describe("SDK", () => {
+    let sdk;
+
+    afterEach(() => {
+      if (sdk) sdk.destroy();
+      sdk = null;
+    });
+
+    it("should retry an HTML 502 from a load balancer", async () => {
+      const transport = vi
+        .fn()
+        .mockResolvedValueOnce(raw(502, BAD_GATEWAY_PAGE, "text/html"))
+        .mockResolvedValueOnce(raw(200, '{"status":"healthy","api_version":"1.0.0"}'));
+      sdk = createTestSDK({ fetch: transport, retryPolicy: { maxAttempts: 2, baseDelayMs: 1 } });
+
+      const result = await sdk.testAuth();
+
+      expect(result.healthy).toBe(true);
+      expect(transport).toHaveBeenCalledTimes(2);
+    });
+
+    it("should report a non-JSON reply as invalid_response", async () => {
+      sdk = createTestSDK({ fetch: vi.fn(async () => raw(502, BAD_GATEWAY_PAGE, "text/html")) });
+
+      const error = await sdk.activate(mockData.validLicenseKey).catch((e) => e);
+
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.status).toBe(502);
+      expect(error.code).toBe("invalid_response");
+      expect(error.message).toContain("expected JSON, got text/html");
+      expect(error.data.error.details.body).toBe(BAD_GATEWAY_PAGE);
+    });
+
+    it("should accept an empty 204 heartbeat reply", async () => {
+      sdk = createTestSDK({ fetch: vi.fn(async () => raw(204, "", null)) });
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+
+      await expect(sdk.heartbeat()).resolves.toEqual({});
+    });
+
+    it("should reject a malformed validation result without marking the license invalid", async () => {
+      sdk = createTestSDK({
+        fetch: vi.fn(async () => raw(200, '{"object":"validation_result","license":null}')),
+      });
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+      sdk.cache.updateValidation({ valid: true }, mockData.validLicenseKey);
+
+      const error = await sdk.validateLicense(mockData.validLicenseKey).catch((e) => e);
+
+      expect(error.code).toBe("invalid_response");
+      expect(error.status).toBe(200);
+      expect(sdk.cache.getLicense().validation.valid).toBe(true);
+    });
+
+    it("should reject a malformed activation without caching the license", async () => {
+      sdk = createTestSDK({ fetch: vi.fn(async () => raw(200, '{"status":"ok"}')) });
+
+      const error = await sdk.activate(mockData.validLicenseKey).catch((e) => e);
+
+      expect(error.code).toBe("invalid_response");
+      expect(error.message).toContain("malformed activation object");
+      expect(sdk.cache.getLicense()).toBeNull();
+    });
+
+    it("should reject a malformed heartbeat reply", async () => {
+      sdk = createTestSDK({
+        fetch: vi.fn(async () => raw(200, '{"object":"heartbeat","license":"active"}')),
+      });
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+
+      const error = await sdk.heartbeat().catch((e) => e);
+
+      expect(error.code).toBe("invalid_response");
+      expect(error.message).toContain("malformed heartbeat object");
+    });
+
+    it("should reject a heartbeat reply that is not an object", async () => {
+      sdk = createTestSDK({ fetch: vi.fn(async () => raw(200, "null")) });
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+
+      const error = await sdk.heartbeat().catch((e) => e);
+
+      expect(error.code).toBe("invalid_response");
+      expect(error.message).toContain("body is not a JSON object");
+    });
+
+    it("should reject a response of the wrong object type", async () => {
+      sdk = createTestSDK({ fetch: vi.fn(async () => raw(200, '{"object":"health","status":"healthy"}')) });
+
+      const error = await sdk.getSigningKey(mockData.keyId).catch((e) => e);
+
+      expect(error.code).toBe("invalid_response");
+      expect(error.message).toContain('expected object "signing_key", got "health"');
+    });
+
+    it("should still read error details from JSON error responses", async () => {
+      sdk = createTestSDK({
+        fetch: vi.fn(async () =>
+          raw(404, '{"error":{"code":"license_not_found","message":"License not found"}}')
+        ),
+      });
+
+      const error = await sdk.activate(mockData.validLicenseKey).catch((e) => e);
+
+      expect(error.status).toBe(404);
+      expect(error.code).toBe("license_not_found");
+      expect(error.message).toBe("License not found");
+    });
+  });
+});
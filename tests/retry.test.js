@@ -0,0 +1,211 @@
+/**
+ * Retry Policy Tests
+ *
+ * Tests for backoff with jitter, the per-status retry predicate and
+ * Retry-After / rate-limit header handling.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  isRetryableStatus,
+  resolveRetryPolicy,
+  computeRetryDelay,
+  parseRetryAfter,
+} from "../src/retry.js";
+import { APIError } from "../src/errors.js";
+import { mockData } from "./mocks/handlers.js";
+import { respond } from "./mocks/transport.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+const HEALTHY = { status: "healthy", api_version: "1.0.0" };
+const UNAVAILABLE = { error: { code: "unavailable", message: "Service unavailable" } };
+
+describe("Retry Policy", () => {
+  describe("isRetryableStatus", () => {
+    it("should retry network failures, timeouts, rate limits and transient server errors", () => {
+      [0, 408, 429, 502, 503, 504].forEach((status) => {
+        expect(isRetryableStatus(status)).toBe(true);
+      });
+    });
+
+    it("should not retry client errors, 500 or 501", () => {
+      [400, 401, 404, 422, 500, 501].forEach((status) => {
+        expect(isRetryableStatus(status)).toBe(false);
+      });
+    });
+  });
+
+  describe("resolveRetryPolicy", () => {
+    it("should derive defaults from maxRetries and retryDelay", () => {
+      const policy = resolveRetryPolicy({ maxRetries: 2, retryDelay: 500 });
+
+      expect(policy).toMatchObject({
+        maxAttempts: 3,
+        baseDelayMs: 500,
+        maxDelayMs: 30000,
+        jitter: "full",
+      });
+      expect(policy.retryOn(503, new Error())).toBe(true);
+    });
+
+    it("should prefer fields set on retryPolicy", () => {
+      const retryOn = () => false;
+      const policy = resolveRetryPolicy({
+        maxRetries: 2,
+        retryPolicy: { maxAttempts: 5, jitter: "none", retryOn },
+      });
+
+      expect(policy.maxAttempts).toBe(5);
+      expect(policy.jitter).toBe("none");
+      expect(policy.retryOn).toBe(retryOn);
+      expect(policy.baseDelayMs).toBe(1000);
+    });
+  });
+
+  describe("computeRetryDelay", () => {
+    const policy = resolveRetryPolicy({ retryPolicy: { baseDelayMs: 100, maxDelayMs: 1000 } });
+
+    it("should draw a full-jitter delay below the exponential backoff", () => {
+      expect(computeRetryDelay(policy, 0, () => 0.5)).toBe(50);
+      expect(computeRetryDelay(policy, 2, () => 0.5)).toBe(200);
+      expect(computeRetryDelay(policy, 2, () => 0)).toBe(0);
+    });
+
+    it("should cap the delay at maxDelayMs", () => {
+      expect(computeRetryDelay(policy, 10, () => 0.999)).toBeLessThan(1000);
+      expect(computeRetryDelay({ ...policy, jitter: "none" }, 10)).toBe(1000);
+    });
+
+    it("should use the plain exponential backoff without jitter", () => {
+      const noJitter = { ...policy, jitter: /** @type {"none"} */ ("none") };
+      expect([0, 1, 2].map((attempt) => computeRetryDelay(noJitter, attempt))).toEqual([100, 200, 400]);
+    });
+  });
+
+  describe("parseRetryAfter", () => {
+    const now = Date.parse("2026-03-01T12:00:00Z");
+
+    it("should read Retry-After in seconds", () => {
+      expect(parseRetryAfter(new Headers({ "Retry-After": "120" }), now)).toBe(120000);
+    });
+
+    it("should read Retry-After as an HTTP date", () => {
+      const headers = new Headers({ "Retry-After": "Sun, 01 Mar 2026 12:00:30 GMT" });
+      expect(parseRetryAfter(headers, now)).toBe(30000);
+    });
+
+    it("should read RateLimit-Reset as seconds until reset", () => {
+      expect(parseRetryAfter(new Headers({ "RateLimit-Reset": "7" }), now)).toBe(7000);
+    });
+
+    it("should read X-RateLimit-Reset as a Unix timestamp", () => {
+      const headers = new Headers({ "X-RateLimit-Reset": String(now / 1000 + 15) });
+      expect(parseRetryAfter(headers, now)).toBe(15000);
+    });
+
+    it("should prefer Retry-After over rate-limit headers", () => {
+      const headers = new Headers({ "Retry-After": "1", "RateLimit-Reset": "60" });
+      expect(parseRetryAfter(headers, now)).toBe(1000);
+    });
+
+    it("should return null without usable headers", () => {
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter(new Headers())).toBeNull();
+      expect(parseRetryAfter(new Headers({ "Retry-After": "soon" }))).toBeNull();
+    });
+  });
+
+  describe("SDK", () => {
+    let sdk;
+
+    afterEach(() => {
+      if (sdk) sdk.destroy();
+      sdk = null;
+      vi.restoreAllMocks();
+    });
+
+    it("should emit request:retry with a jittered delay", async () => {
+      vi.spyOn(Math, "random").mockReturnValue(0);
+      const transport = vi
+        .fn()
+        .mockResolvedValueOnce(respond(503, UNAVAILABLE))
+        .mockResolvedValueOnce(respond(200, HEALTHY));
+      sdk = createTestSDK({ fetch: transport, retryPolicy: { maxAttempts: 2, baseDelayMs: 60000 } });
+      const retries = [];
+      sdk.on("request:retry", (event) => retries.push(event));
+
+      await sdk.testAuth();
+
+      expect(transport).toHaveBeenCalledTimes(2);
+      expect(retries).toEqual([
+        {
+          endpoint: "/health",
+          attempt: 1,
+          maxAttempts: 2,
+          delayMs: 0,
+          retryAfterMs: null,
+          error: expect.any(APIError),
+        },
+      ]);
+    });
+
+    it("should wait as long as Retry-After asks", async () => {
+      vi.useFakeTimers();
+      try {
+        const transport = vi
+          .fn()
+          .mockResolvedValueOnce(respond(429, UNAVAILABLE, { "Retry-After": "2" }))
+          .mockResolvedValueOnce(respond(200, HEALTHY));
+        sdk = createTestSDK({ fetch: transport, maxRetries: 3, retryPolicy: { baseDelayMs: 1 } });
+        const retry = vi.fn();
+        sdk.on("request:retry", retry);
+
+        const pending = sdk.testAuth();
+        await vi.advanceTimersByTimeAsync(1999);
+        expect(transport).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(1);
+
+        await expect(pending).resolves.toMatchObject({ healthy: true });
+        expect(retry).toHaveBeenCalledWith(
+          expect.objectContaining({ delayMs: 2000, retryAfterMs: 2000 })
+        );
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it("should give up when Retry-After exceeds maxDelayMs", async () => {
+      const transport = vi.fn(async () => respond(503, UNAVAILABLE, { "Retry-After": "3600" }));
+      sdk = createTestSDK({ fetch: transport, maxRetries: 3 });
+
+      const error = await sdk.testAuth().catch((e) => e);
+
+      expect(transport).toHaveBeenCalledTimes(1);
+      expect(error.status).toBe(503);
+      expect(error.retryAfterMs).toBe(3600000);
+    });
+
+    it("should use the retryOn predicate", async () => {
+      const transport = vi
+        .fn()
+        .mockResolvedValueOnce(respond(500, UNAVAILABLE))
+        .mockResolvedValueOnce(respond(200, HEALTHY));
+      const retryOn = vi.fn((status) => status === 500);
+      sdk = createTestSDK({ fetch: transport, maxRetries: 3, retryPolicy: { baseDelayMs: 1, retryOn } });
+
+      await sdk.testAuth();
+
+      expect(retryOn).toHaveBeenCalledWith(500, expect.any(APIError));
+      expect(transport).toHaveBeenCalledTimes(2);
+    });
+
+    it("should stop after maxAttempts", async () => {
+      const transport = vi.fn(async () => respond(503, UNAVAILABLE));
+      sdk = createTestSDK({ fetch: transport, retryPolicy: { maxAttempts: 3, baseDelayMs: 1 } });
+
+      await expect(sdk.testAuth()).rejects.toThrow("Service unavailable");
+
+      expect(transport).toHaveBeenCalledTimes(3);
+    });
+  });
+});
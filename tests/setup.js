@@ -5,6 +5,7 @@
 
 import { beforeAll, afterAll, afterEach } from "vitest";
 import { server } from "./mocks/server.js";
+import { mockIdempotency } from "./mocks/handlers.js";
 
 // Mock localStorage for jsdom environment
 const createLocalStorageMock = () => {
@@ -80,6 +81,7 @@ beforeAll(() => {
 // Reset handlers after each test
 afterEach(() => {
   server.resetHandlers();
+  mockIdempotency.reset();
   localStorage.clear();
 });
 
@@ -0,0 +1,414 @@
+/**
+ * Storage Adapter Tests
+ *
+ * Tests for the pluggable storage adapters and their use by LicenseCache.
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { IDBFactory } from "fake-indexeddb";
+import {
+  LocalStorageAdapter,
+  MemoryStorageAdapter,
+  IndexedDBStorageAdapter,
+  createDefaultStorage,
+} from "../src/storage.js";
+import { LicenseCache } from "../src/cache.js";
+import { CACHE_SCHEMA_VERSION } from "../src/migrations.js";
+import { LicenseSeatSDK } from "../src/LicenseSeat.js";
+import { mockData } from "./mocks/handlers.js";
+
+/**
+ * Wrap a MemoryStorageAdapter so that every method returns a Promise
+ * @returns {MemoryStorageAdapter & { async: true }}
+ */
+function createAsyncAdapter() {
+  const inner = new MemoryStorageAdapter();
+  return {
+    async: true,
+    inner,
+    get: async (key) => inner.get(key),
+    set: async (key, value) => inner.set(key, value),
+    remove: async (key) => inner.remove(key),
+    keys: async () => inner.keys(),
+  };
+}
+
+describe("Storage Adapters", () => {
+  describe("MemoryStorageAdapter", () => {
+    it("should get, set, remove and list keys", () => {
+      const adapter = new MemoryStorageAdapter();
+
+      expect(adapter.get("a")).toBeNull();
+      adapter.set("a", "1");
+      adapter.set("b", "2");
+      expect(adapter.get("a")).toBe("1");
+      expect(adapter.keys().sort()).toEqual(["a", "b"]);
+
+      adapter.remove("a");
+      expect(adapter.get("a")).toBeNull();
+      expect(adapter.keys()).toEqual(["b"]);
+    });
+  });
+
+  describe("LocalStorageAdapter", () => {
+    it("should read and write through localStorage", () => {
+      const adapter = new LocalStorageAdapter();
+
+      adapter.set("ls_test", "value");
+      expect(localStorage.getItem("ls_test")).toBe("value");
+      expect(adapter.get("ls_test")).toBe("value");
+      expect(adapter.keys()).toContain("ls_test");
+
+      adapter.remove("ls_test");
+      expect(localStorage.getItem("ls_test")).toBeNull();
+    });
+  });
+
+  describe("IndexedDBStorageAdapter", () => {
+    it("should declare itself asynchronous", () => {
+      const adapter = new IndexedDBStorageAdapter({ indexedDB: new IDBFactory() });
+      expect(adapter.async).toBe(true);
+    });
+
+    it("should get, set, remove and list keys", async () => {
+      const adapter = new IndexedDBStorageAdapter({ indexedDB: new IDBFactory() });
+
+      expect(await adapter.get("a")).toBeNull();
+      await adapter.set("a", "1");
+      await adapter.set("b", "2");
+      expect(await adapter.get("a")).toBe("1");
+      expect((await adapter.keys()).sort()).toEqual(["a", "b"]);
+
+      await adapter.remove("a");
+      expect(await adapter.get("a")).toBeNull();
+      expect(await adapter.keys()).toEqual(["b"]);
+      await adapter.close();
+    });
+
+    it("should persist across adapter instances sharing a database", async () => {
+      const factory = new IDBFactory();
+      const first = new IndexedDBStorageAdapter({ indexedDB: factory, databaseName: "shared" });
+      await first.set("key", "value");
+      await first.close();
+
+      const second = new IndexedDBStorageAdapter({ indexedDB: factory, databaseName: "shared" });
+      expect(await second.get("key")).toBe("value");
+      await second.close();
+    });
+
+    it("should reject when IndexedDB is unavailable", async () => {
+      // jsdom does not implement IndexedDB
+      const adapter = new IndexedDBStorageAdapter();
+      await expect(adapter.get("key")).rejects.toThrow("IndexedDB is not available");
+    });
+  });
+
+  describe("createDefaultStorage", () => {
+    it("should use localStorage when available", () => {
+      expect(createDefaultStorage()).toBeInstanceOf(LocalStorageAdapter);
+    });
+
+    it("should fall back to memory when localStorage is missing", () => {
+      const original = globalThis.localStorage;
+      Object.defineProperty(globalThis, "localStorage", { value: undefined, writable: true });
+      try {
+        expect(createDefaultStorage()).toBeInstanceOf(MemoryStorageAdapter);
+      } finally {
+        Object.defineProperty(globalThis, "localStorage", { value: original, writable: true });
+      }
+    });
+  });
+
+  describe("LicenseCache with a custom adapter", () => {
+    it("should store records in the configured adapter only", () => {
+      const adapter = new MemoryStorageAdapter();
+      const cache = new LicenseCache("custom_", { storage: adapter });
+
+      cache.setLicense({ license_key: "KEY", device_id: "dev" });
+      cache.setPublicKey("kid-1", "pub");
+      cache.setLastSeenTimestamp(123);
+
+      expect(adapter.get("custom_license")).toContain("KEY");
+      expect(cache.getLicense().license_key).toBe("KEY");
+      expect(cache.getPublicKey("kid-1")).toBe("pub");
+      expect(cache.getLastSeenTimestamp()).toBe(123);
+      expect(localStorage.length).toBe(0);
+    });
+
+    it("should clear only keys matching the prefix", () => {
+      const adapter = new MemoryStorageAdapter();
+      adapter.set("other_key", "keep");
+      const cache = new LicenseCache("custom_", { storage: adapter });
+
+      cache.setLicense({ license_key: "KEY", device_id: "dev" });
+      cache.setOfflineToken({ token: {} });
+      cache.clear();
+
+      expect(adapter.keys()).toEqual(["other_key"]);
+    });
+  });
+
+  describe("LicenseCache with an async adapter", () => {
+    it("should serve reads from the warmed snapshot", async () => {
+      const adapter = createAsyncAdapter();
+      adapter.inner.set("async_license", JSON.stringify({ license_key: "KEY" }));
+      const cache = new LicenseCache("async_", { storage: adapter });
+
+      expect(cache.isReady()).toBe(false);
+      expect(cache.getLicense()).toBeNull();
+
+      await cache.ready();
+
+      expect(cache.isReady()).toBe(true);
+      expect(cache.getLicense().license_key).toBe("KEY");
+    });
+
+    it("should persist writes in order in the background", async () => {
+      const adapter = createAsyncAdapter();
+      const cache = new LicenseCache("async_", { storage: adapter });
+      await cache.ready();
+
+      cache.setLicense({ license_key: "KEY", device_id: "one" });
+      cache.setLicense({ license_key: "KEY", device_id: "two" });
+      expect(cache.getLicense().device_id).toBe("two");
+
+      await cache.flush();
+      expect(JSON.parse(adapter.inner.get("async_license")).device_id).toBe("two");
+
+      cache.clear();
+      await cache.flush();
+      expect(adapter.inner.keys()).toEqual([]);
+    });
+
+    it("should fall back to memory when a background write fails", async () => {
+      const adapter = createAsyncAdapter();
+      adapter.inner.set("async_schema_version", String(CACHE_SCHEMA_VERSION));
+      const set = vi.fn(async () => {
+        throw new Error("disk full");
+      });
+      adapter.set = set;
+      const emit = vi.fn();
+      const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+      const cache = new LicenseCache("async_", { storage: adapter, emit });
+      await cache.ready();
+
+      cache.setLastSeenTimestamp(1);
+      await cache.flush();
+      cache.setLastSeenTimestamp(2);
+      await cache.flush();
+
+      expect(emit).toHaveBeenCalledWith("storage:error", {
+        operation: "write",
+        key: "async_last_seen_ts",
+        cause: expect.any(Error),
+      });
+      expect(cache.fallback).toBe(true);
+      expect(set).toHaveBeenCalledTimes(1);
+      expect(cache.storage.get("async_last_seen_ts")).toBe("2");
+      expect(cache.getLastSeenTimestamp()).toBe(2);
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe("SDK with an async adapter", () => {
+    /**
+     * Seed an IndexedDB adapter with an activated, validated license
+     * @returns {Promise<IndexedDBStorageAdapter>}
+     */
+    async function seededAdapter() {
+      const adapter = new IndexedDBStorageAdapter({ indexedDB: new IDBFactory() });
+      // Seed through an SDK so the validation seal matches later instances
+      const seed = new LicenseSeatSDK({
+        productSlug: mockData.productSlug,
+        storage: adapter,
+        autoInitialize: false,
+      }).cache;
+      await seed.ready();
+      seed.setLicense({
+        license_key: mockData.validLicenseKey,
+        device_id: mockData.deviceId,
+        activated_at: new Date().toISOString(),
+        last_validated: new Date().toISOString(),
+      });
+      seed.updateValidation({
+        valid: true,
+        active_entitlements: [{ key: "pro", expires_at: null, metadata: null }],
+      });
+      await seed.flush();
+      return adapter;
+    }
+
+    it("should defer initialization until the cache has loaded", async () => {
+      const storage = await seededAdapter();
+      const loaded = vi.fn();
+      const sdk = new LicenseSeatSDK({
+        productSlug: mockData.productSlug,
+        storage,
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+      sdk.on("license:loaded", loaded);
+
+      const init = sdk.initialize();
+      expect(loaded).not.toHaveBeenCalled();
+      expect(sdk.checkEntitlement("pro")).toEqual({ active: false, reason: "cache_loading" });
+      expect(sdk.getStatus().status).toBe("pending");
+
+      await init;
+
+      expect(loaded).toHaveBeenCalledOnce();
+      expect(sdk.hasEntitlement("pro")).toBe(true);
+      expect(sdk.getStatus().status).toBe("active");
+      sdk.destroy();
+    });
+
+    it("should serve synchronous reads after ready()", async () => {
+      const storage = await seededAdapter();
+      const sdk = new LicenseSeatSDK({
+        productSlug: mockData.productSlug,
+        storage,
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+
+      await sdk.ready();
+
+      expect(sdk.hasEntitlement("pro")).toBe(true);
+      sdk.destroy();
+    });
+
+    it("should load the cache before offline verification", async () => {
+      const storage = await seededAdapter();
+      const sdk = new LicenseSeatSDK({
+        productSlug: mockData.productSlug,
+        storage,
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+
+      const result = await sdk.verifyCachedOffline();
+
+      expect(result).toEqual({ valid: false, offline: true, code: "no_offline_token" });
+      expect(sdk.cache.isReady()).toBe(true);
+      sdk.destroy();
+    });
+
+    it("should activate and persist through the async adapter", async () => {
+      const storage = new IndexedDBStorageAdapter({ indexedDB: new IDBFactory() });
+      const sdk = new LicenseSeatSDK({
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        storage,
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+
+      await sdk.activate(mockData.validLicenseKey);
+      await sdk.cache.flush();
+
+      const stored = JSON.parse(await storage.get("licenseseat_license"));
+      expect(stored.license_key).toBe(mockData.validLicenseKey);
+      sdk.destroy();
+    });
+  });
+
+  describe("Storage failures", () => {
+    /**
+     * Create a synchronous adapter whose writes fail like a full localStorage
+     * @returns {MemoryStorageAdapter}
+     */
+    function createFullAdapter() {
+      const adapter = new MemoryStorageAdapter();
+      adapter.set("fail_schema_version", String(CACHE_SCHEMA_VERSION));
+      adapter.set("licenseseat_schema_version", String(CACHE_SCHEMA_VERSION));
+      adapter.set("fail_public_keys", JSON.stringify({ kid: "stored-key" }));
+      adapter.set = () => {
+        throw new DOMException("Quota exceeded", "QuotaExceededError");
+      };
+      return adapter;
+    }
+
+    it("should switch to memory when a write fails, keeping readable entries", () => {
+      const adapter = createFullAdapter();
+      const emit = vi.fn();
+      const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+      const cache = new LicenseCache("fail_", { storage: adapter, emit });
+
+      cache.setLicense({ license_key: "KEY", device_id: "dev" });
+
+      expect(emit).toHaveBeenCalledTimes(1);
+      expect(emit).toHaveBeenCalledWith("storage:error", {
+        operation: "write",
+        key: "fail_license",
+        cause: expect.any(DOMException),
+      });
+      expect(cache.fallback).toBe(true);
+      expect(cache.storageError.operation).toBe("write");
+      expect(cache.storage).not.toBe(adapter);
+      expect(cache.getLicense().license_key).toBe("KEY");
+      expect(cache.getPublicKey("kid")).toBe("stored-key");
+      errorSpy.mockRestore();
+    });
+
+    it("should switch to memory when storage cannot be read", () => {
+      const adapter = new MemoryStorageAdapter();
+      adapter.get = () => {
+        throw new DOMException("The operation is insecure.", "SecurityError");
+      };
+      const emit = vi.fn();
+      const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+      const cache = new LicenseCache("fail_", { storage: adapter, emit });
+
+      expect(cache.getLicense()).toBeNull();
+      expect(cache.fallback).toBe(true);
+      expect(emit.mock.calls[0][1].operation).toBe("read");
+
+      cache.setLicense({ license_key: "KEY", device_id: "dev" });
+      expect(cache.getLicense().license_key).toBe("KEY");
+      errorSpy.mockRestore();
+    });
+
+    it("should report the fallback through the SDK", async () => {
+      const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+      const sdk = new LicenseSeatSDK({
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        storage: createFullAdapter(),
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+      const storageError = vi.fn();
+      sdk.on("storage:error", storageError);
+
+      expect(sdk.getStatus().storage_fallback).toBeUndefined();
+
+      await sdk.activate(mockData.validLicenseKey);
+
+      expect(storageError).toHaveBeenCalledWith(
+        expect.objectContaining({ operation: "write", key: "licenseseat_license" })
+      );
+      expect(sdk.getStatus()).toMatchObject({ status: "active", storage_fallback: true });
+      sdk.destroy();
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe("SDK storage configuration", () => {
+    it("should use the configured storage adapter", async () => {
+      const adapter = new MemoryStorageAdapter();
+      const sdk = new LicenseSeatSDK({
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        storage: adapter,
+        autoInitialize: false,
+        heartbeatInterval: 0,
+      });
+
+      await sdk.activate(mockData.validLicenseKey);
+
+      expect(adapter.get("licenseseat_license")).toContain(mockData.validLicenseKey);
+      expect(localStorage.getItem("licenseseat_license")).toBeNull();
+      sdk.destroy();
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Cross-Tab Sync Tests
+ *
+ * Tests for relaying license lifecycle events between SDK instances.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { TabSync } from "../src/tab-sync.js";
+import { LicenseSeatSDK } from "../src/LicenseSeat.js";
+import { MemoryStorageAdapter } from "../src/storage.js";
+import { mockData } from "./mocks/handlers.js";
+
+/**
+ * Resolve with the payload of the next emission of an event
+ * @param {LicenseSeatSDK} sdk - SDK instance
+ * @param {string} event - Event name
+ * @returns {Promise<*>}
+ */
+function nextEvent(sdk, event) {
+  return new Promise((resolve) => {
+    const off = sdk.on(event, (data) => {
+      off();
+      resolve(data);
+    });
+  });
+}
+
+describe("Cross-Tab Sync", () => {
+  describe("TabSync", () => {
+    /** @type {TabSync[]} */
+    let syncs = [];
+
+    afterEach(() => {
+      syncs.forEach((sync) => sync.close());
+      syncs = [];
+    });
+
+    it("should deliver messages to other tabs over BroadcastChannel", async () => {
+      const received = [];
+      const own = vi.fn();
+      const a = new TabSync({ name: "test_sync", onMessage: own });
+      const b = new TabSync({ name: "test_sync", onMessage: (m) => received.push(m) });
+      syncs.push(a, b);
+
+      a.post("activation:success", { license_key: "KEY" });
+      await vi.waitFor(() => expect(received).toHaveLength(1));
+
+      expect(received[0]).toMatchObject({
+        type: "activation:success",
+        data: { license_key: "KEY" },
+        source: a.tabId,
+      });
+      expect(own).not.toHaveBeenCalled();
+    });
+
+    it("should fall back to storage events without BroadcastChannel", () => {
+      const target = new EventTarget();
+      const storage = { setItem: vi.fn(), removeItem: vi.fn() };
+      const onMessage = vi.fn();
+      const sync = new TabSync({
+        name: "test_sync",
+        onMessage,
+        BroadcastChannel: null,
+        storage: /** @type {any} */ (storage),
+        target,
+      });
+      syncs.push(sync);
+
+      expect(sync.isAvailable()).toBe(true);
+      sync.post("deactivation:success", { activation_id: "act" });
+      expect(storage.setItem).toHaveBeenCalledWith("test_sync", expect.any(String));
+      expect(storage.removeItem).toHaveBeenCalledWith("test_sync");
+
+      const message = { type: "deactivation:success", data: {}, source: "other-tab", sentAt: 1 };
+      const event = Object.assign(new Event("storage"), {
+        key: "test_sync",
+        newValue: JSON.stringify(message),
+      });
+      target.dispatchEvent(event);
+      // The removal fires a second event with no new value
+      target.dispatchEvent(Object.assign(new Event("storage"), { key: "test_sync", newValue: null }));
+
+      expect(onMessage).toHaveBeenCalledOnce();
+      expect(onMessage).toHaveBeenCalledWith(message);
+
+      sync.close();
+      target.dispatchEvent(event);
+      expect(onMessage).toHaveBeenCalledOnce();
+    });
+
+    it("should report when no transport is available", () => {
+      const sync = new TabSync({
+        name: "test_sync",
+        onMessage: vi.fn(),
+        BroadcastChannel: null,
+        storage: null,
+        target: null,
+      });
+
+      expect(sync.isAvailable()).toBe(false);
+      expect(() => sync.post("license:loaded")).not.toThrow();
+    });
+  });
+
+  describe("SDK crossTabSync", () => {
+    /** @type {LicenseSeatSDK[]} */
+    let tabs = [];
+
+    /**
+     * Create an SDK instance standing in for one browser tab
+     * @param {Object} [config] - Extra configuration
+     * @returns {LicenseSeatSDK}
+     */
+    function openTab(config = {}) {
+      const sdk = new LicenseSeatSDK({
+        apiKey: mockData.apiKey,
+        productSlug: mockData.productSlug,
+        autoInitialize: false,
+        crossTabSync: true,
+        ...config,
+      });
+      tabs.push(sdk);
+      return sdk;
+    }
+
+    afterEach(() => {
+      tabs.forEach((sdk) => sdk.destroy());
+      tabs = [];
+    });
+
+    it("should be disabled by default", () => {
+      const sdk = new LicenseSeatSDK({ autoInitialize: false });
+      expect(sdk.tabSync).toBeNull();
+      sdk.destroy();
+    });
+
+    it("should keep its fallback storage key out of the cache", async () => {
+      const sdk = openTab({ encryptionSecret: "app-secret" });
+      await sdk.ready();
+      const key = sdk.tabSync.name;
+      localStorage.setItem(key, JSON.stringify({ type: "license:loaded" }));
+
+      sdk.reset();
+      await sdk.cache.flush();
+
+      expect(key.startsWith(sdk.config.storagePrefix)).toBe(false);
+      expect(JSON.parse(localStorage.getItem(key))).toEqual({ type: "license:loaded" });
+    });
+
+    it("should re-emit activation and start timers in other tabs", async () => {
+      const first = openTab();
+      const second = openTab();
+      const remoteActivation = nextEvent(second, "activation:success");
+
+      await first.activate(mockData.validLicenseKey);
+      const data = await remoteActivation;
+
+      expect(data.license_key).toBe(mockData.validLicenseKey);
+      expect(second.validationTimer).not.toBeNull();
+      expect(second.heartbeatTimer).not.toBeNull();
+      expect(second.currentAutoLicenseKey).toBe(mockData.validLicenseKey);
+      expect(second.cache.getLicense().license_key).toBe(mockData.validLicenseKey);
+    });
+
+    it("should re-emit deactivation and stop heartbeats in other tabs", async () => {
+      const first = openTab();
+      const second = openTab();
+      const remoteActivation = nextEvent(second, "activation:success");
+      await first.activate(mockData.validLicenseKey);
+      await remoteActivation;
+
+      const remoteDeactivation = nextEvent(second, "deactivation:success");
+      const response = await first.deactivate();
+      const data = await remoteDeactivation;
+
+      expect(data).toEqual(response);
+      expect(second.validationTimer).toBeNull();
+      expect(second.heartbeatTimer).toBeNull();
+      expect(second.currentAutoLicenseKey).toBeNull();
+      expect(second.getStatus().status).toBe("inactive");
+    });
+
+    it("should re-emit license:loaded when another tab validates", async () => {
+      const first = openTab({ heartbeatInterval: 0 });
+      await first.activate(mockData.validLicenseKey);
+      // Let the background offline sync settle so it cannot overwrite the validation
+      await vi.waitFor(() => expect(first.syncingOfflineAssets).toBe(false));
+      const second = openTab({ heartbeatInterval: 0 });
+
+      const loaded = nextEvent(second, "license:loaded");
+      await first.validateLicense(mockData.validLicenseKey);
+      const license = await loaded;
+
+      expect(license.license_key).toBe(mockData.validLicenseKey);
+      expect(license.validation.valid).toBe(true);
+    });
+
+    it("should reload buffered caches before re-emitting", async () => {
+      const storage = new MemoryStorageAdapter();
+      const config = { storage, encryptionSecret: "app-secret", heartbeatInterval: 0 };
+      const first = openTab(config);
+      const second = openTab(config);
+      await second.ready();
+      expect(second.getStatus().status).toBe("inactive");
+
+      const remoteActivation = nextEvent(second, "activation:success");
+      await first.activate(mockData.validLicenseKey);
+      await remoteActivation;
+
+      expect(second.cache.getLicense().license_key).toBe(mockData.validLicenseKey);
+      expect(second.validationTimer).not.toBeNull();
+    });
+
+    it("should stop listening after destroy()", async () => {
+      const first = openTab({ heartbeatInterval: 0 });
+      const second = openTab({ heartbeatInterval: 0 });
+      const third = openTab({ heartbeatInterval: 0 });
+      const handler = vi.fn();
+      second.on("activation:success", handler);
+      second.destroy();
+
+      const remoteActivation = nextEvent(third, "activation:success");
+      await first.activate(mockData.validLicenseKey);
+      await remoteActivation;
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(second.validationTimer).toBeNull();
+    });
+  });
+});
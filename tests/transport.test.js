@@ -0,0 +1,250 @@
+/**
+ * Transport Tests
+ *
+ * Tests for routing every network call through the injectable `fetch` option,
+ * request timeouts and cancellation. These tests use a stub transport and
+ * never reach MSW.
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { APIError } from "../src/errors.js";
+import { mockData } from "./mocks/handlers.js";
+import { respond } from "./mocks/transport.js";
+import { createTestSDK } from "./mocks/sdk.js";
+
+/**
+ * Create a stub transport answering activation and health requests
+ * @returns {import('vitest').Mock}
+ */
+function createStubTransport() {
+  return vi.fn(async (url) => {
+    if (url.endsWith("/activate")) {
+      return respond(201, {
+        object: "activation",
+        id: 1,
+        device_id: mockData.deviceId,
+        license_key: mockData.validLicenseKey,
+        activated_at: new Date().toISOString(),
+        license: { key: mockData.validLicenseKey, status: "active" },
+      });
+    }
+    if (url.endsWith("/health")) {
+      return respond(200, { status: "healthy", api_version: "1.0.0" });
+    }
+    return respond(404, { error: { code: "not_found", message: "Not found" } });
+  });
+}
+
+/**
+ * Create a stub transport that never answers, like a hung TCP connection,
+ * and rejects once its request is aborted
+ * @returns {import('vitest').Mock}
+ */
+function createHangingTransport() {
+  return vi.fn(
+    (url, request) =>
+      new Promise((resolve, reject) => {
+        request.signal.addEventListener("abort", () => reject(request.signal.reason));
+      })
+  );
+}
+
+describe("Transport", () => {
+  let sdk;
+
+  afterEach(() => {
+    if (sdk) sdk.destroy();
+    sdk = null;
+    vi.restoreAllMocks();
+  });
+
+  it("should send API calls through the configured transport", async () => {
+    const transport = createStubTransport();
+    const globalFetch = vi.spyOn(globalThis, "fetch");
+    sdk = createTestSDK({ fetch: transport, telemetryEnabled: false });
+
+    await sdk.activate(mockData.validLicenseKey, { deviceId: mockData.deviceId });
+
+    const [url, request] = transport.mock.calls[0];
+    expect(url).toBe(
+      `https://licenseseat.com/api/v1/products/${mockData.productSlug}/licenses/${mockData.validLicenseKey}/activate`
+    );
+    expect(request.method).toBe("POST");
+    expect(request.headers.Authorization).toBe(`Bearer ${mockData.apiKey}`);
+    expect(JSON.parse(request.body).device_id).toBe(mockData.deviceId);
+    expect(sdk.cache.getLicense().license_key).toBe(mockData.validLicenseKey);
+    expect(globalFetch).not.toHaveBeenCalled();
+  });
+
+  it("should call the transport unbound, as native fetch requires", async () => {
+    let receiver = "unset";
+    const transport = vi.fn(function (url) {
+      receiver = this;
+      return Promise.resolve(respond(200, { status: "healthy", api_version: "1.0.0" }));
+    });
+    sdk = createTestSDK({ fetch: transport });
+
+    await sdk.testAuth();
+
+    expect(receiver).toBeUndefined();
+  });
+
+  it("should surface HTTP error statuses as APIError", async () => {
+    sdk = createTestSDK({ fetch: createStubTransport() });
+
+    const error = await sdk.getSigningKey("missing").catch((e) => e);
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.status).toBe(404);
+  });
+
+  it("should treat transport rejections as network failures", async () => {
+    const transport = vi.fn(async () => {
+      throw new Error("net::ERR_PROXY_CONNECTION_FAILED");
+    });
+    sdk = createTestSDK({ fetch: transport, networkRecheckInterval: 60000 });
+    const offline = vi.fn();
+    sdk.on("network:offline", offline);
+
+    const error = await sdk.testAuth().catch((e) => e);
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.status).toBe(0);
+    expect(error.message).toContain("net::ERR_PROXY_CONNECTION_FAILED");
+    expect(offline).toHaveBeenCalled();
+    expect(sdk.online).toBe(false);
+  });
+
+  it("should poll connectivity through the transport", async () => {
+    vi.useFakeTimers();
+    try {
+      const transport = createStubTransport();
+      sdk = createTestSDK({ fetch: transport, networkRecheckInterval: 1000 });
+      const online = vi.fn();
+      sdk.on("network:online", online);
+      sdk.online = false;
+
+      sdk.startConnectivityPolling();
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(transport).toHaveBeenCalledWith(
+        "https://licenseseat.com/api/v1/health",
+        expect.objectContaining({ method: "GET" })
+      );
+      expect(online).toHaveBeenCalled();
+      expect(sdk.connectivity.active).toBe(false);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("should fall back to the global fetch at call time", async () => {
+    const globalFetch = vi
+      .spyOn(globalThis, "fetch")
+      .mockResolvedValue(/** @type {any} */ (respond(200, { status: "healthy", api_version: "1.0.0" })));
+    sdk = createTestSDK({});
+
+    const result = await sdk.testAuth();
+
+    expect(globalFetch).toHaveBeenCalledTimes(1);
+    expect(result.healthy).toBe(true);
+  });
+
+  describe("timeouts and cancellation", () => {
+    it("should time out a hung request", async () => {
+      const transport = createHangingTransport();
+      sdk = createTestSDK({ fetch: transport, timeoutMs: 20 });
+
+      const error = await sdk.activate(mockData.validLicenseKey).catch((e) => e);
+
+      expect(error).toBeInstanceOf(APIError);
+      expect(error.status).toBe(0);
+      expect(error.message).toBe("Request timed out after 20ms");
+      expect(transport.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    it("should let a call override the SDK timeout", async () => {
+      sdk = createTestSDK({ fetch: createHangingTransport(), timeoutMs: 0 });
+
+      const error = await sdk
+        .validateLicense(mockData.validLicenseKey, { timeoutMs: 20 })
+        .catch((e) => e);
+
+      expect(error.message).toBe("Request timed out after 20ms");
+    });
+
+    it("should retry after a timeout", async () => {
+      const transport = createHangingTransport();
+      sdk = createTestSDK({
+        fetch: transport,
+        timeoutMs: 10,
+        maxRetries: 1,
+        retryDelay: 1,
+        outboxEnabled: false,
+      });
+
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+      await expect(sdk.heartbeat()).rejects.toThrow("timed out");
+
+      expect(transport).toHaveBeenCalledTimes(2);
+    });
+
+    it("should abort through the caller's signal without retrying", async () => {
+      const transport = createHangingTransport();
+      sdk = createTestSDK({ fetch: transport, maxRetries: 3 });
+      const offline = vi.fn();
+      sdk.on("network:offline", offline);
+      const controller = new AbortController();
+
+      const pending = sdk.activate(mockData.validLicenseKey, { signal: controller.signal });
+      await vi.waitFor(() => expect(transport).toHaveBeenCalled());
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+      expect(transport).toHaveBeenCalledTimes(1);
+      expect(offline).not.toHaveBeenCalled();
+      expect(sdk.cache.getLicense()).toBeNull();
+    });
+
+    it("should not send a request whose signal is already aborted", async () => {
+      const transport = createStubTransport();
+      sdk = createTestSDK({ fetch: transport });
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+
+      await expect(
+        sdk.deactivate(undefined, { signal: AbortSignal.abort() })
+      ).rejects.toMatchObject({ name: "AbortError" });
+      await expect(
+        sdk.getOfflineToken({ signal: AbortSignal.abort() })
+      ).rejects.toMatchObject({ name: "AbortError" });
+
+      expect(transport).not.toHaveBeenCalled();
+    });
+
+    it("should abort in-flight requests on destroy", async () => {
+      const transport = createHangingTransport();
+      sdk = createTestSDK({ fetch: transport, timeoutMs: 0 });
+      sdk.cache.setLicense({ license_key: mockData.validLicenseKey, device_id: "dev" });
+
+      const pending = sdk.heartbeat();
+      await vi.waitFor(() => expect(transport).toHaveBeenCalled());
+      sdk.destroy();
+
+      await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+    });
+
+    it("should abort pending retry sleeps on destroy", async () => {
+      const transport = vi.fn(async () =>
+        respond(503, { error: { code: "unavailable", message: "Service unavailable" } })
+      );
+      sdk = createTestSDK({ fetch: transport, maxRetries: 3, retryDelay: 60000 });
+
+      const pending = sdk.testAuth();
+      await vi.waitFor(() => expect(transport).toHaveBeenCalled());
+      sdk.destroy();
+
+      await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+      expect(transport).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -8,6 +8,10 @@ import {
   constantTimeEqual,
   hashCode,
   base64UrlDecode,
+  base64UrlEncode,
+  sleep,
+  linkAbortSignals,
+  generateIdempotencyKey,
 } from "../src/utils.js";
 
 describe("Utility Functions", () => {
@@ -133,4 +137,71 @@ describe("Utility Functions", () => {
       expect(new TextDecoder().decode(decoded)).toBe("a");
     });
   });
+
+  describe("base64UrlEncode", () => {
+    it("should encode without padding", () => {
+      expect(base64UrlEncode(new TextEncoder().encode("a"))).toBe("YQ");
+    });
+
+    it("should use URL-safe characters", () => {
+      expect(base64UrlEncode(new Uint8Array([0xfb, 0xff]))).toBe("-_8");
+    });
+
+    it("should round-trip with base64UrlDecode", () => {
+      const bytes = new Uint8Array([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+      expect(Array.from(base64UrlDecode(base64UrlEncode(bytes)))).toEqual(Array.from(bytes));
+    });
+  });
+
+  describe("generateIdempotencyKey", () => {
+    it("should generate unique UUIDs", () => {
+      const first = generateIdempotencyKey();
+      const second = generateIdempotencyKey();
+
+      expect(first).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(second).not.toBe(first);
+    });
+  });
+
+  describe("sleep", () => {
+    it("should resolve after the delay", async () => {
+      await expect(sleep(1)).resolves.toBeUndefined();
+    });
+
+    it("should reject with the abort reason when cancelled", async () => {
+      const controller = new AbortController();
+      const pending = sleep(60000, controller.signal);
+
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+    });
+
+    it("should reject immediately for an aborted signal", async () => {
+      await expect(sleep(60000, AbortSignal.abort())).rejects.toMatchObject({ name: "AbortError" });
+    });
+  });
+
+  describe("linkAbortSignals", () => {
+    it("should abort when any source aborts", () => {
+      const first = new AbortController();
+      const second = new AbortController();
+      const { controller } = linkAbortSignals(first.signal, null, second.signal);
+
+      second.abort(new Error("stop"));
+
+      expect(controller.signal.aborted).toBe(true);
+      expect(controller.signal.reason.message).toBe("stop");
+    });
+
+    it("should stop following the sources once disposed", () => {
+      const source = new AbortController();
+      const { controller, dispose } = linkAbortSignals(source.signal);
+
+      dispose();
+      source.abort();
+
+      expect(controller.signal.aborted).toBe(false);
+    });
+  });
 });